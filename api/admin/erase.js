@@ -0,0 +1,5 @@
+// api/admin/erase.js — Vercel wrapper for erasing one person's data
+import { handleAdminErase } from "../../lib/admin.js";
+import { vercelRoute } from "../../lib/adapters.js";
+
+export default vercelRoute(handleAdminErase, { limit: "admin" });
@@ -0,0 +1,5 @@
+// api/admin/leads.js — Vercel wrapper for lead management
+import { handleAdminLeads } from "../../lib/admin.js";
+import { vercelRoute } from "../../lib/adapters.js";
+
+export default vercelRoute(handleAdminLeads, { methods: ["GET", "PATCH", "POST"], limit: "admin" });
@@ -0,0 +1,5 @@
+// api/admin/live.js — Vercel wrapper for the counselor live chat queue and takeover
+import { handleAdminLive } from "../../lib/live.js";
+import { vercelRoute } from "../../lib/adapters.js";
+
+export default vercelRoute(handleAdminLive, { methods: ["GET", "POST"], stream: true, limit: "admin" });
@@ -0,0 +1,5 @@
+// api/admin/metrics.js — Vercel wrapper for the analytics report
+import { handleAdminMetrics } from "../../lib/analytics.js";
+import { vercelRoute } from "../../lib/adapters.js";
+
+export default vercelRoute(handleAdminMetrics, { methods: ["GET"], limit: "admin" });
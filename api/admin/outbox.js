@@ -0,0 +1,5 @@
+// api/admin/outbox.js — Vercel wrapper for the handoff outbox admin routes
+import { handleAdminOutbox } from "../../lib/admin.js";
+import { vercelRoute } from "../../lib/adapters.js";
+
+export default vercelRoute(handleAdminOutbox, { methods: ["GET", "POST"], limit: "admin" });
@@ -0,0 +1,5 @@
+// api/catalog.js — Vercel wrapper for the university/scholarship catalog search
+import { handleCatalog } from "../lib/catalog.js";
+import { vercelRoute } from "../lib/adapters.js";
+
+export default vercelRoute(handleCatalog, { methods: ["GET"], limit: "catalog" });
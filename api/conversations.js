@@ -0,0 +1,5 @@
+// api/conversations.js — Vercel wrapper for the transcript lookup
+import { handleConversations } from "../lib/chat.js";
+import { vercelRoute } from "../lib/adapters.js";
+
+export default vercelRoute(handleConversations, { methods: ["GET"], limit: "admin" });
@@ -0,0 +1,5 @@
+// api/eligibility.js — Vercel wrapper for the eligibility and cost estimator
+import { handleEligibility } from "../lib/eligibility.js";
+import { vercelRoute } from "../lib/adapters.js";
+
+export default vercelRoute(handleEligibility, { limit: "eligibility" });
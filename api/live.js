@@ -0,0 +1,5 @@
+// api/live.js — Vercel wrapper for the widget's side of a live counselor chat
+import { handleLive } from "../lib/live.js";
+import { vercelRoute } from "../lib/adapters.js";
+
+export default vercelRoute(handleLive, { methods: ["GET", "POST"], stream: true, limit: "live" });
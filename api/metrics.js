@@ -0,0 +1,5 @@
+// api/metrics.js — Vercel wrapper for the Prometheus endpoint (served at /metrics; counters are per function instance)
+import { handleMetrics } from "../lib/analytics.js";
+import { vercelRoute } from "../lib/adapters.js";
+
+export default vercelRoute(handleMetrics, { methods: ["GET"] });
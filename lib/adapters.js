@@ -0,0 +1,106 @@
+// lib/adapters.js — wrap a core handler `(input, ctx) => { status, body, headers? }` for each runtime
+//   input: the JSON body (query string for GET); ctx: { method, headers, query, ip, tenant, onToken?, emit?, signal? }
+//   a string body is sent as-is (set Content-Type via headers), anything else as JSON
+import { checkRateLimit } from "./ratelimit.js";
+import { resolveTenant } from "./tenants.js";
+
+function wantsStream(req) {
+  const s = req.query && req.query.stream;
+  return s === "1" || s === "true";
+}
+
+function inputFor(req, source) {
+  if (source === "query") return req.query || {};
+  if (source === "body") return req.body || {};
+  return (req.method === "GET" ? req.query : req.body) || {};
+}
+
+/* Express resolves req.ip (honouring its "trust proxy" setting); on Vercel the edge sets x-forwarded-for */
+function clientIp(req) {
+  if (req.ip) return req.ip;
+  const forwarded = process.env.VERCEL && req.headers && req.headers["x-forwarded-for"];
+  if (forwarded) return String(forwarded).split(",")[0].trim();
+  return (req.socket && req.socket.remoteAddress) || "";
+}
+
+function ctxFor(req) {
+  return { method: req.method, headers: req.headers || {}, query: req.query || {}, ip: clientIp(req) };
+}
+
+function send(res, result) {
+  for (const [k, v] of Object.entries(result.headers || {})) res.setHeader(k, v);
+  if (typeof result.body === "string") { res.statusCode = result.status; return res.end(result.body); }
+  return res.status(result.status).json(result.body);
+}
+
+/*
+ * Server-Sent Events: a `token` event per streamed chunk (ctx.onToken), or any named event
+ * (ctx.emit(event, data)), then one `done` event carrying the same body the JSON response would
+ * have (or `error`). Failures before the first event stay plain JSON so the client sees the real
+ * status code. ctx.signal aborts when the client goes away.
+ */
+async function sendStream(req, res, handler, input, ctx) {
+  let open = false;
+  const write = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  function openStream() {
+    if (open) return;
+    open = true;
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    if (res.flushHeaders) res.flushHeaders();
+  }
+  const gone = new AbortController();
+  res.on("close", () => gone.abort());
+  const emit = (event, data) => { openStream(); if (!gone.signal.aborted) write(event, data); };
+  const result = await handler(input, { ...ctx, signal: gone.signal, emit, onToken: text => emit("token", { text }) });
+  if (!open && result.status !== 200) return send(res, result);
+  if (gone.signal.aborted) return;
+  openStream();
+  write(result.status === 200 ? "done" : "error", result.body);
+  res.end();
+}
+
+async function respond(req, res, handler, opts) {
+  const input = inputFor(req, opts.source);
+  const ctx = ctxFor(req);
+  const { tenant, error } = resolveTenant(ctx);
+  if (error) return send(res, error);
+  ctx.tenant = tenant;
+  if (opts.limit) {
+    const limited = await checkRateLimit(opts.limit, { ip: ctx.ip, sessionId: input.sessionId, tenant });
+    if (limited) return send(res, limited);
+  }
+  if (opts.stream && wantsStream(req)) return sendStream(req, res, handler, input, ctx);
+  return send(res, await handler(input, ctx));
+}
+
+// opts.source: "body" | "query" (default: query for GET, body otherwise); opts.stream: honour `?stream=1`;
+// opts.limit: rate-limit route name from lib/ratelimit.js (per IP and per sessionId)
+export function expressRoute(handler, opts = {}) {
+  return (req, res) => respond(req, res, handler, opts);
+}
+
+/* the cors() defaults server.js uses, so the embedded widget can call the API from partner sites */
+function allowCors(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  if (req.method !== "OPTIONS") return false;
+  res.setHeader("Access-Control-Allow-Methods", "GET,HEAD,PUT,PATCH,POST,DELETE");
+  const asked = req.headers && req.headers["access-control-request-headers"];
+  if (asked) res.setHeader("Access-Control-Allow-Headers", asked);
+  res.statusCode = 204;
+  res.end();
+  return true;
+}
+
+// opts.methods: accepted HTTP methods (default ["POST"]); Vercel routes one file for all of them
+export function vercelRoute(handler, opts = {}) {
+  const methods = opts.methods || ["POST"];
+  return async (req, res) => {
+    if (allowCors(req, res)) return;
+    if (!methods.includes(req.method)) return res.status(405).json({ error: "Method not allowed" });
+    return respond(req, res, handler, opts);
+  };
+}
@@ -0,0 +1,244 @@
+// lib/admin.js — lead management for counselors (list/search/filter, update, dedupe/merge, CSV), the handoff outbox
+// and erasure of one person's data; a credential bound to a tenant (or ?tenant=) only sees that tenant's records
+import { requireRole, requireAdmin } from "./auth.js";
+import { adminScope, belongsTo } from "./tenants.js";
+import { listLeads, getLead, updateLead, deleteLead, listJobs, eraseLeads, eraseSessions, eraseJobs } from "./store.js";
+import { processOutbox, retryJob } from "./outbox.js";
+import { normalizePhone } from "./leads.js";
+
+export const LEAD_STATUSES = ["new", "contacted", "converted", "lost"];
+const CSV_COLUMNS = ["id", "createdAt", "name", "email", "phone", "altEmails", "altPhones", "source", "status", "counselor", "note", "notes"];
+
+/* ---------- FILTERS ---------- */
+function matches(lead, { q, from, to, source, status, counselor }) {
+  if (source && lead.source !== source) return false;
+  if (status && (lead.status || "new") !== status) return false;
+  if (counselor && lead.counselor !== counselor) return false;
+  const day = String(lead.createdAt || "").slice(0, 10);
+  if (from && day < from) return false;
+  if (to && day > to) return false;
+  if (q) {
+    const hay = [lead.name, lead.email, lead.phone, lead.note, lead.message, lead.counselor, ...(lead.altEmails || []), ...(lead.altPhones || [])].filter(Boolean).join(" ").toLowerCase();
+    if (!hay.includes(String(q).toLowerCase())) return false;
+  }
+  return true;
+}
+
+function contactKeys(lead) {
+  const keys = [];
+  if (lead.email) keys.push("e:" + String(lead.email).trim().toLowerCase());
+  const phone = normalizePhone(lead.phone) || String(lead.phone || "").replace(/\D/g, "");
+  if (phone) keys.push("p:" + phone.replace(/^\+/, ""));
+  return keys;
+}
+
+/* groups of leads sharing an email or phone (transitively), oldest first; singletons left out */
+export function findDuplicates(leads) {
+  // leads of different tenants are never the same record, even for the same person
+  const tenants = [...new Set(leads.map(l => l.tenant || "default"))];
+  if (tenants.length > 1) return tenants.flatMap(t => findDuplicates(leads.filter(l => belongsTo(l, t))));
+  const parent = new Map(leads.map(l => [l.id, l.id]));
+  const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+  const owner = new Map();
+  for (const lead of leads) {
+    for (const key of contactKeys(lead)) {
+      if (owner.has(key)) parent.set(find(lead.id), find(owner.get(key)));
+      else owner.set(key, lead.id);
+    }
+  }
+  const groups = new Map();
+  for (const lead of leads) {
+    const root = find(lead.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(lead);
+  }
+  return [...groups.values()].filter(g => g.length > 1)
+    .map(g => g.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))));
+}
+
+/* fold duplicates into the oldest lead: its fields win, gaps are filled, notes and sources are kept */
+async function mergeGroup(group, by) {
+  const [primary, ...rest] = group;
+  const patch = { mergedFrom: [...new Set([...(primary.mergedFrom || []), ...rest.flatMap(l => [l.id, ...(l.mergedFrom || [])])])] };
+  for (const k of ["name", "email", "phone", "counselor", "sessionId"]) {
+    if (!primary[k]) { const donor = rest.find(l => l[k]); if (donor) patch[k] = donor[k]; }
+  }
+  // the merged-away leads are deleted: their chat sessions stay listed so erasure still finds them
+  const sessionId = patch.sessionId || primary.sessionId;
+  const sessions = [...new Set([...(primary.mergedSessions || []), ...rest.flatMap(l => [l.sessionId, ...(l.mergedSessions || [])])])].filter(s => s && s !== sessionId);
+  if (sessions.length) patch.mergedSessions = sessions;
+  const notes = [...(primary.notes || [])];
+  for (const l of rest) {
+    notes.push(...(l.notes || []));
+    const text = l.note || l.message;
+    if (text) notes.push({ text, at: l.createdAt, by: "merge" });
+  }
+  patch.notes = notes;
+  const others = (k, own) => [...new Set(rest.map(l => l[k]).filter(v => v && v !== own))];
+  const altEmails = others("email", patch.email || primary.email);
+  const altPhones = others("phone", patch.phone || primary.phone);
+  if (altEmails.length) patch.altEmails = [...new Set([...(primary.altEmails || []), ...altEmails])];
+  if (altPhones.length) patch.altPhones = [...new Set([...(primary.altPhones || []), ...altPhones])];
+  patch.sources = [...new Set([primary.source, ...rest.map(l => l.source), ...(primary.sources || [])].filter(Boolean))];
+  const rank = s => LEAD_STATUSES.indexOf(s || "new");
+  const furthest = group.map(l => l.status || "new").sort((a, b) => rank(b) - rank(a))[0];
+  if (furthest !== (primary.status || "new")) patch.status = furthest;
+  const merged = await updateLead(primary.id, { ...patch, mergedBy: by });
+  for (const l of rest) await deleteLead(l.id);
+  return merged;
+}
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = Array.isArray(v) ? v.map(n => (typeof n === "object" ? n.text : n)).join(" | ") : String(v);
+  // leading =,+,-,@ would run as a formula in spreadsheet apps
+  const safe = /^[=+\-@]/.test(s) ? "'" + s : s;
+  return /[",\n\r]/.test(safe) ? '"' + safe.replace(/"/g, '""') + '"' : safe;
+}
+export function leadsToCsv(leads) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const lead of leads) lines.push(CSV_COLUMNS.map(c => csvCell(c === "note" ? lead.note || lead.message : lead[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+/* ---------- ROUTE: /api/admin/leads ----------
+ *   GET                      list; ?q= &from=YYYY-MM-DD &to= &source= &status= &counselor= &format=csv (admin)
+ *   PATCH ?id=               { status?, counselor?, note? }  (note is appended to notes)
+ *   POST  ?action=dedupe     { dryRun? }  merge every duplicate group (admin)
+ *   POST  ?action=merge      { ids: [...] }  merge the given leads into the oldest (admin)
+ * Counselors may list and update; bulk export and merging are admin-only.
+ */
+export async function handleAdminLeads(input, ctx) {
+  const denied = requireRole(ctx, ["admin", "counselor"]);
+  if (denied) return denied;
+  const by = ctx.user.name;
+  const scope = adminScope(ctx);
+  const inScope = record => !scope || belongsTo(record, scope);
+  try {
+    const query = ctx.query || {};
+    const adminOnly = (ctx.method === "GET" && query.format === "csv") || ctx.method === "POST";
+    if (adminOnly && ctx.user.role !== "admin") return { status: 403, body: { error: `forbidden for role ${ctx.user.role}` } };
+
+    if (ctx.method === "GET") {
+      const leads = (await listLeads()).filter(inScope).map(l => ({ ...l, status: l.status || "new" })).filter(l => matches(l, query))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+      if (query.format === "csv") {
+        return { status: 200, body: leadsToCsv(leads), headers: { "Content-Type": "text/csv; charset=utf-8", "Content-Disposition": 'attachment; filename="leads.csv"' } };
+      }
+      return { status: 200, body: { total: leads.length, leads, duplicates: findDuplicates(leads).map(g => g.map(l => l.id)) } };
+    }
+
+    if (ctx.method === "PATCH") {
+      if (!query.id) return { status: 400, body: { error: "id required" } };
+      const lead = await getLead(query.id);
+      if (!lead || !inScope(lead)) return { status: 404, body: { error: "lead not found" } };
+      const { status, counselor, note } = input || {};
+      const patch = {};
+      if (status !== undefined) {
+        if (!LEAD_STATUSES.includes(status)) return { status: 400, body: { error: `status must be one of ${LEAD_STATUSES.join(", ")}` } };
+        patch.status = status;
+      }
+      if (counselor !== undefined) patch.counselor = String(counselor).trim() || null;
+      if (note) patch.notes = [...(lead.notes || []), { text: String(note).trim(), at: new Date().toISOString(), by }];
+      if (!Object.keys(patch).length) return { status: 400, body: { error: "nothing to update" } };
+      return { status: 200, body: { lead: await updateLead(lead.id, patch) } };
+    }
+
+    if (ctx.method === "POST" && query.action === "dedupe") {
+      const groups = findDuplicates((await listLeads()).filter(inScope));
+      if (input && input.dryRun) return { status: 200, body: { dryRun: true, groups: groups.map(g => g.map(l => l.id)) } };
+      const merged = [];
+      for (const g of groups) merged.push(await mergeGroup(g, by));
+      return { status: 200, body: { merged: merged.length, leads: merged } };
+    }
+
+    if (ctx.method === "POST" && query.action === "merge") {
+      const ids = Array.isArray(input && input.ids) ? input.ids : [];
+      if (ids.length < 2) return { status: 400, body: { error: "ids must list at least two leads" } };
+      const group = [];
+      for (const id of ids) {
+        const lead = await getLead(id);
+        if (!lead || !inScope(lead)) return { status: 404, body: { error: `lead ${id} not found` } };
+        group.push(lead);
+      }
+      if (new Set(group.map(l => l.tenant || "default")).size > 1) return { status: 400, body: { error: "leads belong to different tenants" } };
+      group.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      return { status: 200, body: { lead: await mergeGroup(group, by) } };
+    }
+
+    return { status: 405, body: { error: "Method not allowed" } };
+  } catch (e) {
+    console.error("Admin leads error:", e);
+    return { status: 500, body: { error: "internal" } };
+  }
+}
+
+/* ---------- ROUTE: /api/admin/outbox ----------
+ *   GET                          jobs; ?status=pending|delivering|sent|dead
+ *   POST ?action=run             deliver everything that is due now
+ *   POST ?action=retry&id=       requeue a dead-lettered job
+ */
+export async function handleAdminOutbox(input, ctx) {
+  const denied = requireAdmin(ctx);
+  if (denied) return denied;
+  const scope = adminScope(ctx);
+  const inScope = job => !scope || belongsTo(job, scope);
+  try {
+    const query = ctx.query || {};
+    if (ctx.method === "GET") {
+      const jobs = (await listJobs()).filter(j => inScope(j) && (!query.status || j.status === query.status))
+        .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+      const counts = {};
+      for (const j of jobs) counts[j.status] = (counts[j.status] || 0) + 1;
+      return { status: 200, body: { total: jobs.length, counts, jobs } };
+    }
+    if (ctx.method === "POST" && query.action === "run") {
+      return { status: 200, body: await processOutbox(scope ? { ids: (await listJobs()).filter(inScope).map(j => j.id) } : {}) };
+    }
+    if (ctx.method === "POST" && query.action === "retry") {
+      if (!query.id) return { status: 400, body: { error: "id required" } };
+      if (!(await listJobs()).some(j => j.id === query.id && inScope(j))) return { status: 404, body: { error: "job not found" } };
+      const job = await retryJob(query.id);
+      if (!job) return { status: 404, body: { error: "job not found" } };
+      return { status: 200, body: { job, result: await processOutbox({ ids: [job.id] }) } };
+    }
+    return { status: 405, body: { error: "Method not allowed" } };
+  } catch (e) {
+    console.error("Admin outbox error:", e);
+    return { status: 500, body: { error: "internal" } };
+  }
+}
+
+/* ---------- ROUTE: /api/admin/erase ----------
+ *   POST { email?, phone?, dryRun? }   erase every lead matching the email or phone (including merged-in
+ *                                      alternates and leads merged away), their chat sessions and outbox jobs
+ */
+export async function handleAdminErase(input, ctx) {
+  const denied = requireAdmin(ctx);
+  if (denied) return denied;
+  try {
+    const email = input && input.email ? String(input.email).trim().toLowerCase() : null;
+    const phone = input && input.phone ? normalizePhone(input.phone) || String(input.phone).replace(/\D/g, "") : null;
+    if (!email && !phone) return { status: 400, body: { error: "email or phone required" } };
+
+    const samePhone = p => { const n = normalizePhone(p) || String(p || "").replace(/\D/g, ""); return !!n && n === phone; };
+    const scope = adminScope(ctx);
+    const leads = (await listLeads()).filter(l => (!scope || belongsTo(l, scope)) && (
+      (email && [l.email, ...(l.altEmails || [])].some(e => String(e || "").trim().toLowerCase() === email)) ||
+      (phone && [l.phone, ...(l.altPhones || [])].some(samePhone))));
+    const leadIds = [...new Set(leads.flatMap(l => [l.id, ...(l.mergedFrom || [])]))];
+    const sessionIds = [...new Set(leads.flatMap(l => [l.sessionId, ...(l.mergedSessions || [])]).filter(Boolean))];
+    const jobIds = (await listJobs()).filter(j => leadIds.includes(j.leadId)).map(j => j.id);
+    const erased = { leads: leadIds.length, sessions: sessionIds.length, jobs: jobIds.length };
+    if (input && input.dryRun) return { status: 200, body: { dryRun: true, erased, leadIds } };
+
+    await eraseJobs(jobIds);
+    await eraseSessions(sessionIds);
+    await eraseLeads(leadIds);
+    console.log(`Erasure by ${ctx.user.name}: ${erased.leads} lead(s), ${erased.sessions} session(s), ${erased.jobs} job(s)`);
+    return { status: 200, body: { erased } };
+  } catch (e) {
+    console.error("Admin erase error:", e);
+    return { status: 500, body: { error: "internal" } };
+  }
+}
@@ -0,0 +1,212 @@
+// lib/analytics.js — structured events for chat and handoff, daily/funnel reports and Prometheus counters
+//
+//   events go to the configured store (see lib/storage) and hold no contact details: model-turn
+//   questions are already redacted, handoffs record only the outcome
+//   METRICS_TOKEN   bearer token for GET /metrics (scrapers); without it /metrics needs an admin credential
+//   events and the turn, lead and handoff counters carry the tenant (lib/tenants.js)
+import { appendEvent, listEvents, listJobs } from "./store.js";
+import { requireRole, requireAdmin, safeEqual } from "./auth.js";
+import { adminScope, belongsTo, DEFAULT_TENANT } from "./tenants.js";
+
+/* ---------- PROMETHEUS COUNTERS (this process since start) ---------- */
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20];
+const series = new Map();
+
+function metric(name, type, help) {
+  if (!series.has(name)) series.set(name, { type, help, values: new Map() });
+  return series.get(name);
+}
+function labelKey(labels) {
+  return Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, "_")}"`).join(",");
+}
+export function countMetric(name, help, labels = {}, by = 1) {
+  const values = metric(name, "counter", help).values;
+  const key = labelKey(labels);
+  values.set(key, (values.get(key) || 0) + by);
+}
+function observe(name, help, seconds) {
+  const m = metric(name, "histogram", help);
+  m.values.set("sum", (m.values.get("sum") || 0) + seconds);
+  m.values.set("count", (m.values.get("count") || 0) + 1);
+  for (const le of LATENCY_BUCKETS) if (seconds <= le) m.values.set(le, (m.values.get(le) || 0) + 1);
+}
+
+function prometheusText(extra) {
+  const lines = [];
+  for (const [name, m] of [...series, ...extra]) {
+    lines.push(`# HELP ${name} ${m.help}`, `# TYPE ${name} ${m.type}`);
+    if (m.type === "histogram") {
+      for (const le of LATENCY_BUCKETS) lines.push(`${name}_bucket{le="${le}"} ${m.values.get(le) || 0}`);
+      lines.push(`${name}_bucket{le="+Inf"} ${m.values.get("count") || 0}`, `${name}_sum ${m.values.get("sum") || 0}`, `${name}_count ${m.values.get("count") || 0}`);
+    } else {
+      for (const [key, v] of m.values) lines.push(key ? `${name}{${key}} ${v}` : `${name} ${v}`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/* ---------- EVENTS ---------- */
+export async function recordChatTurn(trace, result, latencyMs) {
+  const meta = (result.body && result.body.meta) || {};
+  const event = {
+    type: "chat", ts: new Date().toISOString(), tenant: trace.tenant || DEFAULT_TENANT, sessionId: trace.sessionId, newSession: !!trace.newSession,
+    lang: trace.lang || meta.lang || null, route: trace.route, intent: (meta.intent && meta.intent.intent) || null,
+    provider: meta.provider || null, latencyMs, status: result.status,
+    leadSuggested: !!meta.leadSuggested, leadSaved: !!(meta.lead && meta.lead.status === "saved"),
+    ...(trace.tokens ? { tokens: trace.tokens } : {}),
+    ...(trace.sanitized ? { sanitized: trace.sanitized } : {}),
+    ...(trace.duplicate ? { duplicate: true } : {}),
+    ...(trace.question ? { question: trace.question.slice(0, 300), grounded: !!trace.grounded } : {}),
+    ...(trace.error ? { error: trace.error } : {})
+  };
+  if (event.newSession) countMetric("gt_sessions_started_total", "Chat sessions started");
+  countMetric("gt_chat_turns_total", "Chat turns by route taken", { route: event.route, tenant: event.tenant });
+  if (event.intent) countMetric("gt_chat_intents_total", "Chat turns by resolved intent", { intent: event.intent });
+  if (event.route === "model") countMetric("gt_model_replies_total", "Model fallback replies by provider", { provider: event.provider || "none" });
+  observe("gt_chat_latency_seconds", "Chat turn latency", latencyMs / 1000);
+  if (event.tokens) {
+    countMetric("gt_model_tokens_total", "Model tokens (estimated when the provider does not report them)", { direction: "input" }, event.tokens.input || 0);
+    countMetric("gt_model_tokens_total", "Model tokens (estimated when the provider does not report them)", { direction: "output" }, event.tokens.output || 0);
+  }
+  for (const rule of [].concat(event.sanitized || [])) countMetric("gt_sanitizer_triggers_total", "Model replies changed or flagged by a guardrail rule", { rule });
+  if (event.duplicate) countMetric("gt_duplicate_replies_suppressed_total", "Model replies replaced because they repeated the previous one");
+  if (event.leadSuggested) countMetric("gt_lead_prompts_total", "Replies that suggested booking a consultation");
+  if (event.leadSaved) countMetric("gt_leads_total", "Leads saved", { source: "widget-chat", tenant: event.tenant });
+  if (result.status >= 500) countMetric("gt_chat_errors_total", "Chat turns that failed");
+  await appendEvent(event);
+}
+
+export async function recordHandoff(trace, result, latencyMs) {
+  const event = { type: "handoff", ts: new Date().toISOString(), tenant: trace.tenant || DEFAULT_TENANT, sessionId: trace.sessionId || null, outcome: trace.outcome || "failed", status: result.status, latencyMs };
+  countMetric("gt_handoffs_total", "Handoff form submissions by outcome", { outcome: event.outcome, tenant: event.tenant });
+  if (event.outcome === "submitted") countMetric("gt_leads_total", "Leads saved", { source: "widget-handoff", tenant: event.tenant });
+  await appendEvent(event);
+}
+
+/* ---------- REPORTS ---------- */
+function percentile(sorted, p) {
+  return sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : null;
+}
+function normalizeQuestion(q) {
+  return String(q).toLowerCase().replace(/\s+/g, " ").replace(/^[\s\p{P}]+|[\s\p{P}]+$/gu, "");
+}
+const bump = (obj, key, by = 1) => { obj[key] = (obj[key] || 0) + by; };
+
+/*
+ * Aggregate events: per-day counts, the lead funnel (session started -> engaged -> saw the booking
+ * prompt -> left contact details) and the most frequent questions the model had no grounding for
+ * or failed to answer.
+ */
+export function summarize(events, { top = 10 } = {}) {
+  const days = new Map();
+  const day = d => {
+    if (!days.has(d)) days.set(d, { date: d, sessions: 0, turns: 0, routes: {}, intents: {}, modelTurns: 0, latencies: [], tokens: { input: 0, output: 0 }, sanitized: 0, duplicates: 0, leadPrompts: 0, chatLeads: 0, handoffs: {} });
+    return days.get(d);
+  };
+  const sessions = new Map();
+  const session = id => {
+    if (!sessions.has(id)) sessions.set(id, { turns: 0, prompted: false, handoff: false, chatLead: false });
+    return sessions.get(id);
+  };
+  const unanswered = new Map();
+
+  for (const e of events) {
+    const d = day(String(e.ts).slice(0, 10));
+    if (e.type === "chat") {
+      const s = session(e.sessionId);
+      s.turns++;
+      if (e.newSession) d.sessions++;
+      d.turns++;
+      bump(d.routes, e.route || "unknown");
+      if (e.intent) bump(d.intents, e.intent);
+      if (e.route === "model") d.modelTurns++;
+      d.latencies.push(e.latencyMs);
+      if (e.tokens) { d.tokens.input += e.tokens.input || 0; d.tokens.output += e.tokens.output || 0; }
+      if (e.sanitized) d.sanitized++;
+      if (e.duplicate) d.duplicates++;
+      if (e.leadSuggested) { d.leadPrompts++; s.prompted = true; }
+      if (e.leadSaved) { d.chatLeads++; s.chatLead = true; }
+      if (e.question && (!e.grounded || e.status >= 500)) {
+        const key = normalizeQuestion(e.question);
+        const u = unanswered.get(key) || { question: e.question, count: 0, lastAt: e.ts };
+        u.count++; u.lastAt = e.ts;
+        unanswered.set(key, u);
+      }
+    } else if (e.type === "handoff") {
+      bump(d.handoffs, e.outcome);
+      if (e.outcome === "submitted" && e.sessionId) session(e.sessionId).handoff = true;
+    }
+  }
+
+  const daily = [...days.values()].sort((a, b) => a.date.localeCompare(b.date)).map(({ latencies, ...d }) => {
+    const sorted = latencies.sort((a, b) => a - b);
+    return {
+      ...d,
+      fallbackRate: d.turns ? +(d.modelTurns / d.turns).toFixed(3) : 0,
+      latencyMs: { avg: sorted.length ? Math.round(sorted.reduce((n, v) => n + v, 0) / sorted.length) : null, p95: percentile(sorted, 0.95) }
+    };
+  });
+
+  const all = [...sessions.values()];
+  const rate = (n, of) => (of ? +(n / of).toFixed(3) : 0);
+  const prompted = all.filter(s => s.prompted);
+  const funnel = {
+    sessions: all.length,
+    engaged: all.filter(s => s.turns >= 2).length,
+    leadPromptShown: prompted.length,
+    handoffSubmitted: all.filter(s => s.handoff).length,
+    chatLeadCaptured: all.filter(s => s.chatLead).length,
+    converted: all.filter(s => s.handoff || s.chatLead).length
+  };
+  funnel.promptToHandoffRate = rate(prompted.filter(s => s.handoff).length, prompted.length);
+  funnel.promptToLeadRate = rate(prompted.filter(s => s.handoff || s.chatLead).length, prompted.length);
+  funnel.conversionRate = rate(funnel.converted, funnel.sessions);
+
+  return {
+    daily,
+    funnel,
+    unanswered: [...unanswered.values()].sort((a, b) => b.count - a.count || b.lastAt.localeCompare(a.lastAt)).slice(0, top)
+  };
+}
+
+/* ---------- ROUTE: /api/admin/metrics ----------
+ *   GET ?from=YYYY-MM-DD &to=YYYY-MM-DD (default: the last 30 days) &top=10 &tenant=
+ */
+export async function handleAdminMetrics(query, ctx) {
+  const denied = requireRole(ctx, ["admin", "counselor"]);
+  if (denied) return denied;
+  try {
+    const q = query || {};
+    for (const k of ["from", "to"]) {
+      if (q[k] && !/^\d{4}-\d{2}-\d{2}$/.test(q[k])) return { status: 400, body: { error: `${k} must be YYYY-MM-DD` } };
+    }
+    const from = q.from || new Date(Date.now() - 29 * 86400000).toISOString().slice(0, 10);
+    const to = q.to || new Date().toISOString().slice(0, 10);
+    const top = Math.min(Math.max(Number(q.top) || 10, 1), 100);
+    const scope = adminScope(ctx);
+    const events = (await listEvents({ since: from })).filter(e => String(e.ts).slice(0, 10) <= to && (!scope || belongsTo(e, scope)));
+    return { status: 200, body: { from, to, ...(scope ? { tenant: scope } : {}), events: events.length, ...summarize(events, { top }) } };
+  } catch (e) {
+    console.error("Admin metrics error:", e);
+    return { status: 500, body: { error: "internal" } };
+  }
+}
+
+/* ---------- ROUTE: /metrics (Prometheus text format) ---------- */
+export async function handleMetrics(query, ctx) {
+  const token = process.env.METRICS_TOKEN;
+  const header = (ctx && ctx.headers && ctx.headers.authorization) || "";
+  if (!(token && safeEqual(header, `Bearer ${token}`))) {
+    const denied = requireAdmin(ctx);
+    if (denied) return denied;
+  }
+  // queue depth comes from the store, so it is right across instances
+  const outbox = { type: "gauge", help: "Handoff outbox jobs by status", values: new Map() };
+  try {
+    for (const j of await listJobs()) {
+      const key = labelKey({ status: j.status });
+      outbox.values.set(key, (outbox.values.get(key) || 0) + 1);
+    }
+  } catch (e) { console.error("Metrics: outbox unavailable:", e.message); }
+  return { status: 200, body: prometheusText([["gt_outbox_jobs", outbox]]), headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" } };
+}
@@ -0,0 +1,85 @@
+// lib/auth.js — bearer credentials and roles for the non-widget routes
+//
+//   ADMIN_TOKEN   one shared admin key (the original setup; X-Admin-User names who is acting)
+//   API_KEYS      comma-separated key:role[:name[:tenant]], e.g. "k_9f2…:admin:ops,k_41c…:counselor:priya:pune"
+//   JWT_SECRET    HS256 tokens carrying { sub, role, exp, tenant? } — mint them with `npm run token`
+//   a credential with a tenant only sees that tenant's leads and conversations (lib/tenants.js); without
+//   one it sees every tenant
+import crypto from "crypto";
+
+export const ROLES = ["admin", "counselor"];
+
+export function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const b64url = buf => Buffer.from(buf).toString("base64url");
+
+export function signJwt(claims, secret = process.env.JWT_SECRET) {
+  if (!secret) throw new Error("JWT_SECRET is not set");
+  const head = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify({ iat: Math.floor(Date.now() / 1000), ...claims }));
+  return `${head}.${body}.${crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest("base64url")}`;
+}
+
+/* claims of a valid, unexpired HS256 token, else null; a token without `exp` would never expire, so it is refused */
+export function verifyJwt(token, secret = process.env.JWT_SECRET) {
+  if (!secret) return null;
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+  const [head, body, sig] = parts;
+  if (!safeEqual(sig, crypto.createHmac("sha256", secret).update(`${head}.${body}`).digest("base64url"))) return null;
+  try {
+    if (JSON.parse(Buffer.from(head, "base64url").toString()).alg !== "HS256") return null;
+    const claims = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) return null;
+    return claims;
+  } catch (e) {
+    return null;
+  }
+}
+
+function apiKeys() {
+  return String(process.env.API_KEYS || "").split(",").map(s => s.trim()).filter(Boolean).map(entry => {
+    const [key, role, name, tenant] = entry.split(":");
+    return { key, role, name: name || role, tenant: tenant || null };
+  }).filter(k => k.key && ROLES.includes(k.role));
+}
+
+function configured() {
+  return !!(process.env.ADMIN_TOKEN || process.env.JWT_SECRET || apiKeys().length);
+}
+
+/* { role, name, tenant } for the request's `Authorization: Bearer …` credential, or null */
+export function authenticate(ctx) {
+  const header = (ctx && ctx.headers && ctx.headers.authorization) || "";
+  const m = header.match(/^Bearer\s+(.+)$/i);
+  if (!m) return null;
+  const token = m[1].trim();
+  const actingAs = String((ctx.headers && ctx.headers["x-admin-user"]) || "").trim().slice(0, 100);
+  if (process.env.ADMIN_TOKEN && safeEqual(token, process.env.ADMIN_TOKEN)) return { role: "admin", name: actingAs || "admin", tenant: null };
+  const key = apiKeys().find(k => safeEqual(token, k.key));
+  if (key) return { role: key.role, name: key.name, tenant: key.tenant };
+  const claims = verifyJwt(token);
+  if (claims && ROLES.includes(claims.role)) return { role: claims.role, name: String(claims.sub || claims.role), tenant: claims.tenant ? String(claims.tenant) : null };
+  return null;
+}
+
+/*
+ * Null when the request carries a credential whose role is in `roles` (the caller is then
+ * `ctx.user`), else the error result to return: 503 when no credentials are configured at all,
+ * 401 without a valid one, 403 when the role may not use the route.
+ */
+export function requireRole(ctx, roles) {
+  if (!configured()) return { status: 503, body: { error: "admin API disabled (set ADMIN_TOKEN, API_KEYS or JWT_SECRET)" } };
+  const user = authenticate(ctx);
+  if (!user) return { status: 401, body: { error: "unauthorized" }, headers: { "WWW-Authenticate": "Bearer" } };
+  if (!roles.includes(user.role)) return { status: 403, body: { error: `forbidden for role ${user.role}` } };
+  ctx.user = user;
+  return null;
+}
+
+export function requireAdmin(ctx) {
+  return requireRole(ctx, ["admin"]);
+}
@@ -0,0 +1,109 @@
+// lib/canned.js — fixed replies and prompts (no model call); {brand} and {contactWindow} come from the tenant (lib/tenants.js)
+
+export const SYSTEM_INSTRUCTION = process.env.SYSTEM_INSTRUCTION || `
+You are {brand}'s short-answer assistant. Always keep replies concise, factual, and action-oriented.
+Prefer 3-6 bullets for list queries and max 3 numbered steps for process queries.
+Reply in the language and script the user writes in (English, Hindi or Hinglish).
+Do not ask multi-domain questions (no medical/business/legal prompts). If user asks for a consultation, ask only: name, email, phone.
+`;
+
+export const SUMMARY_INSTRUCTION = `
+You maintain a study-abroad chat assistant's memory. Summarize the conversation in at most 5 short bullets:
+the student's goals (countries, level, field, budget, intake), facts they shared, and open questions.
+Leave out contact details and anything the assistant merely suggested.
+`;
+
+// intent replies (greeting, booking prompt, calls to action) live in data/intents.json
+export const DUPLICATE_ACK = "I've already shared that — would you like help booking a consultation?";
+export const TRUNCATED_SUFFIX = "\n\nFor full details, please book a free consultation with {brand}.";
+export const UNVERIFIED_NOTE = "\n\nFees, dates and links change often — a {brand} counselor can confirm the current ones for you.";
+export const ERROR_REPLY = "Sorry, I'm having trouble connecting to the service.";
+
+/* canned lists */
+export const CANNED = {
+  global_top: [
+    "• Massachusetts Institute of Technology (MIT)",
+    "• Stanford University",
+    "• Harvard University",
+    "• University of Cambridge",
+    "• University of Oxford"
+  ],
+  canada: [
+    "• University of Toronto",
+    "• University of British Columbia",
+    "• McGill University",
+    "• University of Waterloo"
+  ],
+  usa: [
+    "• MIT",
+    "• Stanford University",
+    "• Harvard University",
+    "• UC Berkeley"
+  ],
+  uk: [
+    "• University of Oxford",
+    "• University of Cambridge",
+    "• Imperial College London",
+    "• UCL"
+  ],
+  australia: [
+    "• University of Melbourne",
+    "• University of Sydney",
+    "• Australian National University (ANU)",
+    "• UNSW Sydney"
+  ],
+  scholarships_short: [
+    "• Government scholarships (e.g., Fulbright, Chevening, Australia Awards)",
+    "• University-specific scholarships (merit/need-based)",
+    "• Country-level entrance scholarships (provincial/state schemes)",
+    "• External funding bodies and foundations"
+  ],
+  visa_process_short: [
+    "1. Check visa category & eligibility on official consulate site.",
+    "2. Prepare documents (passport, admission letter, financials, biometrics).",
+    "3. Book appointment / pay fees / attend biometrics & wait for decision."
+  ]
+};
+
+/* conversational lead capture ({name}, {email}, {phone}, {fields} are filled in) */
+export const LEAD_PROMPTS = {
+  ask: "Thanks{name}! Please share your {fields} so a {brand} counselor can reach you.",
+  invalidEmail: "That email address doesn't look right — could you check it?",
+  invalidPhone: "That phone number doesn't look right — please share a 10-digit mobile number (with or without 0/+91), or include your country code.",
+  saved: "Thanks, {name}! A {brand} counselor will contact you {contactWindow} on {phone} or at {email}.",
+  cancelled: "No problem — I won't save your details. Ask me anything else about studying abroad.",
+  and: "and",
+  fields: { name: "full name", email: "email", phone: "phone number" }
+};
+
+/* catalog search replies ({filters} and {total} are filled in) */
+export const CATALOG_PROMPTS = {
+  programs: "Programs matching {filters}:",
+  scholarships: "Scholarships matching {filters}:",
+  more: "…and {total} more in our catalog.",
+  none: "I couldn't find anything in our catalog matching {filters}. Try a wider budget, another intake or a different country.",
+  indian: "for Indian students",
+  note: "Fees are indicative per year; please confirm on the university website.",
+  unconverted: "Your {currency} budget can't be compared with these fees yet, so they aren't filtered by it."
+};
+
+/* guided eligibility check ({fields}, {years}, {asOf}, {need}, {have}, {over} are filled in) */
+export const ELIGIBILITY_PROMPTS = {
+  ask: "Please share your {fields}.",
+  and: "and",
+  fields: {
+    level: "target level (bachelors or masters)",
+    gpa: "CGPA or percentage",
+    english: "IELTS/TOEFL score (or \"not yet\")",
+    budget: "total budget (e.g. 30 lakh or 60k CAD)",
+    country: "target country (or \"any\")"
+  },
+  result: "Your shortlist:",
+  closest: "Nothing is a clear fit yet; the closest options:",
+  total: "for {years} yr",
+  verdicts: { eligible: "✓ likely eligible", stretch: "⚠ stretch", unlikely: "✗ unlikely" },
+  gaps: { gpa: "CGPA {have} vs {need} needed", english: "{have} vs {need} needed", englishPending: "English test still to take", budget: "over budget by {over}" },
+  none: "Nothing in our catalog fits this profile yet — a counselor can suggest options beyond it.",
+  note: "Estimates cover tuition, living costs and visa fees at exchange rates as of {asOf}; confirm with each university.",
+  cancelled: "No problem — I've stopped the eligibility check. Ask me anything else about studying abroad."
+};
@@ -0,0 +1,268 @@
+// lib/catalog.js — each tenant's university/scholarship catalog and the query layer over it
+//
+//   CATALOG_FILE   the default tenant's catalog (default data/catalog.json). Any other tenant answers
+//                  from data/catalog.<tenant id>.json next to it when that exists, or the file its
+//                  `catalog` setting names ("data/catalog.json" shares GlobalTree's); without one, or
+//                  with `catalog: false`, it has no catalog and its chat never takes the catalog route.
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { detectCountry, intentText, normalize, has } from "./intents.js";
+import { CATALOG_PROMPTS } from "./canned.js";
+import { localized } from "./lang.js";
+import { convert, formatMoney } from "./rates.js";
+import { DEFAULT_TENANT, tenantOf } from "./tenants.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+
+const DEFAULT_FILE = process.env.CATALOG_FILE || path.resolve(ROOT, "data/catalog.json");
+const EMPTY = { fields: {}, universities: [], scholarships: [] };
+const catalogs = new Map();
+
+export function loadCatalog(file = DEFAULT_FILE) {
+  const catalog = JSON.parse(fs.readFileSync(file, "utf8"));
+  catalogs.set(path.resolve(file), catalog);
+  return catalog;
+}
+
+/* the catalog file a tenant answers from, or null when it has none */
+export function catalogFile(tenant = null) {
+  if (!tenant || (tenant.id === DEFAULT_TENANT && tenant.catalog == null)) return path.resolve(DEFAULT_FILE);
+  if (tenant.catalog === false) return null;
+  const file = tenant.catalog ? path.resolve(ROOT, tenant.catalog) : path.resolve(path.dirname(DEFAULT_FILE), `catalog.${tenant.id}.json`);
+  if (!fs.existsSync(file)) {
+    if (tenant.catalog) console.warn(`Catalog ${file} for tenant ${tenant.id} not found; answering without one.`);
+    return null;
+  }
+  return file;
+}
+
+/* a tenant without a catalog gets an empty one, so every search simply finds nothing */
+export function getCatalog(tenant = null) {
+  const file = catalogFile(tenant);
+  if (!file) return EMPTY;
+  return catalogs.get(file) || loadCatalog(file);
+}
+
+/* ---------- VOCABULARY ---------- */
+export const LEVELS = {
+  masters: ["masters", "master", "ms", "msc", "meng", "mcomp", "mba", "pg", "postgraduate", "post graduate", "pgdm"],
+  bachelors: ["bachelors", "bachelor", "ug", "undergraduate", "undergrad", "btech", "b tech", "bsc", "bs", "ba", "bba"],
+  phd: ["phd", "ph d", "doctorate", "doctoral"]
+};
+const SCHOLARSHIP_WORDS = ["scholarship", "scholarships", "funding", "funded", "grant", "grants", "bursary", "bursaries", "stipend", "financial aid", "fee waiver"];
+const NATIONALITIES = { IN: ["indian", "india", "from india"] };
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const SEASONS = { fall: ["Aug", "Sep", "Oct"], autumn: ["Aug", "Sep", "Oct"], winter: ["Jan", "Feb"], spring: ["Jan", "Feb", "Mar"], summer: ["May", "Jun", "Jul"] };
+const CURRENCIES = {
+  CAD: ["cad", "c$"], USD: ["usd", "us$"], GBP: ["gbp", "£", "pounds", "pound"], AUD: ["aud", "a$"],
+  EUR: ["eur", "€", "euros", "euro"], SGD: ["sgd", "s$"], INR: ["inr", "₹", "rs", "rupees"]
+};
+const COUNTRY_CURRENCY = { canada: "CAD", usa: "USD", uk: "GBP", australia: "AUD", germany: "EUR", singapore: "SGD" };
+
+function firstKey(norm, table) {
+  return Object.keys(table).find(key => table[key].some(t => has(norm, t))) || null;
+}
+
+function currencyOf(token, country) {
+  const t = String(token || "").toLowerCase();
+  if (!t) return null;
+  for (const [code, names] of Object.entries(CURRENCIES)) if (names.includes(t)) return code;
+  if (t === "$" || t.startsWith("dollar")) return ["CAD", "AUD", "SGD"].includes(COUNTRY_CURRENCY[country]) ? COUNTRY_CURRENCY[country] : "USD";
+  return null;
+}
+
+/* "under 30k CAD", "below £25,000", "budget of 20 lakh": { amount, currency } */
+function parseBudget(text, country) {
+  const m = String(text).match(/(?:under|below|less than|within|upto|up to|max(?:imum)?|budget(?: of| is)?|<)\s*(c\$|us\$|a\$|s\$|[$£€₹])?\s*(\d+(?:[.,]\d+)*)\s*(k|lakhs?|lacs?|l)?\b\s*(cad|usd|gbp|aud|eur|sgd|inr|dollars?|pounds?|euros?|rupees)?/i);
+  if (!m) return null;
+  let amount = Number(m[2].replace(/,/g, ""));
+  if (!Number.isFinite(amount)) return null;
+  const unit = (m[3] || "").toLowerCase();
+  if (unit === "k") amount *= 1000;
+  const lakh = unit.startsWith("l");
+  if (lakh) amount *= 100000;
+  // no currency given: lakhs are rupees, otherwise assume the destination's own currency
+  const currency = currencyOf(m[4] || m[1], country) || (lakh ? "INR" : COUNTRY_CURRENCY[country] || null);
+  return { amount, currency };
+}
+
+function parseIntake(norm) {
+  for (const [season, months] of Object.entries(SEASONS)) if (has(norm, season)) return months;
+  // "may" is too common a word to count on its own
+  const i = MONTHS.findIndex(m => new RegExp(m === "may" ? " may intake " : ` ${m}[a-z]* `).test(norm));
+  return i === -1 ? null : [MONTHS[i][0].toUpperCase() + MONTHS[i].slice(1)];
+}
+
+/*
+ * Free text to filters: { type, country, level, field, budget, intake, ielts, nationality }.
+ * Anything not mentioned stays null; `type` is "scholarships" when the text asks about funding.
+ */
+export function parseCatalogQuery(text, tenant = null) {
+  const norm = normalize(text);
+  const country = detectCountry(text);
+  const level = firstKey(norm, LEVELS);
+  let field = firstKey(norm, getCatalog(tenant).fields);
+  if (!field && has(norm, "mba")) field = "business";
+  const ielts = String(text).match(/\bielts\s*(?:score\s*(?:of\s*)?)?(\d(?:\.\d)?)\b/i);
+  return {
+    type: SCHOLARSHIP_WORDS.some(w => has(norm, w)) ? "scholarships" : "universities",
+    country,
+    level,
+    field,
+    budget: parseBudget(text, country),
+    intake: parseIntake(norm),
+    ielts: ielts ? Number(ielts[1]) : null,
+    nationality: firstKey(norm, NATIONALITIES)
+  };
+}
+
+/* ---------- SEARCH ---------- */
+/*
+ * Program rows matching every given filter. A program fits a budget when its lowest tuition,
+ * converted through data/rates.json, is within it (currencies missing from the rates file are not
+ * filtered). Ranked cheapest first under a budget, otherwise in catalog order.
+ */
+function inBudget(p, budget) {
+  const lowest = convert(p.tuition[0], p.currency, budget.currency);
+  return lowest == null ? null : lowest <= budget.amount;
+}
+
+export function searchPrograms(filters = {}, tenant = null) {
+  const rows = [];
+  for (const uni of getCatalog(tenant).universities) {
+    if (filters.country && uni.country !== filters.country) continue;
+    if (filters.university && uni.id !== filters.university) continue;
+    for (const p of uni.programs) {
+      if (filters.level && p.level !== filters.level) continue;
+      if (filters.field && p.field !== filters.field) continue;
+      if (filters.intake && !p.intakes.some(m => filters.intake.includes(m))) continue;
+      if (filters.ielts && p.english && p.english.ielts > filters.ielts) continue;
+      if (filters.budget && filters.budget.currency && inBudget(p, filters.budget) === false) continue;
+      rows.push({ university: uni.name, universityId: uni.id, country: uni.country, city: uni.city, ...p });
+    }
+  }
+  if (filters.budget && filters.budget.currency) {
+    const cost = p => convert(p.tuition[0], p.currency, filters.budget.currency) ?? Infinity;
+    rows.sort((a, b) => cost(a) - cost(b));
+  }
+  return rows;
+}
+
+/* scholarships for the country/level/nationality; ones aimed at the nationality rank above open ones */
+export function searchScholarships(filters = {}, tenant = null) {
+  const rank = s => (filters.nationality && s.nationalities.includes(filters.nationality) ? 0 : 1);
+  return getCatalog(tenant).scholarships
+    .filter(s => !filters.country || s.country === filters.country)
+    .filter(s => !filters.level || s.levels.includes(filters.level))
+    .filter(s => !filters.nationality || s.nationalities.includes(filters.nationality) || s.nationalities.includes("any"))
+    .map((s, i) => ({ s, i }))
+    .sort((a, b) => rank(a.s) - rank(b.s) || a.i - b.i)
+    .map(({ s }) => s);
+}
+
+export function searchCatalog(filters, tenant = null) {
+  return filters.type === "scholarships" ? searchScholarships(filters, tenant) : searchPrograms(filters, tenant);
+}
+
+/* the catalog university a message names ("UofT", "University of Toronto"), or null */
+export function findUniversity(text, tenant = null) {
+  const norm = normalize(text);
+  return getCatalog(tenant).universities.find(u => [u.name, ...(u.aliases || [])].some(n => has(norm, n))) || null;
+}
+
+/* university names for a country, in catalog order (the top-universities list for countries CANNED lacks) */
+export function universityNames(country, tenant = null) {
+  return getCatalog(tenant).universities.filter(u => u.country === country).map(u => u.name);
+}
+
+/* ---------- CHAT ---------- */
+function programLine(p) {
+  const english = p.english && p.english.ielts ? ` · IELTS ${p.english.ielts.toFixed(1)}` : "";
+  return `• ${p.university} (${p.city}) — ${p.name}: ${formatMoney(p.tuition[0], p.currency)}–${formatMoney(p.tuition[1], p.currency).replace(p.currency + " ", "")}/yr · ${p.intakes.join("/")} intake${english}`;
+}
+function scholarshipLine(s) {
+  return `• ${s.name} (${s.country.toUpperCase()}) — ${s.amount}; deadline ${s.deadline}`;
+}
+
+/*
+ * Is the message a concrete catalog question? Scholarships need a country, level or nationality;
+ * programs need two filters ("masters in Canada", "data science under 30k") so a bare
+ * "I want to study masters" still gets the general answer.
+ */
+export function isCatalogQuery(filters) {
+  if (filters.type === "scholarships") return !!(filters.country || filters.level || filters.nationality);
+  return [filters.country, filters.level, filters.field, filters.budget, filters.intake, filters.ielts].filter(Boolean).length >= 2;
+}
+
+function describe(filters, prompts) {
+  const parts = [];
+  if (filters.level) parts.push(filters.level);
+  if (filters.field) parts.push(filters.field);
+  if (filters.country) parts.push(filters.country.length <= 3 ? filters.country.toUpperCase() : filters.country[0].toUpperCase() + filters.country.slice(1));
+  if (filters.budget && filters.budget.currency) parts.push("under " + formatMoney(filters.budget.amount, filters.budget.currency));
+  if (filters.intake) parts.push(filters.intake.join("/") + " intake");
+  if (filters.ielts) parts.push("IELTS " + filters.ielts);
+  if (filters.nationality === "IN") parts.push(prompts.indian);
+  return parts.join(" · ");
+}
+
+/* chat reply for a catalog query: up to `limit` ranked results, the fee caveat and a call to action */
+export function catalogReply(filters, { limit = 4, lang = "en", tenant = null } = {}) {
+  const results = searchCatalog(filters, tenant);
+  const scholarships = filters.type === "scholarships";
+  const prompts = localized(lang, "catalog", CATALOG_PROMPTS, tenant);
+  const fill = t => t.replace("{filters}", describe(filters, prompts)).replace("{total}", results.length - limit);
+  const cta = intentText(scholarships ? "scholarships" : "top_universities", "cta", lang, tenant);
+  if (!results.length) return { content: fill(prompts.none) + "\n\n" + cta, total: 0 };
+  const lines = [fill(scholarships ? prompts.scholarships : prompts.programs), ...results.slice(0, limit).map(scholarships ? scholarshipLine : programLine)];
+  if (results.length > limit) lines.push(fill(prompts.more));
+  if (!scholarships) lines.push(prompts.note);
+  const budget = filters.budget && filters.budget.currency;
+  if (!scholarships && budget && results.slice(0, limit).some(p => inBudget(p, filters.budget) == null)) lines.push(prompts.unconverted.replace("{currency}", budget));
+  return { content: lines.join("\n") + "\n\n" + cta, total: results.length };
+}
+
+/* ---------- HTTP ---------- */
+/*
+ * GET /api/catalog?q=masters in data science in Canada under 30k CAD
+ * Explicit params (type, country, level, field, maxTuition + currency, intake, ielts, nationality)
+ * override whatever `q` parsed to; `limit` caps results (default 20). Searches the caller's tenant's catalog.
+ */
+export async function handleCatalog(query, ctx) {
+  const tenant = tenantOf(ctx);
+  const file = catalogFile(tenant);
+  if (!file) return { status: 404, body: { error: "no catalog for this tenant" } };
+  const catalog = getCatalog(tenant);
+  const q = query || {};
+  const filters = parseCatalogQuery(q.q || "", tenant);
+  if (q.type) {
+    if (!["universities", "scholarships"].includes(q.type)) return { status: 400, body: { error: "type must be universities or scholarships" } };
+    filters.type = q.type;
+  }
+  if (q.country) {
+    filters.country = detectCountry(q.country) || String(q.country).toLowerCase();
+    if (!COUNTRY_CURRENCY[filters.country]) return { status: 400, body: { error: "unknown country" } };
+  }
+  if (q.level) {
+    if (!LEVELS[q.level]) return { status: 400, body: { error: `level must be one of ${Object.keys(LEVELS).join(", ")}` } };
+    filters.level = q.level;
+  }
+  if (q.field) {
+    if (!catalog.fields[q.field]) return { status: 400, body: { error: `field must be one of ${Object.keys(catalog.fields).join(", ")}` } };
+    filters.field = q.field;
+  }
+  if (q.maxTuition) {
+    const amount = Number(q.maxTuition);
+    if (!Number.isFinite(amount) || amount <= 0) return { status: 400, body: { error: "maxTuition must be a positive number" } };
+    filters.budget = { amount, currency: q.currency ? String(q.currency).toUpperCase() : COUNTRY_CURRENCY[filters.country] || null };
+  }
+  if (q.intake) filters.intake = parseIntake(normalize(q.intake + " intake"));
+  if (q.ielts) filters.ielts = Number(q.ielts) || null;
+  if (q.nationality) filters.nationality = String(q.nationality).toUpperCase();
+
+  const limit = Math.min(Math.max(Number(q.limit) || 20, 1), 100);
+  const results = searchCatalog(filters, tenant);
+  return { status: 200, body: { filters, total: results.length, results: results.slice(0, limit), note: catalog.note } };
+}
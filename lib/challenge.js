@@ -0,0 +1,98 @@
+// lib/challenge.js — optional bot check for the handoff form: proof-of-work or a CAPTCHA token
+//
+//   HANDOFF_CHALLENGE  off (default) | pow | turnstile | hcaptcha | recaptcha
+//   pow:      POW_SECRET signs challenges (set it when more than one instance serves requests),
+//             POW_DIFFICULTY leading zero bits of sha256(challenge + ":" + nonce) (default 16)
+//   captcha:  CAPTCHA_SITE_KEY is handed to the widget, CAPTCHA_SECRET verifies the token
+import crypto from "crypto";
+import { getLimitStore } from "./ratelimit.js";
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const VERIFY_URLS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  hcaptcha: "https://api.hcaptcha.com/siteverify",
+  recaptcha: "https://www.google.com/recaptcha/api/siteverify"
+};
+
+function mode() {
+  const m = (process.env.HANDOFF_CHALLENGE || "off").toLowerCase();
+  if (m === "off" || m === "pow" || VERIFY_URLS[m]) return m;
+  console.error(`Unknown HANDOFF_CHALLENGE "${m}" (expected off, pow, turnstile, hcaptcha or recaptcha); using pow`);
+  return "pow";
+}
+function difficulty() { return Math.min(Number(process.env.POW_DIFFICULTY) || 16, 24); }
+
+let processSecret = null;
+function powSecret() {
+  if (process.env.POW_SECRET) return process.env.POW_SECRET;
+  if (!processSecret) processSecret = crypto.randomBytes(32).toString("hex");
+  return processSecret;
+}
+function sign(payload) {
+  return crypto.createHmac("sha256", powSecret()).update(payload).digest("hex").slice(0, 32);
+}
+
+/* count of leading zero bits in a hex digest */
+export function leadingZeroBits(hex) {
+  let bits = 0;
+  for (const ch of hex) {
+    const n = parseInt(ch, 16);
+    if (n === 0) { bits += 4; continue; }
+    return bits + Math.clz32(n) - 28;
+  }
+  return bits;
+}
+
+/* what the widget must do before submitting: { type: null } | { type: "pow", … } | { type: <captcha>, siteKey } */
+export function handoffChallenge() {
+  const m = mode();
+  if (m === "off") return { type: null };
+  if (m === "pow") {
+    const payload = `${Date.now()}.${difficulty()}.${crypto.randomBytes(8).toString("hex")}`;
+    return { type: "pow", challenge: `${payload}.${sign(payload)}`, difficulty: difficulty() };
+  }
+  return { type: m, siteKey: process.env.CAPTCHA_SITE_KEY || "" };
+}
+
+async function verifyPow(pow) {
+  if (!pow || typeof pow.challenge !== "string" || typeof pow.nonce !== "string" || pow.nonce.length > 32) return false;
+  const parts = pow.challenge.split(".");
+  if (parts.length !== 4) return false;
+  const [ts, bits, , mac] = parts;
+  const payload = parts.slice(0, 3).join(".");
+  const expected = sign(payload);
+  if (mac.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected))) return false;
+  if (!(Date.now() - Number(ts) < CHALLENGE_TTL_MS) || Number(bits) < difficulty()) return false;
+  const digest = crypto.createHash("sha256").update(`${pow.challenge}:${pow.nonce}`).digest("hex");
+  if (leadingZeroBits(digest) < Number(bits)) return false;
+  // each solved challenge is good for one submission
+  return (await getLimitStore().incr(`pow:${mac}`, CHALLENGE_TTL_MS)) === 1;
+}
+
+async function verifyCaptcha(provider, token, ip) {
+  if (typeof token !== "string" || !token || token.length > 4096) return false;
+  const secret = process.env.CAPTCHA_SECRET;
+  if (!secret) throw new Error(`HANDOFF_CHALLENGE=${provider} needs CAPTCHA_SECRET`);
+  const form = new URLSearchParams({ secret, response: token });
+  if (ip) form.set("remoteip", ip);
+  const res = await fetch(VERIFY_URLS[provider], { method: "POST", body: form });
+  if (!res.ok) throw new Error(`${provider} verify HTTP ${res.status}`);
+  return (await res.json()).success === true;
+}
+
+/*
+ * Null when the handoff body passes the configured check (or none is configured), else the error
+ * result to return. A verifier that cannot be reached fails closed with 503 — the widget's retry
+ * keeps its idempotency key, so the lead is not duplicated when it goes through.
+ */
+export async function verifyHandoffChallenge(body, ctx = {}) {
+  const m = mode();
+  if (m === "off") return null;
+  try {
+    const ok = m === "pow" ? await verifyPow(body.pow) : await verifyCaptcha(m, body.captchaToken, ctx.ip);
+    return ok ? null : { status: 403, body: { error: "verification failed, please try again" } };
+  } catch (e) {
+    console.error("Handoff verification error:", e.message);
+    return { status: 503, body: { error: "verification unavailable, please try again" } };
+  }
+}
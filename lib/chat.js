@@ -0,0 +1,216 @@
+// lib/chat.js — the one chat engine; server.js and api/*.js only adapt it to HTTP
+import { resolveIntents, renderReply, intentMeta, intentText, intentEnabled } from "./intents.js";
+import { SYSTEM_INSTRUCTION, DUPLICATE_ACK, ERROR_REPLY } from "./canned.js";
+import { sanitizeReply, createStreamSanitizer } from "./sanitize.js";
+import { completeReply, streamReply } from "./providers/index.js";
+import { appendConversation, getConversation, getLastAssistantReply, getSessionState, setSessionState, updateLiveChat } from "./store.js";
+import { leadTurn, redactPII, contactNames } from "./leads.js";
+import { eligibilityTurn } from "./eligibility.js";
+import { search, contextBlock } from "./knowledge.js";
+import { openSession, estimateTokens, sessionTurns, sessionHistory, summaryBlock } from "./session.js";
+import { parseCatalogQuery, isCatalogQuery, catalogReply, catalogFile } from "./catalog.js";
+import { LANGS, detectLanguage, localized, languageBlock, tenantLanguage } from "./lang.js";
+import { validateBody } from "./validate.js";
+import { requireRole } from "./auth.js";
+import { recordChatTurn } from "./analytics.js";
+import { tenantOf, tenantText, belongsTo, adminScope } from "./tenants.js";
+import { attachedAgent, requestAgent, liveView } from "./live.js";
+
+// canned intents a concrete catalog search can answer more precisely
+const CATALOG_INTENTS = new Set(["programs", "top_universities", "scholarships"]);
+
+const MESSAGE_MAX = Number(process.env.CHAT_MESSAGE_MAX) || 2000;
+const CHAT_BODY = {
+  message: { type: "string", maxLength: MESSAGE_MAX },
+  sessionId: { type: "string", format: "sessionId" },
+  // legacy clients post their whole transcript; only the last entry is read, but the rest is still capped
+  messages: {
+    type: "array", maxItems: 50,
+    items: { type: "object", fields: { role: { type: "string", required: true, enum: ["user", "assistant"] }, content: { type: "string", required: true, maxLength: MESSAGE_MAX } } }
+  }
+};
+
+function reply(sessionId, content, meta) {
+  return { status: 200, body: { message: { role: "assistant", content }, sessionId, meta } };
+}
+
+/* model reply forwarded chunk by chunk to onToken: { content (after the guardrails), provider, usage?, guardrails } */
+async function streamedReply(history, message, system, guard, onToken) {
+  const stream = createStreamSanitizer(guard);
+  const info = {};
+  const report = {};
+  for await (const chunk of streamReply(history, message, { system }, info)) {
+    const { text, stop } = stream.push(chunk);
+    if (stop) break;
+    if (text) onToken(text);
+  }
+  const content = stream.finish(report);
+  return { content, provider: info.provider, usage: info.usage, guardrails: report.guardrails || [] };
+}
+
+// `guard` is the guardrail context (lib/sanitize.js): { lang, tenant, question, passages }
+async function wholeReply(history, message, system, guard) {
+  const { text, provider, usage } = await completeReply(history, message, { system });
+  const report = {};
+  const content = sanitizeReply(text, guard, report) || "";
+  return { content, provider, usage, guardrails: report.guardrails || [] };
+}
+
+/* ---------- ROUTING (FORCE CANNED SHORT REPLIES FOR COMMON INTENTS) ---------- */
+// opts.onToken: when given, the model fallback streams into it; canned routes never call it
+export async function handleChat(body, opts = {}) {
+  const started = Date.now();
+  const trace = {};
+  const result = await chatTurn(body, opts, trace);
+  if (trace.sessionId) await recordChatTurn(trace, result, Date.now() - started);
+  return result;
+}
+
+// `trace` collects what the analytics event needs: session, route taken, model usage, guardrail hits
+async function chatTurn(body, opts, trace) {
+  const tenant = tenantOf(opts);
+  trace.tenant = tenant.id;
+  let lang = tenantLanguage("en", tenant);
+  try {
+    const invalid = validateBody(CHAT_BODY, body);
+    if (invalid) return { status: 400, body: { error: invalid } };
+    const { message, messages, sessionId: clientSession } = body;
+    // only the new message is taken from the client; legacy `messages` arrays contribute their last entry
+    const incoming = message != null ? message : Array.isArray(messages) && messages.length ? messages[messages.length - 1] : null;
+    const lastUserMessage = String((incoming && typeof incoming === "object" ? incoming.content : incoming) || "").trim();
+    if (!lastUserMessage) {
+      return { status: 400, body: { error: "message is required" } };
+    }
+
+    const { sessionId, created } = await openSession(clientSession, tenant.id);
+    Object.assign(trace, { sessionId, newSession: created, route: "error" });
+    const state = (await getSessionState(sessionId)) || {};
+    // the stored transcript never holds contact details: they go into the lead, the transcript gets [email]/[phone]/[name]
+    const names = contactNames(state, lastUserMessage);
+    const record = (role, content) => appendConversation(sessionId, { role, content: redactPII(role === "assistant" ? tenantText(tenant, lang, content) : content, names), tenant: tenant.id });
+    await record("user", lastUserMessage);
+
+    // language per message; short, ambiguous ones ("ok", a name) keep the session's, and the tenant may offer only some
+    lang = tenantLanguage(detectLanguage(lastUserMessage, state.lang), tenant);
+    if (state.lang !== lang) { state.lang = lang; await setSessionState(sessionId, state); }
+    trace.lang = lang;
+    const say = (content, meta) => reply(sessionId, tenantText(tenant, lang, content), { ...meta, lang });
+
+    // LIVE: a counselor is attached (lib/live.js) — they answer, the bot stays silent
+    const live = await attachedAgent(sessionId);
+    if (live) {
+      trace.route = "agent";
+      await updateLiveChat(sessionId, { studentTypingAt: null });
+      return { status: 200, body: { message: null, sessionId, meta: { lang, live: liveView(live) } } };
+    }
+
+    const resolved = resolveIntents(lastUserMessage, lang, tenant);
+    const intent = intentMeta(resolved);
+
+    // 0) LEAD CAPTURE: booking intent, or contact details typed into the chat, fill name/email/phone
+    const wantsLead = resolved.intents.some(i => i.intent === "lead");
+    const onTopic = resolved.intents.some(i => i.intent !== "lead");
+    const lead = await leadTurn({ sessionId, text: lastUserMessage, state, start: wantsLead, onTopic, transcript: await sessionTurns(sessionId), lang, tenant });
+    // a booking request composed with other intents keeps its canned reply unless details came with it
+    if (lead && (lead.captured || !onTopic)) {
+      trace.route = "lead";
+      await record("assistant", lead.content);
+      // details captured in the chat are a handoff too: the session joins the counselor queue
+      const queued = lead.lead.status === "saved" ? await requestAgent({ sessionId, tenant, leadId: state.lead.leadId }) : null;
+      return say(lead.content, { intent: { ...intent, intent: "lead" }, leadSuggested: wantsLead && !lead.captured, lead: lead.lead, ...(queued ? { live: queued } : {}) });
+    }
+
+    // 0b) ELIGIBILITY CHECK: profile questions, then a shortlist with estimated costs
+    const check = await eligibilityTurn({ sessionId, text: lastUserMessage, state, start: resolved.primary === "eligibility", lang, tenant });
+    if (check) {
+      trace.route = "eligibility";
+      await record("assistant", check.content);
+      return say(check.content, { intent: { ...intent, intent: "eligibility" }, leadSuggested: check.done, ...(check.done ? { eligibility: check.result } : {}) });
+    }
+
+    // 1) GREETING: respond once per session with a short refocus message
+    if (resolved.primary === "greeting") {
+      trace.route = "greeting";
+      const greeting = intentText("greeting", "body", lang, tenant);
+      const greetings = LANGS.map(l => tenantText(tenant, l, intentText("greeting", "body", l, tenant)));
+      const greeted = (await getConversation(sessionId)).some(e => e.role === "assistant" && greetings.includes(e.content));
+      if (!greeted) {
+        await record("assistant", greeting);
+        return say(greeting, { intent, leadSuggested: false });
+      }
+      // if greeted before, return a tiny acknowledgment (no model)
+      return say(intentText("greeting", "repeat", lang, tenant), { intent: { ...intent, intent: "greeting_repeat" }, leadSuggested: false });
+    }
+
+    // 2) CATALOG: "masters in data science in Canada under 30k CAD" answered from the tenant's catalog.
+    //    Only when catalog intents resolved (none resolving is not enough) and the tenant answers the
+    //    kind of search it is: scholarships, or programs / top universities
+    if (resolved.intents.length && resolved.intents.every(i => CATALOG_INTENTS.has(i.intent)) && catalogFile(tenant)) {
+      const filters = parseCatalogQuery(lastUserMessage, tenant);
+      const answers = filters.type === "scholarships" ? ["scholarships"] : ["programs", "top_universities"];
+      if (isCatalogQuery(filters) && answers.some(name => intentEnabled(name, tenant))) {
+        trace.route = "catalog";
+        const { content, total } = catalogReply(filters, { lang, tenant });
+        await record("assistant", content);
+        return say(content, { intent: { ...intent, intent: "catalog" }, leadSuggested: false, catalog: { filters, total } });
+      }
+    }
+
+    // 3) CANNED INTENTS (top universities, scholarships, visa, booking): templates from data/intents.json
+    if (resolved.intents.length) {
+      trace.route = "canned";
+      const { content, leadSuggested } = renderReply(resolved, lastUserMessage, lang, tenant);
+      await record("assistant", content);
+      return say(content, { intent, leadSuggested });
+    }
+
+    // 4) FALLBACK: ask the model provider chain for anything else, grounded in our knowledge base and
+    //    the server's record of this session, then run its reply through the guardrails
+    const { history, summary } = await sessionHistory(sessionId, state);
+    const passages = search(lastUserMessage, { tenant });
+    const system = tenantText(tenant, lang, tenant.systemPrompt || SYSTEM_INSTRUCTION) + languageBlock(lang) + summaryBlock(summary) + contextBlock(passages);
+    const sources = passages.map(p => ({ id: p.id, title: p.title, heading: p.heading, score: p.score }));
+    // model turns keep the (redacted) question: ungrounded or failed ones are reported as unanswered
+    Object.assign(trace, { route: "model", question: redactPII(lastUserMessage, names), grounded: passages.length > 0 });
+    const guard = { lang, tenant, question: lastUserMessage, passages };
+    const { content, provider, usage, guardrails } = opts.onToken
+      ? await streamedReply(history, lastUserMessage, system, guard, opts.onToken)
+      : await wholeReply(history, lastUserMessage, system, guard);
+    // providers that do not report usage get the same rough estimate the history budget uses
+    trace.tokens = usage || {
+      input: estimateTokens(system + lastUserMessage + history.map(t => t.content).join("")), output: estimateTokens(content), estimated: true
+    };
+    if (guardrails.length) trace.sanitized = guardrails.map(g => g.rule);
+    const checked = guardrails.length ? { guardrails } : {};
+
+    // Prevent duplicate assistant replies
+    const lastAssist = await getLastAssistantReply(sessionId);
+    if (lastAssist && lastAssist.trim() === tenantText(tenant, lang, content).trim()) {
+      const ack = localized(lang, "duplicateAck", DUPLICATE_ACK, tenant);
+      trace.duplicate = true;
+      await record("assistant", ack);
+      return say(ack, { intent, leadSuggested: false, provider, sources, ...checked });
+    }
+
+    await record("assistant", content);
+    return say(content, { intent, provider, sources, ...checked });
+
+  } catch (err) {
+    console.error("Chat error:", err);
+    trace.error = String(err.message || err).slice(0, 200);
+    return { status: 500, body: { message: { role: "assistant", content: tenantText(tenant, lang, localized(lang, "errorReply", ERROR_REPLY, tenant)) }, error: "internal", meta: { lang } } };
+  }
+}
+
+/* ---------- TRANSCRIPT (counselors and admins) ---------- */
+export async function handleConversations(query, ctx) {
+  const denied = requireRole(ctx, ["admin", "counselor"]);
+  if (denied) return denied;
+  const { sessionId } = query || {};
+  if (!sessionId) return { status: 400, body: { error: "sessionId required" } };
+  const entries = await getConversation(sessionId);
+  const scope = adminScope(ctx);
+  // another tenant's session looks the same as one that does not exist
+  if (scope && entries.length && !belongsTo(entries[0], scope)) return { status: 404, body: { error: "session not found" } };
+  return { status: 200, body: { sessionId, entries } };
+}
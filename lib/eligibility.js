@@ -0,0 +1,313 @@
+// lib/eligibility.js — profile check and cost estimate against data/eligibility.json and the catalog
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { ELIGIBILITY_PROMPTS } from "./canned.js";
+import { intentText } from "./intents.js";
+import { localized } from "./lang.js";
+import { parseCatalogQuery, searchPrograms, findUniversity, LEVELS } from "./catalog.js";
+import { convert, formatMoney, getRates } from "./rates.js";
+import { getSessionState, setSessionState } from "./store.js";
+import { isCancel } from "./leads.js";
+import { sessionInTenant } from "./session.js";
+import { tenantOf } from "./tenants.js";
+import { validateBody } from "./validate.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+
+let rules = null;
+
+export function loadEligibilityRules(file = process.env.ELIGIBILITY_FILE || path.resolve(ROOT, "data/eligibility.json")) {
+  rules = JSON.parse(fs.readFileSync(file, "utf8"));
+  return rules;
+}
+export function eligibilityRules() {
+  return rules || loadEligibilityRules();
+}
+
+// asked for in this order; `english` is an IELTS or TOEFL score, or "not yet"
+const FIELDS = ["level", "gpa", "english", "budget", "country"];
+const SHORTLIST_SIZE = 5;
+
+/* ---------- PROFILE ---------- */
+/* any academic score on the 10-point CGPA scale: percentages are divided by 9.5, 4-point GPAs scaled */
+export function toCgpa(value, scale) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) return null;
+  const s = Number(scale) || (n > 10 ? 100 : n <= 4 ? 4 : 10);
+  if (s === 100) return n <= 100 ? Math.round((n / 9.5) * 10) / 10 : null;
+  if (s === 4) return n <= 4 ? Math.round(n * 2.5 * 10) / 10 : null;
+  return n <= 10 ? n : null;
+}
+
+function parseScore(text) {
+  const s = String(text);
+  const labelled = s.match(/\b(?:c?gpa|cpi|sgpa|percentage|marks)\s*(?:of|is|:|=)?\s*(\d{1,2}(?:\.\d+)?)\s*(%|percent)?(?:\s*\/\s*(10|4|100))?/i);
+  if (labelled) return toCgpa(labelled[1], labelled[2] ? 100 : labelled[3]);
+  const suffixed = s.match(/\b(\d{1,2}(?:\.\d+)?)\s*(?:\/\s*(10|4)\s*)?(%|percent|c?gpa|cpi|sgpa|pointer)/i);
+  if (suffixed) return toCgpa(suffixed[1], /%|percent/i.test(suffixed[3]) ? 100 : suffixed[2]);
+  return null;
+}
+
+/* bare "7.5" or "30 lakh" answering the question we just asked */
+function parseExpected(text, expect) {
+  const s = String(text).trim();
+  if (expect === "gpa") { const m = s.match(/^(\d{1,2}(?:\.\d+)?)\s*(%)?$/); return m ? toCgpa(m[1], m[2] ? 100 : undefined) : null; }
+  if (expect === "english") { const m = s.match(/^(\d(?:\.5)?|\d{2,3})$/); return m ? (Number(m[1]) <= 9 ? { ielts: Number(m[1]) } : { toefl: Number(m[1]) }) : null; }
+  if (expect === "budget") {
+    const m = s.match(/^(?:rs\.?|₹|inr)?\s*(\d+(?:\.\d+)?)\s*(lakhs?|lacs?|l|k|cr|crore)?\s*([a-z]{3})?$/i);
+    if (!m) return null;
+    const unit = (m[2] || "").toLowerCase();
+    const amount = Number(m[1]) * (unit.startsWith("l") ? 1e5 : unit === "k" ? 1e3 : unit.startsWith("cr") ? 1e7 : 1);
+    return { amount, currency: m[3] ? m[3].toUpperCase() : "INR" };
+  }
+  return null;
+}
+
+/*
+ * Profile fields found in one message: { level, gpa, ielts, toefl, englishPending, budget, country,
+ * university, field }. `expect` is the field we last asked for, so a bare answer fills it.
+ */
+export function parseProfile(text, { expect, tenant = null } = {}) {
+  const q = parseCatalogQuery(text, tenant);
+  const found = {};
+  if (q.level && q.level !== "phd") found.level = q.level;
+  if (q.field) found.field = q.field;
+  if (q.country) found.country = q.country;
+  if (q.budget && q.budget.currency) found.budget = q.budget;
+  if (q.ielts) found.ielts = q.ielts;
+  const toefl = String(text).match(/\btoefl\s*(?:score\s*(?:of\s*)?)?(\d{2,3})\b/i);
+  if (toefl) found.toefl = Number(toefl[1]);
+  if (/\b(not yet|no (?:ielts|toefl|test)|haven'?t (?:taken|given)|abhi nahi)\b/i.test(text)) found.englishPending = true;
+  if (/\b(any|anywhere|open|koi bhi)\b/i.test(text) && (expect === "country" || /countr/i.test(text))) found.country = "any";
+  const uni = findUniversity(text, tenant);
+  if (uni) { found.university = uni.id; found.country = uni.country; }
+  const gpa = parseScore(text);
+  if (gpa) found.gpa = gpa;
+
+  if (expect && !Object.keys(found).length) {
+    const bare = parseExpected(text, expect);
+    if (bare != null) {
+      if (expect === "gpa") found.gpa = bare;
+      else if (expect === "english") Object.assign(found, bare);
+      else found[expect] = bare;
+    }
+  }
+  return found;
+}
+
+function missingFields(profile) {
+  return FIELDS.filter(k => (k === "english" ? !(profile.ielts || profile.toefl || profile.englishPending) : profile[k] == null));
+}
+
+/* ---------- ESTIMATE ---------- */
+/* whole-program cost in the program's currency: midpoint tuition and living per year, visa fees once */
+export function estimateCost(program, country) {
+  const years = country.levels[program.level].years;
+  const tuition = ((program.tuition[0] + program.tuition[1]) / 2) * years;
+  const living = country.livingPerYear * years;
+  const visa = country.visaFees + (country.feesPerYear || 0) * years;
+  return { currency: program.currency, years, tuition, living, visa, total: tuition + living + visa };
+}
+
+function round(n) { return Math.round(n); }
+
+/*
+ * Every program in the tenant's catalog for the level (and country/university/field when given)
+ * checked against the CGPA floor (program override, else the country's), the program's English
+ * requirement and the budget (a total for the whole program). A program with no gaps is "eligible", one whose gaps are
+ * all within the `stretch` margins a "stretch", anything else "unlikely". Costs are also shown in
+ * the budget's currency, or rupees when there is none.
+ */
+export function evaluate(profile, tenant = null) {
+  const { countries, programs: overrides = {}, stretch } = eligibilityRules();
+  const display = (profile.budget && profile.budget.currency) || "INR";
+  const candidates = searchPrograms({
+    level: profile.level,
+    country: profile.country && profile.country !== "any" ? profile.country : null,
+    university: profile.university || null,
+    field: profile.field || null
+  }, tenant);
+
+  const results = [];
+  for (const p of candidates) {
+    const country = countries[p.country];
+    if (!country || !country.levels[p.level]) continue;
+    const rule = { ...country.levels[p.level], ...((overrides[p.universityId] || {})[p.level] || {}) };
+    const cost = estimateCost(p, country);
+    const converted = convert(cost.total, cost.currency, display);
+    const gaps = [];
+    if (profile.gpa < rule.minGpa) gaps.push({ check: "gpa", need: rule.minGpa, have: profile.gpa, within: rule.minGpa - profile.gpa <= stretch.gpa });
+    if (profile.ielts && p.english.ielts && profile.ielts < p.english.ielts) gaps.push({ check: "english", need: `IELTS ${p.english.ielts}`, have: `IELTS ${profile.ielts}`, within: p.english.ielts - profile.ielts <= stretch.ielts });
+    else if (!profile.ielts && profile.toefl && p.english.toefl && profile.toefl < p.english.toefl) gaps.push({ check: "english", need: `TOEFL ${p.english.toefl}`, have: `TOEFL ${profile.toefl}`, within: p.english.toefl - profile.toefl <= stretch.ielts * 10 });
+    else if (!profile.ielts && !profile.toefl) gaps.push({ check: "englishPending", within: true });
+    if (profile.budget && converted != null && converted > profile.budget.amount) {
+      gaps.push({ check: "budget", over: round(converted - profile.budget.amount), within: converted <= profile.budget.amount * (1 + stretch.budget) });
+    }
+    const verdict = !gaps.length ? "eligible" : gaps.every(g => g.within) ? "stretch" : "unlikely";
+    results.push({
+      university: p.university, universityId: p.universityId, program: p.name, country: p.country, level: p.level,
+      verdict, gaps: gaps.map(({ within, ...g }) => g),
+      cost: { ...cost, tuition: round(cost.tuition), living: round(cost.living), visa: round(cost.visa), total: round(cost.total) },
+      converted: converted == null ? null : { currency: display, total: round(converted) }
+    });
+  }
+
+  const order = { eligible: 0, stretch: 1, unlikely: 2 };
+  const total = r => (r.converted ? r.converted.total : Infinity);
+  results.sort((a, b) => order[a.verdict] - order[b.verdict] || a.gaps.length - b.gaps.length || total(a) - total(b));
+  const shortlist = results.filter(r => r.verdict !== "unlikely");
+  // nothing fits: the nearest misses (fewest gaps, then cheapest) so the student sees what to work on
+  const closest = shortlist.length ? [] : results.slice(0, 3);
+  return { shortlist: shortlist.slice(0, SHORTLIST_SIZE), closest, matches: shortlist.length, unlikely: results.length - shortlist.length, currency: display, ratesAsOf: getRates().asOf };
+}
+
+/* what gets stored on the session (and so on a lead booked afterwards) */
+function compact(profile, result) {
+  return {
+    profile,
+    shortlist: (result.shortlist.length ? result.shortlist : result.closest).map(r => ({ university: r.university, program: r.program, country: r.country, verdict: r.verdict, total: r.cost.total, currency: r.cost.currency, converted: r.converted })),
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/* ---------- CHAT ---------- */
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (values[k] != null ? values[k] : ""));
+}
+
+function gapText(g, prompts, currency) {
+  if (g.check === "budget") return fill(prompts.gaps.budget, { over: formatMoney(g.over, currency) });
+  return fill(prompts.gaps[g.check], g);
+}
+
+function resultReply(profile, result, prompts, lang, tenant) {
+  const lines = [];
+  const rows = result.shortlist.length ? result.shortlist : result.closest;
+  if (!rows.length) lines.push(prompts.none);
+  else {
+    lines.push(result.shortlist.length ? prompts.result : prompts.closest);
+    for (const r of rows) {
+      const total = formatMoney(r.cost.total, r.cost.currency) + (r.converted && r.converted.currency !== r.cost.currency ? ` (≈ ${formatMoney(r.converted.total, r.converted.currency)})` : "");
+      const why = r.gaps.length ? ": " + r.gaps.map(g => gapText(g, prompts, result.currency)).join(", ") : "";
+      lines.push(`• ${r.university} — ${r.program}: ${total} ${fill(prompts.total, { years: r.cost.years })} · ${prompts.verdicts[r.verdict]}${why}`);
+    }
+    lines.push(fill(prompts.note, { asOf: result.ratesAsOf }));
+  }
+  return lines.join("\n") + "\n\n" + intentText("eligibility", "cta", lang, tenant);
+}
+
+function askFor(missing, prompts) {
+  const labels = missing.map(k => prompts.fields[k]);
+  const fields = labels.length > 1 ? labels.slice(0, -1).join(", ") + ` ${prompts.and} ` + labels[labels.length - 1] : labels[0];
+  return fill(prompts.ask, { fields });
+}
+
+/*
+ * One turn of the guided eligibility check, shaped like leadTurn: `start` is true when the
+ * eligibility intent fired. Returns null when the message is not part of the flow, otherwise
+ * { content, done, result? }. A finished check stays on the session as state.eligibility.result.
+ */
+export async function eligibilityTurn({ sessionId, text, state, start = false, lang = "en", tenant = null }) {
+  const prompts = localized(lang, "eligibility", ELIGIBILITY_PROMPTS, tenant);
+  const current = state.eligibility || {};
+  const active = current.status === "collecting";
+  if (!start && !active) return null;
+
+  const found = parseProfile(text, { expect: active ? current.expect : null, tenant });
+  const captured = Object.keys(found).length > 0;
+  if (active && !start && !captured) {
+    if (!isCancel(text)) return null; // an unrelated question: answer it, keep collecting
+    state.eligibility = { status: "cancelled" };
+    await setSessionState(sessionId, state);
+    return { content: prompts.cancelled, done: false };
+  }
+
+  // a fresh check starts from a clean profile; an interrupted one continues
+  const profile = { ...(active ? current.profile : {}), ...found };
+  const missing = missingFields(profile);
+  if (missing.length) {
+    state.eligibility = { status: "collecting", profile, expect: missing[0] };
+    await setSessionState(sessionId, state);
+    const intro = start && !active ? intentText("eligibility", "body", lang, tenant) + " " : "";
+    return { content: intro + askFor(missing, prompts), done: false };
+  }
+
+  const result = evaluate(profile, tenant);
+  state.eligibility = { status: "done", profile, result: compact(profile, result) };
+  await setSessionState(sessionId, state);
+  return { content: resultReply(profile, result, prompts, lang, tenant), done: true, result };
+}
+
+/* ---------- HTTP ---------- */
+/*
+ * POST /api/eligibility { level, gpa, gpaScale?, ielts?, toefl?, budget?, currency?, country?,
+ * university?, field?, sessionId? } — budget is the total for the whole program. With a sessionId
+ * the result is kept on the session, so a consultation booked from that chat carries it.
+ */
+// shapes and sizes only; ranges, levels, countries and currencies are checked against the rules below
+const ELIGIBILITY_BODY = {
+  level: { type: "string", maxLength: 20 },
+  gpa: { type: "scalar" },
+  gpaScale: { type: "scalar" },
+  ielts: { type: "scalar" },
+  toefl: { type: "scalar" },
+  currency: { type: "string", maxLength: 10 },
+  country: { type: "string", maxLength: 40 },
+  university: { type: "string", maxLength: 200 },
+  field: { type: "string", maxLength: 100 },
+  sessionId: { type: "string", format: "sessionId" }
+};
+
+export async function handleEligibility(body, ctx) {
+  try {
+    const invalid = validateBody(ELIGIBILITY_BODY, body);
+    if (invalid) return { status: 400, body: { error: invalid } };
+    return await checkEligibility(body, ctx);
+  } catch (e) {
+    console.error("Eligibility error:", e);
+    return { status: 500, body: { error: "internal" } };
+  }
+}
+
+async function checkEligibility(b, ctx) {
+  const profile = {};
+  if (!LEVELS[b.level] || !Object.values(eligibilityRules().countries).some(c => c.levels[b.level])) {
+    return { status: 400, body: { error: "level must be masters or bachelors" } };
+  }
+  profile.level = b.level;
+  profile.gpa = toCgpa(b.gpa, b.gpaScale);
+  if (profile.gpa == null) return { status: 400, body: { error: "gpa must be a CGPA (10-point), a 4-point GPA or a percentage" } };
+  if (b.ielts != null) {
+    profile.ielts = Number(b.ielts);
+    if (!(profile.ielts > 0 && profile.ielts <= 9)) return { status: 400, body: { error: "ielts must be between 0 and 9" } };
+  }
+  if (b.toefl != null) {
+    profile.toefl = Number(b.toefl);
+    if (!(profile.toefl > 0 && profile.toefl <= 120)) return { status: 400, body: { error: "toefl must be between 0 and 120" } };
+  }
+  if (!profile.ielts && !profile.toefl) profile.englishPending = true;
+  if (b.budget != null) {
+    const amount = Number(typeof b.budget === "object" ? b.budget.amount : b.budget);
+    const currency = String((typeof b.budget === "object" ? b.budget.currency : b.currency) || "INR").toUpperCase();
+    if (!(amount > 0)) return { status: 400, body: { error: "budget must be a positive number" } };
+    if (!getRates().rates[currency]) return { status: 400, body: { error: `unsupported currency ${currency}` } };
+    profile.budget = { amount, currency };
+  }
+  if (b.country && b.country !== "any") {
+    if (!eligibilityRules().countries[b.country]) return { status: 400, body: { error: `country must be one of ${Object.keys(eligibilityRules().countries).join(", ")}, or any` } };
+    profile.country = b.country;
+  }
+  if (b.university) profile.university = String(b.university);
+  if (b.field) profile.field = String(b.field);
+
+  const result = evaluate(profile, tenantOf(ctx));
+  if (b.sessionId != null) {
+    if (!(await sessionInTenant(b.sessionId, tenantOf(ctx).id))) return { status: 404, body: { error: "session not found" } };
+    const state = (await getSessionState(b.sessionId)) || {};
+    state.eligibility = { status: "done", profile, result: compact(profile, result) };
+    await setSessionState(b.sessionId, state);
+  }
+  return { status: 200, body: { profile, ...result, note: eligibilityRules().note } };
+}
@@ -0,0 +1,73 @@
+// lib/encrypt.js — lead contact fields encrypted at rest (AES-256-GCM)
+//
+//   LEAD_ENCRYPTION_KEY  32 bytes as 64 hex chars or base64; when unset, lead contact fields are
+//                        stored in plain text (fine for local runs, warned about once)
+//                        leads saved before the key was set: npm run encrypt-leads (also encrypts a
+//                        legacy leads.json the file backend migrated from)
+import crypto from "crypto";
+
+export const ENCRYPTED_FIELDS = ["name", "email", "phone", "altEmails", "altPhones"];
+const PREFIX = "enc:v1:";
+
+let cachedKey;
+let warned = false;
+function key() {
+  if (cachedKey !== undefined) return cachedKey;
+  const raw = process.env.LEAD_ENCRYPTION_KEY;
+  cachedKey = null;
+  if (raw) {
+    const buf = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, "hex") : Buffer.from(raw, "base64");
+    if (buf.length !== 32) throw new Error("LEAD_ENCRYPTION_KEY must be 32 bytes (64 hex chars or base64)");
+    cachedKey = buf;
+  }
+  return cachedKey;
+}
+
+/* AES-256-GCM; "enc:v1:<iv>.<tag>.<ciphertext>" in base64url */
+export function encryptValue(value) {
+  const k = key();
+  if (!k || value == null || value === "" || String(value).startsWith(PREFIX)) return value;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", k, iv);
+  const data = Buffer.concat([cipher.update(String(value), "utf8"), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), data].map(b => b.toString("base64url")).join(".");
+}
+
+/* plain values (records written before a key was set) pass through */
+export function decryptValue(value) {
+  if (typeof value !== "string" || !value.startsWith(PREFIX)) return value;
+  const k = key();
+  if (!k) throw new Error("lead data is encrypted but LEAD_ENCRYPTION_KEY is not set");
+  const [iv, tag, data] = value.slice(PREFIX.length).split(".").map(s => Buffer.from(s, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", k, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+}
+
+/* true when every contact field the record has is encrypted */
+export function isEncrypted(record) {
+  return ENCRYPTED_FIELDS.every(f => record[f] == null || record[f] === "" || [].concat(record[f]).every(v => String(v).startsWith(PREFIX)));
+}
+
+function mapFields(record, fn) {
+  if (!record) return record;
+  const out = { ...record };
+  for (const f of ENCRYPTED_FIELDS) {
+    if (out[f] == null) continue;
+    out[f] = Array.isArray(out[f]) ? out[f].map(fn) : fn(out[f]);
+  }
+  return out;
+}
+
+/* a lead (or lead patch) as it is written to storage */
+export function encryptLead(record) {
+  if (!key() && !warned && process.env.STORAGE_BACKEND !== "memory") {
+    warned = true;
+    console.warn("Warning: LEAD_ENCRYPTION_KEY is not set; lead contact fields are stored unencrypted.");
+  }
+  return mapFields(record, encryptValue);
+}
+
+export function decryptLead(record) {
+  return mapFields(record, decryptValue);
+}
@@ -0,0 +1,100 @@
+// lib/handoff.js — the one handoff pipeline: persist the lead, then deliver it through the outbox
+import { saveLead, appendConversation, listLeads, getSessionState } from "./store.js";
+import { enqueueLead, processOutbox } from "./outbox.js";
+import { normalizePhone } from "./leads.js";
+import { validateBody } from "./validate.js";
+import { handoffChallenge, verifyHandoffChallenge } from "./challenge.js";
+import { recordHandoff } from "./analytics.js";
+import { sessionInTenant } from "./session.js";
+import { tenantOf, belongsTo } from "./tenants.js";
+import { requestAgent } from "./live.js";
+
+// how long a request waits for the first delivery attempt before answering (the outbox keeps going)
+const INLINE_DELIVERY_MS = Number(process.env.HANDOFF_INLINE_MS) || 4000;
+
+/* save first, then queue one job per sink and try them once; resolves to the lead or null */
+export async function submitLead(lead) {
+  const saved = await saveLead(lead);
+  if (!saved) return null;
+  try {
+    const jobs = await enqueueLead(saved);
+    if (jobs.length) {
+      const ids = jobs.map(j => j.id);
+      await Promise.race([processOutbox({ ids }), new Promise(r => setTimeout(r, INLINE_DELIVERY_MS).unref())]);
+    }
+  } catch (e) {
+    // the lead is stored; delivery is retried by the outbox worker
+    console.error("Handoff delivery error:", e);
+  }
+  return saved;
+}
+
+const OK = { ok: true, message: "Handoff requested. Our counselor will contact you shortly." };
+
+const HANDOFF_BODY = {
+  sessionId: { type: "string", required: true, format: "sessionId" },
+  name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+  email: { type: "string", required: true, maxLength: 254, format: "email" },
+  phone: { type: "string", required: true, maxLength: 30, format: "phone" },
+  note: { type: "string", maxLength: 1000 },
+  captchaToken: { type: "string", maxLength: 4096 },
+  pow: { type: "object", fields: { challenge: { type: "string", required: true, maxLength: 200 }, nonce: { type: "string", required: true, maxLength: 32 } } }
+};
+
+// hidden form field only bots fill in; they get the usual answer and nothing is stored
+const HONEYPOT = "website";
+
+/* GET: the bot check the form must pass (see lib/challenge.js); POST: submit the lead */
+export async function handleHandoff(body, ctx = {}) {
+  if (ctx.method === "GET") return { status: 200, body: { challenge: handoffChallenge() }, headers: { "Cache-Control": "no-store" } };
+  const started = Date.now();
+  const trace = {};
+  const result = await submitHandoff(body, ctx, trace);
+  await recordHandoff(trace, result, Date.now() - started);
+  return result;
+}
+
+// trace.outcome: honeypot | invalid | duplicate | blocked | submitted | failed
+async function submitHandoff(body, ctx, trace) {
+  const tenant = tenantOf(ctx);
+  trace.tenant = tenant.id;
+  try {
+    if (body && typeof body === "object" && body[HONEYPOT]) {
+      console.error("Handoff honeypot filled; dropping submission for session", String(body.sessionId).slice(0, 64));
+      trace.outcome = "honeypot";
+      return { status: 200, body: OK };
+    }
+    trace.outcome = "invalid";
+    const invalid = validateBody(HANDOFF_BODY, body);
+    if (invalid) return { status: 400, body: { error: invalid } };
+    trace.sessionId = body.sessionId;
+    const { sessionId, email, note } = body;
+    const name = body.name.trim();
+    const phone = normalizePhone(body.phone);
+
+    // a retried submit with the same Idempotency-Key returns the first result instead of a second lead
+    const idempotencyKey = ctx.headers && ctx.headers["idempotency-key"] ? String(ctx.headers["idempotency-key"]).slice(0, 200) : null;
+    trace.outcome = "duplicate";
+    if (idempotencyKey && (await listLeads()).some(l => l.idempotencyKey === idempotencyKey && belongsTo(l, tenant.id))) return { status: 200, body: OK };
+    trace.outcome = "blocked";
+    const blocked = await verifyHandoffChallenge(body, ctx);
+    if (blocked) return blocked;
+    trace.outcome = "failed";
+    if (!(await sessionInTenant(sessionId, tenant.id))) return { status: 404, body: { error: "session not found" } };
+
+    // an eligibility check run in this session travels with the lead
+    const state = await getSessionState(String(sessionId)).catch(() => null);
+    const eligibility = state && state.eligibility && state.eligibility.result;
+    const lead = await submitLead({ name, email, phone, note: note || `Handoff from session ${sessionId}`, source: "widget-handoff", sessionId, tenant: tenant.id, ...(eligibility ? { eligibility } : {}), ...(idempotencyKey ? { idempotencyKey } : {}) });
+    if (!lead) return { status: 500, body: { error: "handoff failed" } };
+    await appendConversation(sessionId, { role: "system", content: `Handoff requested (lead ${lead.id})`, tenant: tenant.id });
+    trace.outcome = "submitted";
+    // counselors see the session in the live chat queue while the student is still on the page
+    const live = await requestAgent({ sessionId, tenant, leadId: lead.id });
+    return { status: 200, body: live ? { ...OK, live } : OK };
+  } catch (e) {
+    console.error("Handoff error:", e);
+    trace.outcome = "failed";
+    return { status: 500, body: { error: "handoff failed" } };
+  }
+}
@@ -0,0 +1,122 @@
+// lib/intents.js — data-driven intent scoring over data/intents.json
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { CANNED } from "./canned.js";
+import { universityNames } from "./catalog.js";
+import { localized } from "./lang.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+
+let defs = null;
+
+export function loadIntents(file = process.env.INTENTS_FILE || path.resolve(ROOT, "data/intents.json")) {
+  defs = JSON.parse(fs.readFileSync(file, "utf8"));
+  return defs;
+}
+export function intentDefs() {
+  return defs || loadIntents();
+}
+
+/* lowercase, punctuation to spaces, padded so " term " matches whole words/phrases only (\p{M} keeps Devanagari vowel signs) */
+export function normalize(text) {
+  return " " + String(text || "").normalize("NFC").toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, " ").trim() + " ";
+}
+export function has(norm, term) {
+  return norm.includes(" " + normalize(term).trim() + " ");
+}
+
+/*
+ * Every intent scored: matches combine as a noisy-OR, so two weak hints beat one. Sorted best first.
+ * The English terms always apply (Hinglish is full of them); `def[lang]` adds that language's own.
+ */
+export function scoreIntents(text, lang = "en") {
+  const { intents, weights } = intentDefs();
+  const norm = normalize(text);
+  const out = [];
+  for (const [name, def] of Object.entries(intents)) {
+    const extra = def[lang] || {};
+    const matched = [];
+    let miss = 1;
+    for (const p of [...(def.phrases || []), ...(extra.phrases || [])]) if (has(norm, p)) { matched.push(p); miss *= 1 - (def.phraseWeight ?? weights.phrase); }
+    for (const k of [...(def.keywords || []), ...(extra.keywords || [])]) if (has(norm, k)) { matched.push(k); miss *= 1 - (def.keywordWeight ?? weights.keyword); }
+    out.push({ intent: name, score: Math.round((1 - miss) * 1000) / 1000, threshold: def.threshold ?? 0.5, priority: def.priority || 0, matched });
+  }
+  return out.sort((a, b) => b.score - a.score || b.priority - a.priority);
+}
+
+/* does the tenant answer this intent? (all of them unless it lists its own) */
+export function intentEnabled(name, tenant = null) {
+  return !tenant || !tenant.intents || tenant.intents.includes(name);
+}
+
+/*
+ * Multi-intent resolution. Intents at or above their threshold are candidates; the best one is
+ * primary. With policy "compose", other composable candidates within `margin` of the primary are
+ * answered too (up to maxIntents), so "scholarships that help with a visa" covers both.
+ * A tenant with an `intents` list only ever resolves to those.
+ */
+export function resolveIntents(text, lang = "en", tenant = null) {
+  const { intents, resolution = {} } = intentDefs();
+  const scores = scoreIntents(text, lang).filter(s => intentEnabled(s.intent, tenant));
+  const hits = scores.filter(s => s.score > 0 && s.score >= s.threshold);
+  if (!hits.length) return { primary: null, intents: [], scores };
+  const top = hits[0];
+  let chosen = [top];
+  if (resolution.policy === "compose" && intents[top.intent].compose !== false) {
+    const others = hits.slice(1).filter(h => intents[h.intent].compose !== false && top.score - h.score <= (resolution.margin ?? 0));
+    chosen = [top, ...others].slice(0, resolution.maxIntents || 1);
+  }
+  return { primary: top.intent, intents: chosen, scores };
+}
+
+/* meta.intent for a turn: primary intent (or "general") with its real score and the runners-up */
+export function intentMeta(resolved) {
+  const candidates = resolved.scores.filter(s => s.score > 0).slice(0, 3).map(s => ({ intent: s.intent, score: s.score }));
+  if (!resolved.primary) return { intent: "general", score: candidates.length ? 1 - candidates[0].score : 1, candidates };
+  return { intent: resolved.primary, score: resolved.intents[0].score, intents: resolved.intents.map(i => i.intent), candidates };
+}
+
+export function detectCountry(text) {
+  const norm = normalize(text);
+  for (const [country, names] of Object.entries(intentDefs().countries || {})) {
+    if (names.some(n => has(norm, n))) return country;
+  }
+  return null;
+}
+
+function listFor(def, text, tenant) {
+  if (def.list === "country") {
+    const country = detectCountry(text);
+    // university names stay as they are in every language; a tenant may still swap in its own lists
+    const own = name => localized("en", `canned.${name}`, null, tenant);
+    if (!country) return own("global_top") || CANNED.global_top;
+    const fromCatalog = universityNames(country, tenant).map(n => "• " + n);
+    return own(country) || CANNED[country] || (fromCatalog.length ? fromCatalog : own("global_top") || CANNED.global_top);
+  }
+  return CANNED[def.list] || [];
+}
+
+function render(def, text, lang, tenant) {
+  // the descriptive lists have translations
+  const list = def.list === "country" ? listFor(def, text, tenant) : localized(lang, `canned.${def.list}`, listFor(def, text, tenant), tenant);
+  return def.body.replace("{{list}}", () => list.slice(0, 6).join("\n"));
+}
+
+/*
+ * Canned reply for the resolved intents. Intents without a `cta` (the booking prompt) close the
+ * reply themselves; otherwise the primary intent's call to action is appended once.
+ */
+export function renderReply(resolved, text, lang = "en", tenant = null) {
+  const { intents } = intentDefs();
+  const names = resolved.intents.map(i => i.intent);
+  const ordered = [...names.filter(n => intents[n].cta), ...names.filter(n => !intents[n].cta)];
+  let reply = ordered.map(n => (intents[n].body.includes("{{list}}") ? render(intents[n], text, lang, tenant) : intentText(n, "body", lang, tenant))).join("\n\n");
+  if (ordered.every(n => intents[n].cta)) reply += "\n\n" + intentText(ordered[0], "cta", lang, tenant);
+  return { content: reply, leadSuggested: names.some(n => intents[n].leadSuggested) };
+}
+
+export function intentText(name, key = "body", lang = "en", tenant = null) {
+  return localized(lang, `intents.${name}.${key}`, intentDefs().intents[name][key], tenant);
+}
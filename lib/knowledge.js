@@ -0,0 +1,189 @@
+// lib/knowledge.js — each tenant's own content (content/*.md, *.json for GlobalTree) chunked into a BM25 index
+//
+//   Tenants (lib/tenants.js) answer from their own documents only: the default tenant from content/,
+//   any other from content/<tenant id>/ when it exists, or the directory its `knowledge` setting names
+//   ("content" shares GlobalTree's); without one, or with `knowledge: false`, its model gets no passages.
+//   Indexes are built from the content in memory; `npm run ingest` saves them as data/kb-index*.json (not
+//   committed) so a cold start can skip the build, and a saved index older than its content is ignored.
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { DEFAULT_TENANT, listTenants } from "./tenants.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+export const CONTENT_DIR = process.env.KB_CONTENT_DIR || path.resolve(ROOT, "content");
+export const INDEX_FILE = process.env.KB_INDEX_FILE || path.resolve(ROOT, "data/kb-index.json");
+const DEFAULT_BASE = { dir: CONTENT_DIR, indexFile: INDEX_FILE };
+
+const CHUNK_CHARS = 800;
+const K1 = 1.2, B = 0.75;
+const STOPWORDS = new Set(("a an and are as at be by can do does for from has have how i if in into is it its me my of on or our " +
+  "so that the their them there this to was we what when where which who will with you your").split(" "));
+
+/* ---------- TOKENS ---------- */
+function stem(w) {
+  if (w.length > 4 && w.endsWith("ies")) return w.slice(0, -3) + "y";
+  if (w.length > 3 && w.endsWith("s") && !w.endsWith("ss")) return w.slice(0, -1);
+  return w;
+}
+export function tokenize(text) {
+  return String(text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(w => w && !STOPWORDS.has(w)).map(stem);
+}
+
+/* ---------- DOCUMENTS ---------- */
+function frontMatter(raw) {
+  const m = raw.match(/^---\n([\s\S]*?)\n---\n?/);
+  if (!m) return { meta: {}, body: raw };
+  const meta = {};
+  for (const line of m[1].split("\n")) {
+    const kv = line.match(/^(\w+):\s*(.*)$/);
+    if (kv) meta[kv[1]] = kv[2] === "true" ? true : kv[2] === "false" ? false : kv[2];
+  }
+  return { meta, body: raw.slice(m[0].length) };
+}
+
+/* markdown split on headings, long sections split again on paragraphs */
+function markdownSections(body, title) {
+  const sections = [];
+  let heading = title, buf = [];
+  const flush = () => { const text = buf.join("\n").trim(); if (text) sections.push({ heading, text }); buf = []; };
+  for (const line of body.split("\n")) {
+    const h = line.match(/^#{1,6}\s+(.*)$/);
+    if (h) { flush(); heading = h[1].trim(); } else buf.push(line);
+  }
+  flush();
+  return sections;
+}
+
+function splitLong(section) {
+  if (section.text.length <= CHUNK_CHARS) return [section];
+  const out = [];
+  let cur = "";
+  for (const para of section.text.split(/\n\s*\n/)) {
+    if (cur && cur.length + para.length > CHUNK_CHARS) { out.push({ heading: section.heading, text: cur.trim() }); cur = ""; }
+    cur += para + "\n\n";
+  }
+  if (cur.trim()) out.push({ heading: section.heading, text: cur.trim() });
+  return out;
+}
+
+/* every non-draft document in dir as [{ source, title, heading, text }] chunks */
+export function loadChunks(dir = CONTENT_DIR) {
+  const chunks = [];
+  if (!fs.existsSync(dir)) return chunks;
+  for (const file of fs.readdirSync(dir).sort()) {
+    const full = path.join(dir, file);
+    let docTitle, sections;
+    if (file.endsWith(".md")) {
+      const { meta, body } = frontMatter(fs.readFileSync(full, "utf8"));
+      if (meta.draft) continue;
+      docTitle = meta.title || file.replace(/\.md$/, "");
+      sections = markdownSections(body, docTitle);
+    } else if (file.endsWith(".json")) {
+      const doc = JSON.parse(fs.readFileSync(full, "utf8"));
+      if (doc.draft) continue;
+      docTitle = doc.title || file.replace(/\.json$/, "");
+      sections = (doc.entries || []).map(e => ({ heading: e.title || docTitle, text: e.text || "" }));
+    } else continue;
+    for (const s of sections.flatMap(splitLong)) chunks.push({ source: file, title: docTitle, heading: s.heading, text: s.text });
+  }
+  return chunks;
+}
+
+/* ---------- INDEX ---------- */
+export function contentHash(dir = CONTENT_DIR) {
+  const h = crypto.createHash("sha1");
+  if (!fs.existsSync(dir)) return h.digest("hex");
+  // other tenants' content/<id>/ directories are not part of this one
+  for (const file of fs.readdirSync(dir).sort()) if (fs.statSync(path.join(dir, file)).isFile()) h.update(file).update(fs.readFileSync(path.join(dir, file)));
+  return h.digest("hex");
+}
+
+export function buildIndex(dir = CONTENT_DIR) {
+  const perSource = {};
+  const chunks = loadChunks(dir).map(c => {
+    const n = perSource[c.source] = (perSource[c.source] ?? -1) + 1;
+    const tf = {};
+    // the heading counts too: "Is the first consultation free?" should find its own answer
+    for (const t of tokenize(c.heading + " " + c.text)) tf[t] = (tf[t] || 0) + 1;
+    return { id: `${c.source}#${n}`, ...c, tf, len: Object.values(tf).reduce((a, b) => a + b, 0) };
+  });
+  const df = {};
+  for (const c of chunks) for (const t of Object.keys(c.tf)) df[t] = (df[t] || 0) + 1;
+  const avgLen = chunks.length ? chunks.reduce((a, c) => a + c.len, 0) / chunks.length : 0;
+  return { version: 1, builtAt: new Date().toISOString(), contentHash: contentHash(dir), avgLen, df, chunks };
+}
+
+export function writeIndex(index, file = INDEX_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(index) + "\n", "utf8");
+}
+
+/* ---------- TENANTS ---------- */
+/* { dir, indexFile } a tenant retrieves from, or null when it has no content of its own */
+export function knowledgeBase(tenant = null) {
+  if (!tenant || (tenant.id === DEFAULT_TENANT && tenant.knowledge == null)) return DEFAULT_BASE;
+  if (tenant.knowledge === false) return null;
+  const dir = tenant.knowledge ? path.resolve(ROOT, tenant.knowledge) : path.resolve(CONTENT_DIR, tenant.id);
+  if (dir === CONTENT_DIR) return DEFAULT_BASE;
+  if (!fs.existsSync(dir)) {
+    if (tenant.knowledge) console.warn(`Knowledge directory ${dir} for tenant ${tenant.id} not found; answering without passages.`);
+    return null;
+  }
+  return { dir, indexFile: path.resolve(path.dirname(INDEX_FILE), `kb-index.${tenant.id}.json`) };
+}
+
+const indexes = new Map();
+/* the saved index for a content directory when it matches the content, else one built in memory */
+export function getIndex(base = DEFAULT_BASE) {
+  if (indexes.has(base.dir)) return indexes.get(base.dir);
+  let index = null;
+  try { index = JSON.parse(fs.readFileSync(base.indexFile, "utf8")); } catch (e) { /* not ingested: build below */ }
+  if (index && index.contentHash !== contentHash(base.dir)) {
+    console.warn(`Knowledge index ${base.indexFile} is older than ${base.dir}; using a fresh in-memory build (run npm run ingest).`);
+    index = null;
+  }
+  if (!index) index = buildIndex(base.dir);
+  indexes.set(base.dir, index);
+  return index;
+}
+
+/* every tenant's index, built now so the first question does not wait for it; resolves to the chunk count */
+export function loadIndexes() {
+  const bases = new Map([null, ...listTenants()].map(knowledgeBase).filter(Boolean).map(b => [b.dir, b]));
+  return [...bases.values()].reduce((n, base) => n + getIndex(base).chunks.length, 0);
+}
+export function setIndex(next, base = DEFAULT_BASE) {
+  indexes.set(base.dir, next);
+}
+
+/* BM25 top-k over the tenant's content; results below minScore are dropped so unrelated questions get no context */
+export function search(query, { tenant = null, k = Number(process.env.KB_TOP_K) || 3, minScore = Number(process.env.KB_MIN_SCORE) || 1.5 } = {}) {
+  const base = knowledgeBase(tenant);
+  if (!base) return [];
+  const idx = getIndex(base);
+  const terms = [...new Set(tokenize(query))];
+  const N = idx.chunks.length;
+  if (!N || !terms.length) return [];
+  const scored = [];
+  for (const c of idx.chunks) {
+    let score = 0;
+    for (const t of terms) {
+      const f = c.tf[t];
+      if (!f) continue;
+      const idf = Math.log(1 + (N - idx.df[t] + 0.5) / (idx.df[t] + 0.5));
+      score += idf * (f * (K1 + 1)) / (f + K1 * (1 - B + B * c.len / idx.avgLen));
+    }
+    if (score >= minScore) scored.push({ id: c.id, source: c.source, title: c.title, heading: c.heading, text: c.text, score: Math.round(score * 100) / 100 });
+  }
+  return scored.sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+/* passages formatted for the system prompt, numbered to match meta.sources */
+export function contextBlock(passages) {
+  if (!passages.length) return "";
+  return "\nUse these knowledge-base passages when they answer the question; do not invent fees, dates or contact details that are not in them.\n" +
+    passages.map((p, i) => `[${i + 1}] ${p.title} — ${p.heading}\n${p.text}`).join("\n\n") + "\n";
+}
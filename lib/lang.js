@@ -0,0 +1,78 @@
+// lib/lang.js — per-message language detection (English, Hindi, Hinglish) and localized strings
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+const LOCALES_DIR = process.env.LOCALES_DIR || path.resolve(ROOT, "data/locales");
+
+/* "en" is the source language; the others are data/locales/<lang>.json overlays */
+export const LANGS = ["en", "hi", "hi-Latn"];
+
+// romanized Hindi function words that rarely appear in English text
+const HINGLISH = new Set(("hai hain hoon ho kya kaise kaisa kaisi kaun konsa konsi kab kahan kitna kitni kitne mujhe mera meri mere " +
+  "humein aap aapka aapki tum chahiye chahta chahti karna karni karke karo kariye karein ke ki ka ko se mein nahi nahin haan " +
+  "batao bataiye padhai padhna padhne liye wala wali kuch bhi aur lekin toh abhi kharcha paise namaste namaskar ji accha achha theek " +
+  "koi baat rehne raha rahi rahe hoga hogi milega milegi sakta sakti sakte").split(" "));
+
+/*
+ * Language of one message. Devanagari wins outright; two Hinglish markers (or one in a message of
+ * three words or fewer) mean Hinglish. Messages too short to tell — "ok", a name, an email — keep
+ * `previous`, so a session doesn't flip language mid lead-capture.
+ */
+export function detectLanguage(text, previous = "en") {
+  const s = String(text || "");
+  const devanagari = (s.match(/[\u0900-\u097F]/g) || []).length;
+  const latin = (s.match(/[A-Za-z]/g) || []).length;
+  if (devanagari && devanagari >= latin) return "hi";
+  const words = s.toLowerCase().replace(/\S+@\S+|https?:\/\/\S+/g, " ").match(/[a-z]+/g) || [];
+  const markers = words.filter(w => HINGLISH.has(w)).length;
+  if (markers >= 2 || (markers === 1 && words.length <= 3)) return "hi-Latn";
+  if (words.length <= 3) return LANGS.includes(previous) ? previous : "en";
+  return "en";
+}
+
+const cache = new Map();
+function locale(lang) {
+  if (lang === "en" || !LANGS.includes(lang)) return {};
+  if (!cache.has(lang)) {
+    try { cache.set(lang, JSON.parse(fs.readFileSync(path.resolve(LOCALES_DIR, `${lang}.json`), "utf8"))); } catch (e) {
+      console.error(`Locale "${lang}" unavailable:`, e.message);
+      cache.set(lang, {});
+    }
+  }
+  return cache.get(lang);
+}
+
+function lookup(source, key) {
+  return key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), source);
+}
+function overlay(value, fallback) {
+  if (value == null) return fallback;
+  if (typeof value === "object" && !Array.isArray(value) && fallback && typeof fallback === "object") return { ...fallback, ...value };
+  return value;
+}
+
+/*
+ * The `key` ("lead", "intents.greeting.body") of a locale, falling back to the English `fallback`.
+ * Objects are merged over the fallback so a partial translation still has every field. A tenant's
+ * own strings for the language (lib/tenants.js) win over both.
+ */
+export function localized(lang, key, fallback, tenant) {
+  const value = overlay(lookup(locale(lang), key), fallback);
+  const own = tenant && tenant.strings && tenant.strings[lang];
+  return own ? overlay(lookup(own, key), value) : value;
+}
+
+/* `lang` when the tenant replies in it, else the tenant's first language */
+export function tenantLanguage(lang, tenant) {
+  const allowed = (tenant && tenant.languages) || LANGS;
+  return allowed.includes(lang) ? lang : allowed[0];
+}
+
+/* extra system-prompt line asking the model to answer in the user's language */
+export function languageBlock(lang) {
+  const hint = localized(lang, "modelHint", "");
+  return hint ? `\n${hint}\n` : "";
+}
@@ -0,0 +1,194 @@
+// lib/leads.js — contact extraction/validation, transcript redaction and in-chat lead capture (slot filling per session)
+import { LEAD_PROMPTS, ERROR_REPLY } from "./canned.js";
+import { intentText } from "./intents.js";
+import { localized } from "./lang.js";
+import { appendConversation, setSessionState } from "./store.js";
+import { submitLead } from "./handoff.js";
+import { encryptValue, decryptValue } from "./encrypt.js";
+
+const SLOTS = ["name", "email", "phone"];
+const EMAIL_IN_TEXT = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/i;
+const PHONE_IN_TEXT = /(?:\+|\b)\d[\d\s().-]{6,}\d\b/;
+// the whole message must be the command, give or take a polite word around it: "can I stop by the
+// office?" and "what if I cancel my IELTS?" are questions to answer, not a way out of the flow
+const CANCEL_WORDS = "cancel|stop|skip|never ?mind|forget it|leave it|don'?t save|no thanks|no thank you|rehne do|chhodo|nahi chahiye|mat karo|रहने दो|छोड़ो|नहीं चाहिए|रद्द करें|रद्द करो";
+const CANCEL_BEFORE = "please|pls|ok|okay|oh|no|nah|just|actually|arre|bas|अरे|बस";
+const CANCEL_AFTER = "it|this|that|now|for now|please|pls|thanks|thank you|kar do|karo|ji|yaar|na|कर दो|करो|जी|यार";
+const CANCEL = new RegExp(`^(?:(?:${CANCEL_BEFORE})\\s+)*(?:${CANCEL_WORDS})(?:\\s+(?:${CANCEL_AFTER}))*$`, "iu");
+const NAME_INTRO = /(?<![\p{L}\p{M}])(?:my name is|name is|name:|i am|i'm|im|this is|mera naam|मेरा नाम|मेरा नाम है)\s+([\p{L}][\p{L}\p{M}.'-]*(?:\s+[\p{L}][\p{L}\p{M}.'-]*){0,4})/iu;
+// words that end (or rule out) a name: "I'm Ravi and…", "I'm interested in…"
+const NOT_NAME = new Set(("and or but my email phone number mobile is am from in at to for a an the interested looking planning " +
+  "going want wanted trying here fine good ok okay yes no not thanks thank you student studying applying hi hello hey " +
+  "what how why when where which who can could should would will do does did tell about please what's hai hoon है हूँ").split(" "));
+
+/* "cancel", "never mind", "rehne do"… — ends a guided flow (lead capture, eligibility check) */
+export function isCancel(text) {
+  const words = String(text || "").replace(/[\s.,!?…।🙏]+/gu, " ").trim();
+  return CANCEL.test(words);
+}
+
+export function isValidEmail(email) {
+  return /^[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}$/i.test(String(email || "")) && !/\.\./.test(email);
+}
+
+/* Indian mobiles with or without 0 / 91 / +91, or any other +country number (8-15 digits). E.164 or null. */
+export function normalizePhone(raw) {
+  const s = String(raw || "").trim();
+  const digits = s.replace(/\D/g, "");
+  if (s.startsWith("+")) {
+    if (digits.startsWith("91")) return /^91[6-9]\d{9}$/.test(digits) ? "+" + digits : null;
+    return digits.length >= 8 && digits.length <= 15 ? "+" + digits : null;
+  }
+  if (/^[6-9]\d{9}$/.test(digits)) return "+91" + digits;
+  if (/^0[6-9]\d{9}$/.test(digits)) return "+91" + digits.slice(1);
+  if (/^91[6-9]\d{9}$/.test(digits)) return "+" + digits;
+  return null;
+}
+
+function cleanName(words) {
+  const out = [];
+  for (const w of words) {
+    if (NOT_NAME.has(w.toLowerCase().replace(/[.']/g, ""))) break;
+    out.push(w.charAt(0).toUpperCase() + w.slice(1));
+  }
+  return out.length && out.length <= 4 ? out.join(" ") : null;
+}
+
+/*
+ * Pull contact details out of free text. `expectName` lets a bare "Ravi Kumar" (or whatever is left
+ * after removing the email/phone) count as the name when we have just asked for it.
+ * Returns { name?, email?, phone?, invalid: [slot…] }.
+ */
+export function extractContact(text, { expectName = false } = {}) {
+  const found = { invalid: [] };
+  let rest = String(text || "");
+
+  const email = rest.match(EMAIL_IN_TEXT);
+  if (email) { found.email = email[0].toLowerCase(); rest = rest.replace(email[0], " "); }
+  else if (/\S+@\S+/.test(rest)) { found.invalid.push("email"); rest = rest.replace(/\S+@\S+/, " "); }
+
+  const phone = rest.match(PHONE_IN_TEXT);
+  if (phone) {
+    const normalized = normalizePhone(phone[0]);
+    if (normalized) found.phone = normalized; else found.invalid.push("phone");
+    rest = rest.replace(phone[0], " ");
+  }
+
+  const intro = rest.match(NAME_INTRO);
+  if (intro) found.name = cleanName(intro[1].split(/\s+/)) || undefined;
+  if (!found.name && expectName) {
+    const words = rest.replace(/[^\p{L}\p{M}.'\s-]+/gu, " ").split(/\s+/).filter(Boolean);
+    if (words.length && words.length <= 3 && !rest.includes("?")) {
+      const name = cleanName(words);
+      if (name && name.split(" ").length === words.length) found.name = name;
+    }
+  }
+  if (!found.name) delete found.name;
+  return found;
+}
+
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/*
+ * Transcript text with emails, phone numbers and names replaced by [email] / [phone] / [name].
+ * A number counts as a phone when it parses as one or has 10-15 digits, so budgets, scores and
+ * dates survive. `names` (see contactNames) are replaced whole and word by word. Emails and phones
+ * that `keep(match)` accepts (the office's own contact details) are left as they are.
+ */
+export function redactPII(text, names = [], keep = null) {
+  let out = String(text || "").replace(new RegExp(EMAIL_IN_TEXT.source, "gi"), m => (keep && keep(m) ? m : "[email]")).replace(new RegExp(PHONE_IN_TEXT.source, "g"), m => {
+    const digits = m.replace(/\D/g, "").length;
+    if (keep && keep(m)) return m;
+    return normalizePhone(m) || (digits >= 10 && digits <= 15) ? "[phone]" : m;
+  });
+  const all = names.filter(Boolean).flatMap(n => [n, ...n.split(/\s+/).filter(w => w.length > 2)]);
+  for (const name of [...new Set(all)].sort((a, b) => b.length - a.length)) {
+    out = out.replace(new RegExp(`(?<![\\p{L}\\p{M}])${escapeRegExp(name)}(?![\\p{L}\\p{M}])`, "giu"), "[name]");
+  }
+  return out;
+}
+
+/*
+ * Slots collected so far wait in session state until the lead is saved, and a capture that is
+ * cancelled or abandoned never becomes a lead that erasure could find by email. So they are stored
+ * encrypted with the lead key (lib/encrypt.js), like the lead itself.
+ */
+function sealSlots(slots) {
+  return Object.fromEntries(Object.entries(slots).map(([k, v]) => [k, encryptValue(v)]));
+}
+function openSlots(slots) {
+  return Object.fromEntries(Object.entries(slots || {}).map(([k, v]) => [k, decryptValue(v)]));
+}
+
+/* names a transcript line must not keep: the one collected so far in this session and any typed in `text` */
+export function contactNames(state, text) {
+  const lead = (state && state.lead) || {};
+  const slots = openSlots(lead.slots);
+  return [slots.name, extractContact(text, { expectName: lead.status === "collecting" && !slots.name }).name].filter(Boolean);
+}
+
+// placeholders it has no value for ({brand}, {contactWindow}) are left for the chat engine to fill
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (m, k) => (values[k] != null ? values[k] : m));
+}
+function askFor(missing, slots, prompts) {
+  const labels = missing.map(k => prompts.fields[k]);
+  const fields = labels.length > 1 ? labels.slice(0, -1).join(", ") + ` ${prompts.and} ` + labels[labels.length - 1] : labels[0];
+  return fill(prompts.ask, { name: slots.name ? ", " + slots.name.split(" ")[0] : "", fields });
+}
+
+/*
+ * One lead-capture turn. `state` is the session state (mutated and saved); `start` is true when the
+ * booking intent fired this turn; `onTopic` is true when the text matched some other intent, so it is
+ * never mistaken for a bare name. Returns null when the message has nothing to do with the lead,
+ * otherwise { content, captured, lead: { status, missing } }. The lead is saved for `tenant`.
+ */
+export async function leadTurn({ sessionId, text, state, start = false, onTopic = false, transcript = [], lang = "en", tenant = null }) {
+  const prompts = localized(lang, "lead", LEAD_PROMPTS, tenant);
+  const current = state.lead || {};
+  const active = current.status === "collecting";
+  const slots = openSlots(current.slots);
+  // "cancel" or "skip" right after we asked for a name is an answer, not a name
+  const found = extractContact(text, { expectName: active && !slots.name && !onTopic && !isCancel(text) });
+  const captured = !!(found.name || found.email || found.phone || found.invalid.length);
+
+  if (!start && !active && !found.email && !found.phone) return null;
+  if (active && !start && !captured) {
+    if (!isCancel(text)) return null; // an unrelated question: answer it, keep collecting
+    state.lead = { status: "cancelled" };
+    await setSessionState(sessionId, state);
+    return { content: prompts.cancelled, captured: false, lead: { status: "cancelled", missing: [] } };
+  }
+
+  for (const k of SLOTS) if (found[k]) slots[k] = found[k];
+  const missing = SLOTS.filter(k => !slots[k]);
+
+  if (!missing.length) {
+    const saved = await submitLead({
+      name: slots.name, email: slots.email, phone: slots.phone,
+      note: `Captured in chat session ${sessionId}`, source: "widget-chat", sessionId, ...(tenant ? { tenant: tenant.id } : {}),
+      ...(state.eligibility && state.eligibility.result ? { eligibility: state.eligibility.result } : {}),
+      transcript: transcript.map(m => ({ role: m.role, content: String(m.content || "") }))
+    });
+    if (saved) {
+      // from here on the contact details live in the (encrypted) lead only: the session state keeps its id
+      await appendConversation(sessionId, { role: "system", content: `Lead ${saved.id} captured in chat`, ...(tenant ? { tenant: tenant.id } : {}) });
+      state.lead = { status: "saved", leadId: saved.id };
+      await setSessionState(sessionId, state);
+      return { content: fill(prompts.saved, slots), captured: true, lead: { status: "saved", missing: [] } };
+    }
+    // keep the slots so the next message retries the save
+    state.lead = { status: "collecting", slots: sealSlots(slots) };
+    await setSessionState(sessionId, state);
+    return { content: localized(lang, "errorReply", ERROR_REPLY), captured: true, lead: { status: "collecting", missing: [] } };
+  }
+
+  state.lead = { status: "collecting", slots: sealSlots(slots) };
+  await setSessionState(sessionId, state);
+  const problems = found.invalid.map(k => (k === "email" ? prompts.invalidEmail : prompts.invalidPhone));
+  const content = start && !captured ? intentText("lead", "body", lang, tenant) : [...problems, askFor(missing, slots, prompts)].join(" ");
+  return { content, captured, lead: { status: "collecting", missing } };
+}
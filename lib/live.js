@@ -0,0 +1,251 @@
+// lib/live.js — live chat: after a handoff a counselor can take over the widget conversation
+//
+//   LIVE_CHAT        off: handoffs only save the callback request, nothing joins the queue
+//   LIVE_STREAM_MS   how long one event stream stays open before the client reconnects (default 25000,
+//                    under typical serverless time limits)
+//   LIVE_POLL_MS     how often an open stream looks for news in the store (default 1000)
+//
+//   A session's live record: { sessionId, tenant, status, agent, leadId, requestedAt, claimedAt, endedAt,
+//   studentTypingAt, agentTypingAt, studentSeenAt, agentSeenAt }. status is waiting (in the queue),
+//   active (a counselor is attached and the bot stays silent), bot (handed back) or closed (transcript
+//   closed; the next message starts a new session). Everything lives in the store, so any instance
+//   can serve either side of a chat.
+import { getConversation, appendConversation, getLiveChat, updateLiveChat, listLiveChats, getLead } from "./store.js";
+import { isValidSessionId, sessionInTenant, sessionTtlMs } from "./session.js";
+import { requireRole } from "./auth.js";
+import { tenantOf, adminScope, belongsTo } from "./tenants.js";
+import { validateBody } from "./validate.js";
+import { countMetric } from "./analytics.js";
+
+const STREAM_MS = Number(process.env.LIVE_STREAM_MS) || 25000;
+const POLL_MS = Number(process.env.LIVE_POLL_MS) || 1000;
+// open streams refresh their side's presence once it is this old; missing two refreshes means offline
+const SEEN_EVERY_MS = 10000;
+const TYPING_MS = 6000;
+const MESSAGE_MAX = Number(process.env.CHAT_MESSAGE_MAX) || 2000;
+const OPEN = ["waiting", "active"];
+
+export function liveChatEnabled() {
+  return (process.env.LIVE_CHAT || "on").toLowerCase() !== "off";
+}
+
+const recent = (at, ms, now = Date.now()) => !!at && now - Date.parse(at) < ms;
+
+/* what one side sees of the other: the student gets the counselor's name, typing and presence, and vice versa */
+export function liveView(live, side = "student") {
+  if (!live) return { status: "bot", agent: null, typing: false, online: false };
+  const other = side === "student" ? "agent" : "student";
+  return {
+    status: live.status,
+    agent: live.agent || null,
+    typing: OPEN.includes(live.status) && recent(live[`${other}TypingAt`], TYPING_MS),
+    online: OPEN.includes(live.status) && recent(live[`${other}SeenAt`], SEEN_EVERY_MS * 2)
+  };
+}
+
+// transcript notices both sides are shown: { role: "system", live: <event>, content, agent? }
+async function notice(live, event, content) {
+  await appendConversation(live.sessionId, { role: "system", live: event, content, ...(live.agent ? { agent: live.agent } : {}), tenant: live.tenant });
+  countMetric("gt_live_chats_total", "Live chat lifecycle events", { event, tenant: live.tenant });
+}
+
+/*
+ * Put a session in the counselor queue after a handoff. A chat already waiting or attached stays as
+ * it is. Resolves to the student's view, or null when live chat is off.
+ */
+export async function requestAgent({ sessionId, tenant, leadId = null }) {
+  if (!liveChatEnabled()) return null;
+  const existing = await getLiveChat(sessionId);
+  if (existing && OPEN.includes(existing.status)) return liveView(existing);
+  const live = {
+    sessionId, tenant: tenant.id, status: "waiting", agent: null, leadId, requestedAt: new Date().toISOString(),
+    claimedAt: null, endedAt: null, agentTypingAt: null, studentTypingAt: null
+  };
+  await updateLiveChat(sessionId, live);
+  await notice(live, "waiting", "Waiting for a counselor to join");
+  return liveView(live);
+}
+
+/* the live record when a counselor is attached (the chat engine then stays silent), else null */
+export async function attachedAgent(sessionId) {
+  const live = await getLiveChat(sessionId);
+  return live && live.status === "active" ? live : null;
+}
+
+/* ---------- EVENT STREAM ---------- */
+// the student sees counselor messages and live notices; counselors see the whole conversation
+function visible(entry, side) {
+  return side === "agent" || entry.role === "agent" || !!entry.live;
+}
+function messageView(entry, index) {
+  return { id: index + 1, role: entry.role, content: entry.content, ts: entry.ts, ...(entry.agent ? { agent: entry.agent } : {}), ...(entry.live ? { live: entry.live } : {}) };
+}
+
+function pause(ms, signal) {
+  return new Promise(resolve => {
+    const done = () => { clearTimeout(timer); if (signal) signal.removeEventListener("abort", done); resolve(); };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener("abort", done);
+  });
+}
+
+/*
+ * Without ctx.emit: { live, messages } after message `after`. With it (the adapters' `?stream=1`):
+ * `message` events as entries arrive and a `state` event whenever the other side's status, typing or
+ * presence changes, until the chat leaves the queue, the client leaves or LIVE_STREAM_MS passes;
+ * `done` then carries `after` for the reconnect.
+ */
+async function follow(sessionId, side, after, ctx) {
+  if (!ctx.emit) {
+    const entries = await getConversation(sessionId);
+    const messages = entries.map(messageView).filter((m, i) => i >= after && visible(entries[i], side));
+    return { status: 200, body: { sessionId, live: liveView(await getLiveChat(sessionId), side), messages, after: entries.length } };
+  }
+  const until = Date.now() + STREAM_MS;
+  let cursor = after;
+  let shown = null;
+  while (!(ctx.signal && ctx.signal.aborted) && Date.now() < until) {
+    const live = await getLiveChat(sessionId);
+    // judged by the stored time, so several tabs or instances following one side share a single write
+    if (live && OPEN.includes(live.status) && !recent(live[`${side}SeenAt`], SEEN_EVERY_MS)) {
+      await updateLiveChat(sessionId, { [`${side}SeenAt`]: new Date().toISOString() });
+    }
+    const entries = await getConversation(sessionId);
+    for (; cursor < entries.length; cursor++) if (visible(entries[cursor], side)) ctx.emit("message", messageView(entries[cursor], cursor));
+    const view = JSON.stringify(liveView(live, side));
+    if (view !== shown) { ctx.emit("state", JSON.parse(view)); shown = view; }
+    if (!live || !OPEN.includes(live.status)) break; // handed back or closed: nothing more will come
+    await pause(POLL_MS, ctx.signal);
+  }
+  return { status: 200, body: { sessionId, after: cursor } };
+}
+
+// chats idle past the session lifetime drop out of the queue: the student's next message starts a new session anyway
+function lastActivity(live) {
+  return Math.max(...[live.requestedAt, live.claimedAt, live.studentSeenAt, live.agentSeenAt].map(t => Date.parse(t) || 0));
+}
+
+function cursorOf(query) {
+  const n = Number(query && query.after);
+  return Number.isInteger(n) && n > 0 ? n : 0;
+}
+
+/* ---------- ROUTE: /api/live (the widget) ----------
+ *   GET  ?sessionId= &after=<message id> [&stream=1]   the counselor's messages, notices and state
+ *   POST { sessionId, action: "typing" }              the student is typing
+ * The session id is the credential, as for /api/chat.
+ */
+const LIVE_BODY = {
+  sessionId: { type: "string", required: true, format: "sessionId" },
+  action: { type: "string", required: true, enum: ["typing"] }
+};
+
+export async function handleLive(input, ctx = {}) {
+  if (!liveChatEnabled()) return { status: 404, body: { error: "live chat is disabled" } };
+  try {
+    const tenant = tenantOf(ctx);
+    if (ctx.method === "GET") {
+      const sessionId = ctx.query && ctx.query.sessionId;
+      if (!isValidSessionId(sessionId)) return { status: 400, body: { error: "sessionId required" } };
+      if (!(await sessionInTenant(sessionId, tenant.id))) return { status: 404, body: { error: "session not found" } };
+      return await follow(sessionId, "student", cursorOf(ctx.query), ctx);
+    }
+    const invalid = validateBody(LIVE_BODY, input);
+    if (invalid) return { status: 400, body: { error: invalid } };
+    const live = await getLiveChat(input.sessionId);
+    if (!live || !belongsTo(live, tenant.id)) return { status: 404, body: { error: "no live chat for this session" } };
+    if (OPEN.includes(live.status)) await updateLiveChat(input.sessionId, { studentTypingAt: new Date().toISOString() });
+    return { status: 200, body: { ok: true } };
+  } catch (e) {
+    console.error("Live chat error:", e);
+    return { status: 500, body: { error: "internal" } };
+  }
+}
+
+/* ---------- ROUTE: /api/admin/live (counselors) ----------
+ *   GET                          the queue: waiting and active chats, oldest request first; ?status=
+ *   GET  ?sessionId= [&stream=1] &after=   follow one chat (everything, plus the student's typing and presence)
+ *   POST ?action=claim&sessionId=           attach yourself; the bot stops answering
+ *   POST ?action=message&sessionId=         { text }
+ *   POST ?action=typing&sessionId=
+ *   POST ?action=release&sessionId=         hand the student back to the bot
+ *   POST ?action=close&sessionId=           close the transcript; the student's next message starts a new session
+ * Only the attached counselor (or an admin) may message, release or close an active chat.
+ */
+export async function handleAdminLive(input, ctx) {
+  const denied = requireRole(ctx, ["admin", "counselor"]);
+  if (denied) return denied;
+  if (!liveChatEnabled()) return { status: 404, body: { error: "live chat is disabled" } };
+  const scope = adminScope(ctx);
+  const agent = ctx.user.name;
+  try {
+    const query = ctx.query || {};
+    const { sessionId } = query;
+
+    if (ctx.method === "GET" && !sessionId) {
+      const statuses = query.status ? [query.status] : OPEN;
+      const cutoff = Date.now() - sessionTtlMs();
+      const chats = (await listLiveChats())
+        .filter(l => statuses.includes(l.status) && (!scope || belongsTo(l, scope)) && lastActivity(l) > cutoff)
+        .sort((a, b) => OPEN.indexOf(a.status) - OPEN.indexOf(b.status) || String(a.requestedAt).localeCompare(String(b.requestedAt)));
+      const queue = [];
+      for (const l of chats) {
+        const lead = l.leadId ? await getLead(l.leadId).catch(() => null) : null;
+        queue.push({ sessionId: l.sessionId, tenant: l.tenant, status: l.status, agent: l.agent, requestedAt: l.requestedAt, claimedAt: l.claimedAt, name: lead ? lead.name : null, ...liveView(l, "agent") });
+      }
+      return { status: 200, body: { total: queue.length, chats: queue } };
+    }
+
+    if (!isValidSessionId(sessionId)) return { status: 400, body: { error: "sessionId required" } };
+    const live = await getLiveChat(sessionId);
+    // another tenant's chat looks the same as one that does not exist
+    if (!live || (scope && !belongsTo(live, scope))) return { status: 404, body: { error: "no live chat for this session" } };
+    if (ctx.method === "GET") return await follow(sessionId, "agent", cursorOf(query), ctx);
+    if (ctx.method !== "POST") return { status: 405, body: { error: "Method not allowed" } };
+
+    const now = new Date().toISOString();
+    const attached = live.status === "active" && (live.agent === agent || ctx.user.role === "admin");
+    switch (query.action) {
+      case "claim": {
+        if (!OPEN.includes(live.status)) return { status: 409, body: { error: `chat is ${live.status}` } };
+        if (live.status === "active" && live.agent !== agent) return { status: 409, body: { error: `already claimed by ${live.agent}` } };
+        await updateLiveChat(sessionId, { status: "active", agent, claimedAt: now, agentSeenAt: now, agentTypingAt: null });
+        // two counselors claiming at once: whoever wrote last holds it, the other is told
+        const claimed = await getLiveChat(sessionId);
+        if (claimed.agent !== agent) return { status: 409, body: { error: `already claimed by ${claimed.agent}` } };
+        if (live.status !== "active") await notice(claimed, "joined", `${agent} joined the chat`);
+        return { status: 200, body: { live: liveView(claimed, "agent") } };
+      }
+      case "message": {
+        if (!attached) return { status: 409, body: { error: "claim the chat first" } };
+        const invalid = validateBody({ text: { type: "string", required: true, minLength: 1, maxLength: MESSAGE_MAX } }, input || {});
+        if (invalid) return { status: 400, body: { error: invalid } };
+        // delivered as typed: a counselor sharing the office's email or phone means the student to see it.
+        // The entry goes when the session is erased, like the rest of the transcript. It names whoever
+        // wrote it, which is not the claiming counselor when an admin steps in
+        await appendConversation(sessionId, { role: "agent", agent, content: input.text.trim(), tenant: live.tenant });
+        await updateLiveChat(sessionId, { agentTypingAt: null, agentSeenAt: now });
+        return { status: 200, body: { ok: true } };
+      }
+      case "typing":
+        if (!attached) return { status: 409, body: { error: "claim the chat first" } };
+        await updateLiveChat(sessionId, { agentTypingAt: now });
+        return { status: 200, body: { ok: true } };
+      case "release":
+      case "close": {
+        if (live.status === "active" && !attached) return { status: 409, body: { error: `claimed by ${live.agent}` } };
+        if (!OPEN.includes(live.status)) return { status: 409, body: { error: `chat is ${live.status}` } };
+        const status = query.action === "release" ? "bot" : "closed";
+        await updateLiveChat(sessionId, { status, endedAt: now, agentTypingAt: null, studentTypingAt: null });
+        await notice({ ...live, agent }, status === "bot" ? "returned" : "closed",
+          status === "bot" ? "You're back with the assistant" : "This conversation has been closed");
+        return { status: 200, body: { live: liveView(await getLiveChat(sessionId), "agent") } };
+      }
+      default:
+        return { status: 400, body: { error: "action must be claim, message, typing, release or close" } };
+    }
+  } catch (e) {
+    console.error("Admin live chat error:", e);
+    return { status: 500, body: { error: "internal" } };
+  }
+}
@@ -0,0 +1,108 @@
+// lib/outbox.js — durable delivery of leads to sinks: exponential backoff, idempotency keys, dead letters
+import { configuredSinks } from "./sinks.js";
+import { addJob, listJobs, updateJob, getLead } from "./store.js";
+import { getTenant } from "./tenants.js";
+
+const MAX_ATTEMPTS = Number(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = Number(process.env.OUTBOX_BASE_DELAY_MS) || 30000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+// a job stuck in "delivering" this long belonged to a worker that died; hand it out again
+const LEASE_MS = 5 * 60 * 1000;
+
+// per tenant: its own `sinks` settings, else the server's env, branded with the tenant's name
+const sinksByTenant = new Map();
+let fixedSinks = null;
+function sinksByName(tenantId) {
+  if (fixedSinks) return fixedSinks;
+  const tenant = getTenant(tenantId) || getTenant();
+  if (!sinksByTenant.has(tenant.id)) {
+    sinksByTenant.set(tenant.id, new Map(configuredSinks(tenant.sinks || process.env, tenant.name).map(s => [s.name, s])));
+  }
+  return sinksByTenant.get(tenant.id);
+}
+
+/* deliver every tenant's leads to `list` instead (test/outbox.test.js points a webhook sink at a stub server) */
+export function setSinks(list) {
+  fixedSinks = new Map(list.map(s => [s.name, s]));
+}
+
+export function backoffMs(attempts) {
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/* one job per (lead, sink); the job id doubles as the idempotency key the sink receives */
+export async function enqueueLead(lead) {
+  const existing = new Set((await listJobs()).map(j => j.id));
+  const jobs = [];
+  for (const sink of sinksByName(lead.tenant).keys()) {
+    const id = `lead:${lead.id}:${sink}`;
+    if (existing.has(id)) continue;
+    const job = { id, sink, leadId: lead.id, ...(lead.tenant ? { tenant: lead.tenant } : {}), status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString(), createdAt: new Date().toISOString() };
+    await addJob(job);
+    jobs.push(job);
+  }
+  return jobs;
+}
+
+async function attempt(job) {
+  const now = Date.now();
+  await updateJob(job.id, { status: "delivering", leaseUntil: new Date(now + LEASE_MS).toISOString() });
+  const attempts = job.attempts + 1;
+  try {
+    const sink = sinksByName(job.tenant).get(job.sink);
+    if (!sink) throw Object.assign(new Error(`sink "${job.sink}" is no longer configured`), { permanent: true });
+    const lead = await getLead(job.leadId);
+    if (!lead) throw Object.assign(new Error(`lead ${job.leadId} no longer exists`), { permanent: true });
+    await sink.deliver(lead, { idempotencyKey: job.id });
+    await updateJob(job.id, { status: "sent", attempts, sentAt: new Date().toISOString(), lastError: null, leaseUntil: null });
+    return "sent";
+  } catch (e) {
+    const dead = e.permanent || attempts >= MAX_ATTEMPTS;
+    await updateJob(job.id, {
+      status: dead ? "dead" : "pending", attempts, lastError: String(e.message || e).slice(0, 500), leaseUntil: null,
+      nextAttemptAt: new Date(Date.now() + (dead ? 0 : backoffMs(attempts))).toISOString(),
+      ...(dead ? { deadAt: new Date().toISOString() } : {})
+    });
+    console.error(`Outbox: ${job.id} attempt ${attempts} failed${dead ? " (dead-lettered)" : ""}:`, e.message);
+    return dead ? "dead" : "retry";
+  }
+}
+
+function isDue(job, now) {
+  if (job.status === "pending") return Date.parse(job.nextAttemptAt) <= now;
+  return job.status === "delivering" && job.leaseUntil && Date.parse(job.leaseUntil) <= now;
+}
+
+/*
+ * Deliver every due job (optionally only `ids`). Delivery is at-least-once — two workers can race
+ * on the same job — which is why sinks get a stable idempotency key.
+ */
+let running = null;
+export function processOutbox({ ids } = {}) {
+  if (running && !ids) return running;
+  const run = (async () => {
+    const now = Date.now();
+    const due = (await listJobs()).filter(j => isDue(j, now) && (!ids || ids.includes(j.id)));
+    const result = { sent: 0, retry: 0, dead: 0 };
+    for (const job of due) result[await attempt(job)]++;
+    return result;
+  })();
+  if (!ids) running = run.finally(() => { running = null; });
+  return run;
+}
+
+/* background drain for long-running servers; serverless instances drain on each handoff instead */
+export function startOutboxWorker(intervalMs = Number(process.env.OUTBOX_INTERVAL_MS) || 15000) {
+  const timer = setInterval(() => processOutbox().catch(e => console.error("Outbox worker error:", e)), intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/* move a dead-lettered job back into the queue */
+export async function retryJob(id) {
+  const job = (await listJobs()).find(j => j.id === id);
+  if (!job) return null;
+  await updateJob(id, { status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString(), deadAt: null });
+  return { ...job, status: "pending", attempts: 0 };
+}
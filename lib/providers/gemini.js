@@ -0,0 +1,67 @@
+// lib/providers/gemini.js — Google Gemini adapter
+import { GoogleGenerativeAI } from "@google/generative-ai";
+
+/* ---------- Robust extractor ---------- */
+export function findFirstText(obj, opts = { minLen: 1 }) {
+  const visited = new WeakSet();
+  function isLikelyText(s) { return typeof s === "string" && s.trim().length >= (opts.minLen || 1); }
+  function helper(value) {
+    if (value == null) return null;
+    if (typeof value === "string") return isLikelyText(value) ? value.trim() : null;
+    if (typeof value !== "object") return null;
+    if (visited.has(value)) return null;
+    visited.add(value);
+    if (Array.isArray(value)) {
+      for (const it of value) { const r = helper(it); if (r) return r; }
+      return null;
+    }
+    const preferKeys = ["text","content","outputText","output_text","message","candidates","choices","delta","output","response"];
+    for (const k of preferKeys) if (k in value) { const r = helper(value[k]); if (r) return r; }
+    for (const k of Object.keys(value)) { try { const r = helper(value[k]); if (r) return r; } catch (e) {} }
+    return null;
+  }
+  return helper(obj);
+}
+export function extractTextFromGeminiResponse(resp) {
+  if (!resp) return null;
+  if (typeof resp.text === "string" && resp.text.trim()) return resp.text.trim();
+  if (typeof resp.outputText === "string" && resp.outputText.trim()) return resp.outputText.trim();
+  const found = findFirstText(resp, { minLen: 8 });
+  if (found) return found;
+  const found2 = findFirstText(resp, { minLen: 1 });
+  if (found2) return found2;
+  return null;
+}
+
+function reportUsage(response, onUsage) {
+  const meta = response && response.usageMetadata;
+  if (meta && onUsage) onUsage({ input: meta.promptTokenCount || 0, output: meta.candidatesTokenCount || 0 });
+}
+
+export function createGeminiProvider({ apiKey, model }) {
+  if (!apiKey) throw new Error("gemini provider needs GEMINI_API_KEY");
+  const ai = new GoogleGenerativeAI(apiKey);
+
+  function startChat(history, system) {
+    const contents = history.map(msg => ({ role: msg.role === "assistant" ? "model" : "user", parts: [{ text: String(msg.content) }] }));
+    return ai.getGenerativeModel({ model, systemInstruction: system }).startChat({ history: contents });
+  }
+
+  return {
+    name: "gemini",
+    async reply(history, message, { system, signal, onUsage } = {}) {
+      const response = await startChat(history, system).sendMessage(message, { signal });
+      reportUsage(response && response.response, onUsage);
+      return extractTextFromGeminiResponse(response) || "";
+    },
+    async *stream(history, message, { system, signal, onUsage } = {}) {
+      const { stream, response } = await startChat(history, system).sendMessageStream(message, { signal });
+      for await (const chunk of stream) {
+        let text = null;
+        try { text = typeof chunk.text === "function" ? chunk.text() : findFirstText(chunk); } catch (e) { text = null; }
+        if (text) yield text;
+      }
+      reportUsage(await response.catch(() => null), onUsage);
+    }
+  };
+}
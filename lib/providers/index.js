@@ -0,0 +1,112 @@
+// lib/providers/index.js — config-driven model provider chain with timeout and fallback
+import path from "path";
+import { fileURLToPath } from "url";
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createMockProvider } from "./mock.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "../..");
+
+/*
+ * A provider is { name, reply(history, message, { system, signal, onUsage }), stream(...) } where history
+ * is [{ role: "user"|"assistant", content }], reply resolves to the raw text and stream yields chunks.
+ * Providers that learn token counts pass them to onUsage({ input, output }).
+ */
+const FACTORIES = {
+  gemini: () => createGeminiProvider({ apiKey: process.env.GEMINI_API_KEY, model: process.env.GEMINI_MODEL || "gemini-2.5-flash" }),
+  openai: () => createOpenAIProvider({ baseUrl: process.env.OPENAI_BASE_URL, apiKey: process.env.OPENAI_API_KEY, model: process.env.OPENAI_MODEL || "gpt-4o-mini" }),
+  mock: () => createMockProvider({ fixture: process.env.MOCK_FIXTURE || path.resolve(ROOT, "fixtures/mock-completions.json") })
+};
+
+export function providerConfig() {
+  const primary = process.env.MODEL_PROVIDER || (process.env.GEMINI_API_KEY ? "gemini" : "mock");
+  const fallbacks = (process.env.MODEL_FALLBACKS || "").split(",").map(s => s.trim()).filter(Boolean);
+  return { chain: [...new Set([primary, ...fallbacks])], timeoutMs: Number(process.env.MODEL_TIMEOUT_MS) || 20000 };
+}
+
+let chain = null;
+let timeoutMs = 20000;
+
+function providers() {
+  if (chain) return chain;
+  const config = providerConfig();
+  timeoutMs = config.timeoutMs;
+  chain = [];
+  if (!process.env.MODEL_PROVIDER && !process.env.GEMINI_API_KEY) console.warn("Warning: GEMINI_API_KEY not set; answering from the scripted mock provider.");
+  for (const name of config.chain) {
+    if (!FACTORIES[name]) { console.error(`Unknown model provider "${name}" (expected gemini, openai or mock)`); continue; }
+    try { chain.push(FACTORIES[name]()); } catch (e) { console.error(`Model provider "${name}" disabled:`, e.message); }
+  }
+  if (!chain.length) console.error("Warning: no model provider is available; model-backed replies will fail.");
+  return chain;
+}
+
+/* replace the provider chain, whatever MODEL_PROVIDER says; the test suite runs on the scripted mock */
+export function setProviders(list, opts = {}) {
+  chain = list;
+  if (opts.timeoutMs) timeoutMs = opts.timeoutMs;
+}
+
+function timer() {
+  const controller = new AbortController();
+  const t = setTimeout(() => controller.abort(new Error(`model timed out after ${timeoutMs}ms`)), timeoutMs);
+  return { signal: controller.signal, clear: () => clearTimeout(t) };
+}
+
+function raceAbort(promise, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+    promise.then(resolve, reject);
+  });
+}
+
+/* whole reply from the first provider that answers in time: { text, provider, usage? } */
+export async function completeReply(history, message, opts = {}) {
+  let lastErr = new Error("no model provider available");
+  for (const p of providers()) {
+    const { signal, clear } = timer();
+    let usage;
+    try {
+      const text = await raceAbort(p.reply(history, message, { system: opts.system, signal, onUsage: u => { usage = u; } }), signal);
+      return { text, provider: p.name, usage };
+    } catch (e) {
+      console.error(`Model provider "${p.name}" failed:`, e.message);
+      lastErr = e;
+    } finally { clear(); }
+  }
+  throw lastErr;
+}
+
+/*
+ * Streamed reply. Falls through to the next provider only while nothing has been yielded yet;
+ * the timeout covers the wait for the first chunk. `info.provider` names whoever answered and
+ * `info.usage` holds its token counts when it reports them.
+ */
+export async function* streamReply(history, message, opts = {}, info = {}) {
+  let lastErr = new Error("no model provider available");
+  for (const p of providers()) {
+    const { signal, clear } = timer();
+    let started = false, finished = false, it = null;
+    try {
+      it = p.stream(history, message, { system: opts.system, signal, onUsage: u => { info.usage = u; } })[Symbol.asyncIterator]();
+      for (;;) {
+        const next = started ? await it.next() : await raceAbort(it.next(), signal);
+        if (!started) { started = true; clear(); info.provider = p.name; }
+        if (next.done) { finished = true; return; }
+        yield next.value;
+      }
+    } catch (e) {
+      finished = true;
+      if (started) throw e;
+      console.error(`Model provider "${p.name}" failed:`, e.message);
+      lastErr = e;
+    } finally {
+      clear();
+      // consumer stopped early (e.g. the sanitizer tripped): let the provider close its request
+      if (it && !finished && it.return) it.return().catch(() => {});
+    }
+  }
+  throw lastErr;
+}
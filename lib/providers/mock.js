@@ -0,0 +1,37 @@
+// lib/providers/mock.js — deterministic scripted provider replaying completions from a fixture file
+import fs from "fs";
+
+/*
+ * Fixture shape:
+ *   { "default": "…", "completions": [ { "match": "regex", "reply": "…" }, { "match": "…", "error": "…" } ] }
+ * The first entry whose `match` (case-insensitive) hits the user message wins; `error` makes the
+ * provider throw so fallback chains can be exercised, `delayMs` simulates a slow model.
+ */
+export function createMockProvider({ fixture }) {
+  const script = JSON.parse(fs.readFileSync(fixture, "utf8"));
+  const completions = (script.completions || []).map(c => ({ ...c, re: new RegExp(c.match, "i") }));
+
+  async function pick(message, signal) {
+    const hit = completions.find(c => c.re.test(message)) || { reply: script.default || "" };
+    if (hit.delayMs) {
+      await new Promise((resolve, reject) => {
+        const t = setTimeout(resolve, hit.delayMs);
+        if (signal) signal.addEventListener("abort", () => { clearTimeout(t); reject(new Error("mock provider aborted")); }, { once: true });
+      });
+    }
+    if (hit.error) throw new Error(hit.error);
+    return hit.reply;
+  }
+
+  return {
+    name: "mock",
+    async reply(history, message, { signal } = {}) {
+      return pick(message, signal);
+    },
+    async *stream(history, message, { signal } = {}) {
+      const text = await pick(message, signal);
+      // word-sized chunks, whitespace kept, so the joined stream equals reply()
+      for (const chunk of text.match(/\S+\s*|\s+/g) || []) yield chunk;
+    }
+  };
+}
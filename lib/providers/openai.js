@@ -0,0 +1,61 @@
+// lib/providers/openai.js — any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure, vLLM, Ollama…)
+
+function reportUsage(json, onUsage) {
+  if (json && json.usage && onUsage) onUsage({ input: json.usage.prompt_tokens || 0, output: json.usage.completion_tokens || 0 });
+}
+
+export function createOpenAIProvider({ baseUrl, apiKey, model }) {
+  if (!baseUrl) throw new Error("openai provider needs OPENAI_BASE_URL");
+  const url = baseUrl.replace(/\/+$/, "") + "/chat/completions";
+
+  function request(history, message, system, stream, signal) {
+    const messages = [];
+    if (system) messages.push({ role: "system", content: system });
+    for (const m of history) messages.push({ role: m.role === "assistant" ? "assistant" : "user", content: String(m.content) });
+    messages.push({ role: "user", content: message });
+    const headers = { "Content-Type": "application/json" };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    return fetch(url, { method: "POST", headers, body: JSON.stringify({ model, messages, stream }), signal });
+  }
+
+  async function ensureOk(res) {
+    if (res.ok) return;
+    const text = await res.text().catch(() => "");
+    throw new Error(`openai provider HTTP ${res.status}: ${text.slice(0, 200)}`);
+  }
+
+  return {
+    name: "openai",
+    async reply(history, message, { system, signal, onUsage } = {}) {
+      const res = await request(history, message, system, false, signal);
+      await ensureOk(res);
+      const json = await res.json();
+      reportUsage(json, onUsage);
+      const choice = json.choices && json.choices[0];
+      return (choice && choice.message && choice.message.content || "").trim();
+    },
+    // servers that send a final `usage` chunk (e.g. with stream_options.include_usage) get counted
+    async *stream(history, message, { system, signal, onUsage } = {}) {
+      const res = await request(history, message, system, true, signal);
+      await ensureOk(res);
+      const decoder = new TextDecoder();
+      let buf = "";
+      for await (const bytes of res.body) {
+        buf += decoder.decode(bytes, { stream: true });
+        let idx;
+        while ((idx = buf.indexOf("\n")) !== -1) {
+          const line = buf.slice(0, idx).trim();
+          buf = buf.slice(idx + 1);
+          if (!line.startsWith("data:")) continue;
+          const data = line.slice(5).trim();
+          if (data === "[DONE]") return;
+          let json;
+          try { json = JSON.parse(data); } catch (e) { continue; }
+          reportUsage(json, onUsage);
+          const delta = json.choices && json.choices[0] && json.choices[0].delta;
+          if (delta && delta.content) yield delta.content;
+        }
+      }
+    }
+  };
+}
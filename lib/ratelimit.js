@@ -0,0 +1,196 @@
+// lib/ratelimit.js — sliding-window rate limits per route, keyed by client IP and by session
+//
+//   RATE_LIMITS       JSON overrides, e.g. {"chat":{"ip":"60/1m"},"handoff":{"session":false}}
+//
+//   Every request counts against these server-wide limits, whichever tenant it names: the tenant id
+//   comes from a header the caller chooses, so it must never buy a fresh budget. A tenant's
+//   `rateLimits` (lib/tenants.js, same shape) add counters of its own on top and can only tighten.
+//   RATE_LIMIT_STORE  memory (default, per process) | redis (shared; Upstash-style REST API:
+//                     RATE_LIMIT_REDIS_URL + RATE_LIMIT_REDIS_TOKEN, or UPSTASH_REDIS_REST_URL/_TOKEN)
+import { countMetric } from "./analytics.js";
+
+/* "<requests>/<window>" where window is e.g. 30s, 1m, 10m, 1h */
+const DEFAULT_LIMITS = {
+  chat: { ip: "30/1m", session: "15/1m" },
+  handoff: { ip: "10/10m", session: "3/10m" }, // a submit is a GET for the challenge plus the POST
+  eligibility: { ip: "30/1m", session: "15/1m" },
+  catalog: { ip: "60/1m" },
+  live: { ip: "120/1m", session: "60/1m" }, // event streams reconnect every LIVE_STREAM_MS, typing pings every few seconds
+  admin: { ip: "120/1m" },
+  default: { ip: "60/1m" }
+};
+
+const UNITS = { s: 1000, m: 60000, h: 3600000 };
+
+export function parseLimit(spec) {
+  if (spec === false || spec == null) return null;
+  if (typeof spec === "object") return spec.max > 0 && spec.windowMs > 0 ? { max: spec.max, windowMs: spec.windowMs } : null;
+  const m = String(spec).trim().match(/^(\d+)\s*\/\s*(\d*)\s*([smh])$/);
+  if (!m) throw new Error(`Invalid rate limit "${spec}" (expected e.g. 30/1m)`);
+  return { max: Number(m[1]), windowMs: (Number(m[2]) || 1) * UNITS[m[3]] };
+}
+
+function envOverrides() {
+  try { return process.env.RATE_LIMITS ? JSON.parse(process.env.RATE_LIMITS) : {}; } catch (e) {
+    console.error("Ignoring unreadable RATE_LIMITS:", e.message);
+    return {};
+  }
+}
+
+function mergeLimits(base, overrides) {
+  const out = {};
+  for (const name of new Set([...Object.keys(base), ...Object.keys(overrides)])) {
+    out[name] = overrides[name] === false ? {} : { ...base[name], ...overrides[name] };
+  }
+  return out;
+}
+
+function parseAll(table) {
+  const parsed = {};
+  for (const [name, m] of Object.entries(table)) parsed[name] = { ip: parseLimit(m.ip), session: parseLimit(m.session) };
+  return parsed;
+}
+
+let serverLimits = null;
+/* the server-wide { ip, session } limits for a route */
+export function routeLimits(route) {
+  if (!serverLimits) serverLimits = parseAll(mergeLimits(DEFAULT_LIMITS, envOverrides()));
+  return serverLimits[route] || serverLimits.default;
+}
+
+// keyed by tenant id; only the routes and fields the tenant sets itself
+const tenantCache = new Map();
+/* a tenant's own extra { ip, session } limits for a route (null fields when it sets none) */
+export function tenantLimits(route, tenant) {
+  if (!tenant || !tenant.rateLimits) return { ip: null, session: null };
+  if (!tenantCache.has(tenant.id)) tenantCache.set(tenant.id, parseAll(mergeLimits({}, tenant.rateLimits)));
+  const limits = tenantCache.get(tenant.id);
+  return limits[route] || limits.default || { ip: null, session: null };
+}
+
+/* ---------- STORES ---------- */
+/*
+ * A store counts hits per key: incr(key, ttlMs) -> new count, get(key) -> count (0 when unknown).
+ * Counters only need to outlive their window; the store decides how they expire.
+ */
+export function createMemoryLimitStore() {
+  const counters = new Map();
+  let nextSweep = 0;
+  function sweep(now) {
+    if (now < nextSweep) return;
+    nextSweep = now + 60000;
+    for (const [key, c] of counters) if (c.expires <= now) counters.delete(key);
+  }
+  return {
+    name: "memory",
+    async incr(key, ttlMs) {
+      const now = Date.now();
+      sweep(now);
+      const c = counters.get(key);
+      if (c && c.expires > now) return ++c.count;
+      counters.set(key, { count: 1, expires: now + ttlMs });
+      return 1;
+    },
+    async get(key) {
+      const c = counters.get(key);
+      return c && c.expires > Date.now() ? c.count : 0;
+    }
+  };
+}
+
+/* shared counters over a Redis REST endpoint (Upstash and compatible proxies), no client library needed */
+export function createRedisLimitStore({ url, token }) {
+  async function pipeline(commands) {
+    const res = await fetch(url.replace(/\/$/, "") + "/pipeline", {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(commands)
+    });
+    if (!res.ok) throw new Error(`rate limit store HTTP ${res.status}`);
+    const out = await res.json();
+    const failed = out.find(r => r.error);
+    if (failed) throw new Error(`rate limit store: ${failed.error}`);
+    return out.map(r => r.result);
+  }
+  return {
+    name: "redis",
+    async incr(key, ttlMs) {
+      const [count] = await pipeline([["INCR", key], ["PEXPIRE", key, String(ttlMs), "NX"]]);
+      return Number(count);
+    },
+    async get(key) {
+      const [count] = await pipeline([["GET", key]]);
+      return Number(count) || 0;
+    }
+  };
+}
+
+let store = null;
+export function getLimitStore() {
+  if (!store) {
+    const kind = process.env.RATE_LIMIT_STORE || "memory";
+    if (kind === "memory") store = createMemoryLimitStore();
+    else if (kind === "redis") {
+      const url = process.env.RATE_LIMIT_REDIS_URL || process.env.UPSTASH_REDIS_REST_URL;
+      const token = process.env.RATE_LIMIT_REDIS_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+      if (!url || !token) throw new Error("RATE_LIMIT_STORE=redis needs RATE_LIMIT_REDIS_URL and RATE_LIMIT_REDIS_TOKEN");
+      store = createRedisLimitStore({ url, token });
+    } else throw new Error(`Unknown RATE_LIMIT_STORE "${kind}" (expected memory or redis)`);
+  }
+  return store;
+}
+
+/* replace the counters, e.g. to start a test from zero */
+export function setLimitStore(next) {
+  store = next;
+}
+
+/* ---------- SLIDING WINDOW ---------- */
+/*
+ * Sliding-window counter: the current fixed window's count plus the previous window's count
+ * weighted by how much of it still overlaps the sliding window. Two counters per key instead of
+ * a log of timestamps, and close enough to exact for abuse protection.
+ * Resolves to { allowed, retryAfterMs }.
+ */
+export async function hit(key, { max, windowMs }, now = Date.now()) {
+  const slot = Math.floor(now / windowMs);
+  const elapsed = (now % windowMs) / windowMs;
+  const s = getLimitStore();
+  const [current, previous] = await Promise.all([s.incr(`rl:${key}:${slot}`, windowMs * 2), s.get(`rl:${key}:${slot - 1}`)]);
+  const used = previous * (1 - elapsed) + current;
+  if (used <= max) return { allowed: true, retryAfterMs: 0 };
+  // wait until the previous window has decayed enough, or for the next window when this one alone is full
+  let wait = (1 - elapsed) * windowMs;
+  if (current < max && previous > 0) wait = Math.min(wait, Math.max(0, (1 - (max - current - 1) / previous - elapsed) * windowMs));
+  return { allowed: false, retryAfterMs: Math.max(1000, Math.ceil(wait)) };
+}
+
+/*
+ * Check a request against its route's IP and session limits, then its tenant's own. Null when
+ * allowed, else the 429 result to send. A failing store lets the request through: limits protect
+ * the service, they should not take it down.
+ */
+export async function checkRateLimit(route, { ip, sessionId, tenant } = {}) {
+  try {
+    const session = typeof sessionId === "string" && sessionId ? sessionId.slice(0, 64) : null;
+    const checks = [];
+    const add = (scope, limits) => {
+      if (limits.ip && ip) checks.push([`${scope}:ip:${ip}`, limits.ip]);
+      if (limits.session && session) checks.push([`${scope}:session:${session}`, limits.session]);
+    };
+    add(route, routeLimits(route));
+    if (tenant) add(`${route}:tenant:${tenant.id}`, tenantLimits(route, tenant));
+    let retryAfterMs = 0;
+    for (const [key, limit] of checks) {
+      const r = await hit(key, limit);
+      if (!r.allowed) retryAfterMs = Math.max(retryAfterMs, r.retryAfterMs);
+    }
+    if (!retryAfterMs) return null;
+    countMetric("gt_rate_limited_total", "Requests refused by a rate limit", { route });
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    return { status: 429, body: { error: "Too many requests, please slow down", retryAfter: seconds }, headers: { "Retry-After": String(seconds) } };
+  } catch (e) {
+    console.error("Rate limit check failed:", e.message);
+    return null;
+  }
+}
@@ -0,0 +1,31 @@
+// lib/rates.js — currency conversion from the local rates file (data/rates.json)
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+
+let table = null;
+
+export function loadRates(file = process.env.RATES_FILE || path.resolve(ROOT, "data/rates.json")) {
+  table = JSON.parse(fs.readFileSync(file, "utf8"));
+  return table;
+}
+export function getRates() {
+  return table || loadRates();
+}
+
+/* amount in `from` expressed in `to`, or null when either currency is missing from the table */
+export function convert(amount, from, to) {
+  if (from === to) return amount;
+  const { rates } = getRates();
+  if (!rates[from] || !rates[to]) return null;
+  return (amount * rates[from]) / rates[to];
+}
+
+/* "CAD 98k", "₹45.2 lakh" — rounded for chat replies */
+export function formatMoney(amount, currency) {
+  if (currency === "INR") return amount >= 100000 ? `₹${(amount / 100000).toFixed(1)} lakh` : `₹${Math.round(amount).toLocaleString("en-IN")}`;
+  return `${currency} ${amount >= 1000 ? Math.round(amount / 1000) + "k" : Math.round(amount)}`;
+}
@@ -0,0 +1,304 @@
+// lib/sanitize.js — guardrails for model replies, configured in data/guardrails.json
+//
+//   GUARDRAILS_FILE   rule settings (default data/guardrails.json); a tenant's `guardrails` overrides
+//                     them field by field per rule (lib/tenants.js)
+//
+//   Rules run in this order; every one that fires is listed in meta.guardrails as { rule, action, … }:
+//     topic      medical, legal, investment or business advice, scored against the study-abroad terms in
+//                the question and reply, so "financial proof for a visa" passes; blocked replies become
+//                the booking prompt
+//     specifics  fees, deadlines and URLs found in neither the knowledge-base passages, the catalog nor
+//                the question; the sentences (or whole list items) holding them are removed
+//     pii        emails and phone numbers that are not our own published ones become [email] / [phone]
+//     length     replies over maxChars end at a line or sentence boundary, lists after maxListItems items
+//   With action "report" a rule only lists what it found and leaves the reply alone.
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { TRUNCATED_SUFFIX, UNVERIFIED_NOTE } from "./canned.js";
+import { intentText, normalize, has } from "./intents.js";
+import { localized } from "./lang.js";
+import { getCatalog } from "./catalog.js";
+import { redactPII } from "./leads.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+
+const RULES = ["topic", "specifics", "pii", "length"];
+const DONE = { block: "blocked", remove: "removed", redact: "redacted", truncate: "truncated" };
+
+let config = null;
+
+export function loadGuardrails(file = process.env.GUARDRAILS_FILE || path.resolve(ROOT, "data/guardrails.json")) {
+  config = JSON.parse(fs.readFileSync(file, "utf8"));
+  return config;
+}
+
+/* every rule's settings for a tenant; a rule missing from the file is off */
+export function guardrailSettings(tenant = null) {
+  const base = config || loadGuardrails();
+  const own = (tenant && tenant.guardrails) || {};
+  return Object.fromEntries(RULES.map(r => [r, { ...(base[r] || { enabled: false }), ...(own[r] || {}) }]));
+}
+
+/* ---------- TEXT STRUCTURE ---------- */
+const LIST_ITEM = /^\s*(?:[-*+•]|\d+[.)])\s+/;
+const HEADING = /^\s*#{1,6}\s/;
+
+function sentences(line) {
+  return line.split(/(?<=[.!?।])\s+(?=\S)/);
+}
+
+/* unbalanced ** or ` left by a cut would turn the rest of the widget bubble bold or monospace */
+function closeMarkdown(text) {
+  let out = text;
+  if ((out.match(/\*\*/g) || []).length % 2) out += "**";
+  if ((out.replace(/```/g, "").match(/`/g) || []).length % 2) out += "`";
+  return out;
+}
+
+/* ---------- TOPIC ---------- */
+function classifyTopic(text, question, settings) {
+  const norm = normalize(`${question || ""} ${text}`);
+  const onTopic = (settings.onTopic || []).filter(t => has(norm, t)).length;
+  let best = { category: null, score: 0 };
+  for (const [category, terms] of Object.entries(settings.offTopic || {})) {
+    const score = terms.filter(t => has(norm, t)).length;
+    if (score > best.score) best = { category, score };
+  }
+  return { ...best, onTopic, offTopic: best.score >= (settings.minScore || 1) && best.score > onTopic };
+}
+
+/* ---------- SPECIFICS ---------- */
+const MULTIPLIERS = { k: 1e3, m: 1e6, million: 1e6, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7 };
+const AMOUNT = "(\\d[\\d,]*(?:\\.\\d+)?)\\s?(k|m|million|lakhs?|lacs?|crores?)?\\b";
+const CURRENCY_CODE = "usd|cad|aud|gbp|eur|inr|nzd|sgd";
+const FEE_PATTERNS = [
+  `(?:[$€£₹]|\\b(?:${CURRENCY_CODE}|rs\\.?)\\s?)${AMOUNT}`,
+  `\\b${AMOUNT}\\s?(?:${CURRENCY_CODE}|dollars|pounds|euros|rupees)\\b`
+];
+const MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const DAY = "(\\d{1,2})(?:st|nd|rd|th)?";
+const DATE_PATTERNS = [
+  { re: `\\b${DAY}\\s+(?:of\\s+)?${MONTH}\\b`, day: 1, month: 2 },
+  { re: `\\b${MONTH}\\.?\\s+${DAY}\\b`, day: 2, month: 1 }
+];
+const NUMERIC_DATE = /\b\d{1,2}[/.-]\d{1,2}[/.-](?:\d{4}|\d{2})\b/g;
+const URL_IN_TEXT = /\b(?:https?:\/\/|www\.)[^\s<>()[\]]+/gi;
+
+function amountValue(number, unit) {
+  return Number(number.replace(/,/g, "")) * (MULTIPLIERS[String(unit || "").toLowerCase()] || 1);
+}
+function amounts(text) {
+  return [...text.matchAll(new RegExp(AMOUNT, "gi"))].map(m => amountValue(m[1], m[2]));
+}
+function fees(text) {
+  const found = new Map();
+  for (const p of FEE_PATTERNS) for (const m of text.matchAll(new RegExp(p, "gi"))) found.set(m[0].trim(), amountValue(m[1], m[2]));
+  return [...found].map(([text, value]) => ({ text, value }));
+}
+function dates(text) {
+  const found = [];
+  for (const p of DATE_PATTERNS) {
+    for (const m of text.matchAll(new RegExp(p.re, "gi"))) {
+      const day = Number(m[p.day]);
+      if (day >= 1 && day <= 31) found.push({ text: m[0], key: `${m[p.month].slice(0, 3).toLowerCase()}-${day}` });
+    }
+  }
+  for (const m of text.matchAll(NUMERIC_DATE)) found.push({ text: m[0], key: m[0] });
+  return found;
+}
+function urlHost(url) {
+  try { return new URL(/^https?:/i.test(url) ? url : `https://${url}`).hostname.toLowerCase().replace(/^www\./, ""); } catch (e) { return null; }
+}
+
+// each catalog's figures and wording, rebuilt only when that catalog is reloaded
+const catalogFacts = new WeakMap();
+function fromCatalog(tenant) {
+  const catalog = getCatalog(tenant);
+  if (catalogFacts.has(catalog)) return catalogFacts.get(catalog);
+  const strings = [], numbers = [];
+  (function walk(v) {
+    if (typeof v === "number") numbers.push(v);
+    else if (typeof v === "string") strings.push(v);
+    else if (v && typeof v === "object") Object.values(v).forEach(walk);
+  })(catalog);
+  const text = strings.join("\n");
+  const facts = { text, amounts: [...numbers, ...amounts(text)] };
+  catalogFacts.set(catalog, facts);
+  return facts;
+}
+
+/* what a reply may quote: this turn's passages and the tenant's catalog (`source`), plus the question (`text`) */
+function knownFacts({ question = "", passages = [], tenant = null }) {
+  const catalog = fromCatalog(tenant);
+  const source = passages.map(p => `${p.heading || ""}\n${p.text || ""}`).join("\n") + "\n" + catalog.text;
+  const text = `${question}\n${source}`;
+  return {
+    source, text, lower: text.toLowerCase(),
+    amounts: [...catalog.amounts, ...amounts(`${question}\n${source}`)],
+    dates: new Set(dates(text).map(d => d.key))
+  };
+}
+
+function findSpecifics(text, settings, known) {
+  const check = settings.check || ["fees", "deadlines", "urls"];
+  const tolerance = settings.tolerance || 0;
+  const items = [];
+  if (check.includes("fees")) {
+    for (const f of fees(text)) {
+      if (!known.amounts.some(a => Math.abs(a - f.value) <= tolerance * f.value)) items.push({ type: "fee", text: f.text });
+    }
+  }
+  if (check.includes("deadlines")) {
+    for (const d of dates(text)) if (!known.dates.has(d.key)) items.push({ type: "deadline", text: d.text });
+  }
+  if (check.includes("urls")) {
+    const allowed = (settings.allowedHosts || []).map(h => h.toLowerCase());
+    for (const m of text.matchAll(URL_IN_TEXT)) {
+      const url = m[0].replace(/[.,;:!?'"*_]+$/, "");
+      const host = urlHost(url);
+      const ok = host && (allowed.some(a => host === a || host.endsWith("." + a)) || known.lower.includes(host));
+      if (!ok) items.push({ type: "url", text: url });
+    }
+  }
+  return items;
+}
+
+/* the reply without the sentences holding `items`; list items go whole so the list stays a list */
+function dropSpecifics(text, items) {
+  const hit = s => items.some(i => s.includes(i.text));
+  const lines = text.split("\n").map(line => {
+    if (!hit(line)) return line;
+    if (LIST_ITEM.test(line) || HEADING.test(line)) return null;
+    const kept = sentences(line).filter(s => !hit(s));
+    return kept.length ? kept.join(" ") : null;
+  });
+  return lines.filter(l => l !== null).join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/* ---------- PII ---------- */
+function scrubPII(text, known) {
+  const placeholders = s => (s.match(/\[(?:email|phone)\]/g) || []).length;
+  const out = redactPII(text, [], m => known.source.includes(m));
+  return { text: out, count: placeholders(out) - placeholders(text) };
+}
+
+/* ---------- LENGTH ---------- */
+/* null when the reply fits; otherwise whole lines up to maxChars, the overflowing one cut after its last fitting sentence */
+function truncate(text, { maxChars = 700, maxListItems = Infinity }) {
+  const out = [];
+  let used = 0, run = 0, cut = false;
+  for (const line of text.split("\n")) {
+    if (LIST_ITEM.test(line)) {
+      if (++run > maxListItems) { cut = true; continue; }
+    } else if (line.trim()) run = 0;
+    const gap = out.length ? 1 : 0;
+    if (used + gap + line.length <= maxChars) { out.push(line); used += gap + line.length; continue; }
+    cut = true;
+    const room = maxChars - used - gap;
+    let part = "";
+    for (const s of sentences(line)) {
+      const next = part ? `${part} ${s}` : s;
+      if (next.length > room) break;
+      part = next;
+    }
+    // nothing kept yet and not even one sentence fits: cut at a word
+    if (!part && !out.some(l => l.trim()) && room > 1) part = line.slice(0, room - 1).replace(/\s+\S*$/, "") + "…";
+    if (part) out.push(part);
+    break;
+  }
+  if (!cut) return null;
+  // a heading or "…:" lead-in whose content was cut goes too
+  while (out.length && (!out[out.length - 1].trim() || HEADING.test(out[out.length - 1]) || /:\s*$/.test(out[out.length - 1]))) out.pop();
+  return closeMarkdown(out.join("\n").trim());
+}
+
+/* ---------- PIPELINE ---------- */
+/*
+ * `context` is { lang, tenant, question, passages } for the turn. report.guardrails lists the rules
+ * that fired: { rule, action: "blocked" | "removed" | "redacted" | "truncated" | "reported", … }.
+ */
+export function sanitizeReply(reply, context = {}, report = {}) {
+  if (!reply) return reply;
+  const { lang = "en", tenant = null } = context;
+  const rules = guardrailSettings(tenant);
+  const fired = (report.guardrails = []);
+  const acted = rule => rules[rule].action !== "report";
+  const booking = () => intentText("lead", "body", lang, tenant);
+  let known = null;
+  const facts = () => known || (known = knownFacts(context));
+  let text = reply.trim();
+  const notes = [];
+
+  if (rules.topic.enabled) {
+    const topic = classifyTopic(text, context.question, rules.topic);
+    if (topic.offTopic) {
+      fired.push({ rule: "topic", action: acted("topic") ? "blocked" : "reported", category: topic.category, score: topic.score, onTopic: topic.onTopic });
+      if (acted("topic")) return booking();
+    }
+  }
+
+  if (rules.specifics.enabled) {
+    const items = findSpecifics(text, rules.specifics, facts());
+    if (items.length) {
+      const action = acted("specifics") ? rules.specifics.action : "report";
+      fired.push({ rule: "specifics", action: DONE[action] || "reported", items });
+      if (action === "block") return booking();
+      if (action === "remove") {
+        text = dropSpecifics(text, items);
+        if (!text) return booking();
+        notes.push(localized(lang, "unverifiedNote", UNVERIFIED_NOTE, tenant));
+      }
+    }
+  }
+
+  if (rules.pii.enabled) {
+    const scrubbed = scrubPII(text, facts());
+    if (scrubbed.count) {
+      fired.push({ rule: "pii", action: acted("pii") ? "redacted" : "reported", count: scrubbed.count });
+      if (acted("pii")) text = scrubbed.text;
+    }
+  }
+
+  if (rules.length.enabled) {
+    const short = truncate(text, rules.length);
+    if (short !== null) {
+      fired.push({ rule: "length", action: acted("length") ? "truncated" : "reported", chars: text.length });
+      if (acted("length")) {
+        text = short;
+        notes.push(localized(lang, "truncatedSuffix", TRUNCATED_SUFFIX, tenant));
+      }
+    }
+  }
+
+  return text + notes.join("");
+}
+
+/*
+ * Streaming counterpart. Whole words pass through while the reply so far trips no rule; a rule that
+ * would rewrite it holds the rest back, and blocking or running past maxChars stops the stream.
+ * finish() always returns exactly what sanitizeReply would for the text received, so the client
+ * replaces its streamed draft with it.
+ */
+export function createStreamSanitizer(context = {}) {
+  const { length } = guardrailSettings(context.tenant);
+  let raw = "", sent = 0, held = false;
+  return {
+    push(chunk) {
+      raw += chunk;
+      if (length.enabled && length.action !== "report" && raw.length > length.maxChars) return { stop: true };
+      const end = raw.length - raw.match(/\S*$/)[0].length;
+      if (held || end <= sent) return {};
+      const report = {};
+      sanitizeReply(raw.slice(0, end), context, report);
+      const acted = report.guardrails.filter(g => g.action !== "reported");
+      if (acted.some(g => g.action === "blocked")) return { stop: true };
+      if (acted.length) { held = true; return {}; }
+      const text = raw.slice(sent, end);
+      sent = end;
+      return { text };
+    },
+    finish(report) { return sanitizeReply(raw, context, report) || ""; }
+  };
+}
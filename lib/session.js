@@ -0,0 +1,100 @@
+// lib/session.js — server-side chat sessions: recorded turns, idle expiry and a rolling summary
+import crypto from "crypto";
+import { getConversation, setSessionState } from "./store.js";
+import { completeReply } from "./providers/index.js";
+import { SUMMARY_INSTRUCTION } from "./canned.js";
+import { belongsTo, DEFAULT_TENANT } from "./tenants.js";
+
+const SESSION_ID = /^[\w-]{1,64}$/;
+
+export function sessionTtlMs() { return Number(process.env.SESSION_TTL_MS) || 2 * 60 * 60 * 1000; }
+function tokenBudget() { return Number(process.env.HISTORY_TOKEN_BUDGET) || 1200; }
+
+/* rough count (~4 chars per token) — enough to keep prompts bounded without a tokenizer */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+function turnTokens(turns) {
+  return turns.reduce((n, t) => n + estimateTokens(t.content) + 4, 0);
+}
+
+export function newSessionId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+export function isValidSessionId(id) {
+  return typeof id === "string" && SESSION_ID.test(id);
+}
+
+/* the conversation as the model sees it: user and assistant turns only, oldest first (a counselor's live messages count as the assistant's) */
+export async function sessionTurns(sessionId) {
+  return (await getConversation(sessionId))
+    .filter(e => e.role === "user" || e.role === "assistant" || e.role === "agent")
+    .map(e => ({ role: e.role === "agent" ? "assistant" : e.role, content: String(e.content || ""), ts: e.ts }));
+}
+
+/* false when the session already has entries recorded for another tenant */
+export async function sessionInTenant(sessionId, tenantId) {
+  const entries = await getConversation(sessionId);
+  return !entries.length || belongsTo(entries[0], tenantId);
+}
+
+/*
+ * Resolve the session for a request: { sessionId, expired, created }. Unknown or missing ids start a
+ * fresh session (`created`); one idle longer than SESSION_TTL_MS is not resumed — the caller gets a
+ * new id instead, so stale slots and history never leak into a new chat. Neither is a session
+ * another tenant started or one whose transcript was closed.
+ */
+export async function openSession(clientId, tenantId = DEFAULT_TENANT) {
+  if (!clientId) return { sessionId: newSessionId(), expired: false, created: true };
+  const entries = await getConversation(clientId);
+  if (entries.length && !belongsTo(entries[0], tenantId)) return { sessionId: newSessionId(), expired: false, created: true };
+  // a counselor closed the transcript (lib/live.js): whatever comes next is a new conversation
+  if (entries.some(e => e.live === "closed")) return { sessionId: newSessionId(), expired: false, created: true };
+  const last = entries.length ? Date.parse(entries[entries.length - 1].ts) : NaN;
+  if (Number.isFinite(last) && Date.now() - last > sessionTtlMs()) return { sessionId: newSessionId(), expired: true, created: true };
+  return { sessionId: clientId, expired: false, created: !entries.length };
+}
+
+async function summarize(previous, turns) {
+  const transcript = turns.map(t => `${t.role === "user" ? "Student" : "Assistant"}: ${t.content}`).join("\n");
+  const prompt = `Summarize the conversation below for the assistant's memory.${previous ? `\nEarlier summary: ${previous}` : ""}\n\n${transcript}`;
+  const { text } = await completeReply([], prompt, { system: SUMMARY_INSTRUCTION });
+  return String(text || "").trim();
+}
+
+/*
+ * Model history for the turn being answered, built from the server record (never the client).
+ * Turns past HISTORY_TOKEN_BUDGET are folded into `state.memory.summary` (persisted with how many
+ * turns it covers); the newest turns that fit in half the budget stay verbatim. If summarizing
+ * fails the old turns are simply dropped for this request. Returns { history, summary }.
+ */
+export async function sessionHistory(sessionId, state) {
+  const turns = (await sessionTurns(sessionId)).slice(0, -1); // the last turn is the message being answered
+  const memory = state.memory || { summary: "", through: 0 };
+  let recent = turns.slice(memory.through);
+  const budget = tokenBudget();
+  if (turnTokens(recent) + estimateTokens(memory.summary) <= budget) return { history: recent.map(strip), summary: memory.summary };
+
+  let keep = recent.length;
+  while (keep > 0 && turnTokens(recent.slice(keep - 1)) <= budget / 2) keep--;
+  if (recent[keep] && recent[keep].role === "assistant") keep++; // verbatim history opens on a user turn
+  const older = recent.slice(0, keep);
+  recent = recent.slice(keep);
+  if (!older.length) return { history: recent.map(strip), summary: memory.summary };
+  try {
+    state.memory = { summary: await summarize(memory.summary, older), through: memory.through + older.length };
+    await setSessionState(sessionId, state);
+  } catch (e) {
+    console.error("Failed to summarize session", sessionId, e.message);
+    return { history: recent.map(strip), summary: memory.summary };
+  }
+  return { history: recent.map(strip), summary: state.memory.summary };
+}
+
+function strip(t) {
+  return { role: t.role, content: t.content };
+}
+
+export function summaryBlock(summary) {
+  return summary ? `\nSummary of the earlier conversation (for context only):\n${summary}\n` : "";
+}
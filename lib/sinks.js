@@ -0,0 +1,102 @@
+// lib/sinks.js — where handed-off leads get delivered (Sheets webhook, signed webhook, SMTP email)
+import crypto from "crypto";
+
+/* deliver() throws on failure; `permanent: true` on the error skips the remaining retries */
+function deliveryError(message, permanent = false) {
+  return Object.assign(new Error(message), { permanent, delivery: true });
+}
+
+const TIMEOUT_MS = Number(process.env.SINK_TIMEOUT_MS) || 10000;
+
+async function post(url, body, headers) {
+  let res;
+  try {
+    res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch (e) {
+    throw deliveryError(`request failed: ${e.message}`);
+  }
+  if (res.ok) return;
+  const text = await res.text().catch(() => "");
+  // 4xx other than timeout/rate-limit will not get better by retrying
+  const permanent = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+  throw deliveryError(`HTTP ${res.status}: ${text.slice(0, 200)}`, permanent);
+}
+
+function leadPayload(lead) {
+  return { leadId: lead.id, tenant: lead.tenant || "default", sessionId: lead.sessionId || "", name: lead.name, email: lead.email, phone: lead.phone, note: lead.note || "", source: lead.source || "", createdAt: lead.createdAt };
+}
+
+/* the Apps Script endpoint the widget always posted to: token in the body */
+function sheetsSink({ url, token }) {
+  return {
+    name: "sheets",
+    async deliver(lead, { idempotencyKey }) {
+      await post(url, JSON.stringify({ token, idempotencyKey, ...leadPayload(lead) }), { "Idempotency-Key": idempotencyKey });
+    }
+  };
+}
+
+/* generic webhook: body signed as HMAC-SHA256(secret, `${timestamp}.${body}`) */
+function webhookSink({ url, secret }) {
+  return {
+    name: "webhook",
+    async deliver(lead, { idempotencyKey }) {
+      const body = JSON.stringify({ event: "lead.created", idempotencyKey, lead: leadPayload(lead) });
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+      await post(url, body, { "Idempotency-Key": idempotencyKey, "X-GlobalTree-Timestamp": timestamp, "X-GlobalTree-Signature": `sha256=${signature}` });
+    }
+  };
+}
+
+function emailSink({ host, port, secure, user, pass, from, to, brand }) {
+  let transport = null;
+  async function getTransport() {
+    if (transport) return transport;
+    let nodemailer;
+    try { ({ default: nodemailer } = await import("nodemailer")); } catch (e) {
+      throw deliveryError("email sink needs the optional dependency nodemailer (npm install nodemailer)", true);
+    }
+    transport = nodemailer.createTransport({ host, port, secure, auth: user ? { user, pass } : undefined });
+    return transport;
+  }
+  return {
+    name: "email",
+    async deliver(lead, { idempotencyKey }) {
+      const p = leadPayload(lead);
+      try {
+        await (await getTransport()).sendMail({
+          from, to,
+          subject: `New ${brand} lead: ${p.name}`,
+          text: `Name: ${p.name}\nEmail: ${p.email}\nPhone: ${p.phone}\nSource: ${p.source}\nSession: ${p.sessionId}\nNote: ${p.note}\nLead id: ${p.leadId}\n`,
+          messageId: `<${idempotencyKey.replace(/[^\w.-]/g, ".")}@globaltree.leads>`
+        });
+      } catch (e) {
+        if (e.delivery) throw e;
+        throw deliveryError(`smtp: ${e.message}`, e.responseCode >= 500 && e.responseCode < 600);
+      }
+    }
+  };
+}
+
+/*
+ * HANDOFF_SINKS=sheets,webhook,email picks sinks explicitly; by default every configured one is used.
+ * `env` is process.env or a tenant's own `sinks` settings (lib/tenants.js); `brand` names the lead emails.
+ */
+export function configuredSinks(env = process.env, brand = "GlobalTree") {
+  const available = {
+    sheets: env.SHEETS_WEBHOOK_URL ? () => sheetsSink({ url: env.SHEETS_WEBHOOK_URL, token: env.SHEETS_WEBHOOK_TOKEN }) : null,
+    webhook: env.WEBHOOK_URL && env.WEBHOOK_SECRET ? () => webhookSink({ url: env.WEBHOOK_URL, secret: env.WEBHOOK_SECRET }) : null,
+    email: env.SMTP_HOST && env.LEAD_EMAIL_TO ? () => emailSink({
+      host: env.SMTP_HOST, port: Number(env.SMTP_PORT) || 587, secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER, pass: env.SMTP_PASS, from: env.LEAD_EMAIL_FROM || env.SMTP_USER, to: env.LEAD_EMAIL_TO, brand
+    }) : null
+  };
+  const wanted = env.HANDOFF_SINKS ? env.HANDOFF_SINKS.split(",").map(s => s.trim()).filter(Boolean) : Object.keys(available);
+  const sinks = [];
+  for (const name of wanted) {
+    if (available[name]) sinks.push(available[name]());
+    else if (env.HANDOFF_SINKS) console.error(`Handoff sink "${name}" is not configured; skipping it.`);
+  }
+  return sinks;
+}
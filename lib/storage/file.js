@@ -0,0 +1,239 @@
+// lib/storage/file.js — append-only JSON Lines files guarded by a lock file
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 15;
+// a log with a `compact` reducer is rewritten once it holds this many records and twice what the last rewrite left
+const COMPACT_AT = 1000;
+
+function sleep(ms) { return new Promise(r => setTimeout(r, ms)); }
+
+/* Cross-process lock: O_EXCL create of `<file>.lock`; stale locks (crashed writer) are broken */
+async function withLock(file, fn) {
+  const lock = file + ".lock";
+  for (;;) {
+    try { await fs.writeFile(lock, String(process.pid), { flag: "wx" }); break; } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+      const st = await fs.stat(lock).catch(() => null);
+      if (st && Date.now() - st.mtimeMs > LOCK_STALE_MS) { await fs.rm(lock, { force: true }); continue; }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+  try { return await fn(); } finally { await fs.rm(lock, { force: true }); }
+}
+
+/*
+ * One JSONL file with an in-memory mirror. Only bytes past `offset` are ever read again, so a
+ * request costs O(new lines) instead of O(total history); other processes' appends are picked
+ * up on the next sync. Logs whose records supersede each other pass `compact(records)`, which
+ * returns the records that still matter; appends then rewrite the file with those as it grows.
+ */
+function jsonlFile(file, legacyFile, { compact, compactAt = COMPACT_AT } = {}) {
+  let entries = [];
+  let offset = 0;
+  let inode = null;
+  let ready = null;
+  let queue = Promise.resolve();
+  let compactedTo = 0;
+
+  async function migrateLegacy() {
+    if (!legacyFile) return;
+    const exists = await fs.access(file).then(() => true, () => false);
+    if (exists) return;
+    const raw = await fs.readFile(legacyFile, "utf8").catch(() => "");
+    let arr = [];
+    try { arr = raw.trim() ? JSON.parse(raw) : []; } catch (e) { console.error("Ignoring unreadable", legacyFile, e.message); }
+    if (!Array.isArray(arr) || !arr.length) return;
+    await fs.writeFile(file, arr.map(x => JSON.stringify(x)).join("\n") + "\n", { encoding: "utf8", flag: "wx" }).catch(e => { if (e.code !== "EEXIST") throw e; });
+  }
+
+  async function sync() {
+    let handle;
+    try { handle = await fs.open(file, "r"); } catch (e) { if (e.code === "ENOENT") return; throw e; }
+    try {
+      const { size, ino } = await handle.stat();
+      if (size < offset || (inode !== null && ino !== inode)) { entries = []; offset = 0; } // truncated/replaced underneath us
+      inode = ino;
+      if (size === offset) return;
+      const buf = Buffer.alloc(size - offset);
+      await handle.read(buf, 0, buf.length, offset);
+      const text = buf.toString("utf8");
+      const end = text.lastIndexOf("\n");
+      if (end === -1) return; // partial line still being written
+      for (const line of text.slice(0, end).split("\n")) {
+        if (!line.trim()) continue;
+        try { entries.push(JSON.parse(line)); } catch (e) { console.error("Skipping corrupt line in", file); }
+      }
+      offset += Buffer.byteLength(text.slice(0, end + 1), "utf8");
+    } finally { await handle.close(); }
+  }
+
+  function init() {
+    if (!ready) ready = migrateLegacy().then(sync);
+    return ready;
+  }
+
+  // serialise work inside this process; the lock file covers other processes
+  function run(fn) {
+    const next = queue.then(fn, fn);
+    queue = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    async all() { await init(); return run(async () => { await sync(); return entries; }); },
+    async append(obj) {
+      await init();
+      return run(() => withLock(file, async () => {
+        await sync();
+        await fs.appendFile(file, JSON.stringify(obj) + "\n", "utf8");
+        await sync();
+        if (compact && entries.length >= Math.max(compactAt, compactedTo * 2)) {
+          const next = compact(entries);
+          await writeAll(next);
+          compactedTo = next.length;
+        }
+      }));
+    },
+    /* drop every record failing `keep`, here and in the legacy JSON it was migrated from */
+    rewrite(keep) {
+      return replace(records => (records.some(x => !keep(x)) ? records.filter(keep) : null));
+    },
+    replace
+  };
+
+  /* swap the file's records (and the legacy JSON's) for `change(records)`; null leaves them alone */
+  async function replace(change) {
+    await init();
+    return run(() => withLock(file, async () => {
+      await sync();
+      const next = change(entries);
+      if (next) await writeAll(next);
+      if (!legacyFile) return;
+      const raw = await fs.readFile(legacyFile, "utf8").catch(() => "");
+      let arr;
+      try { arr = raw.trim() ? JSON.parse(raw) : []; } catch (e) { return; }
+      const legacy = Array.isArray(arr) && arr.length ? change(arr) : null;
+      if (legacy) await fs.writeFile(legacyFile, JSON.stringify(legacy, null, 2) + "\n", "utf8");
+    }));
+  }
+
+  // with the lock held: written to a temp file and renamed over, so readers never see a half-written log
+  async function writeAll(records) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, records.map(x => JSON.stringify(x) + "\n").join(""), "utf8");
+    await fs.rename(tmp, file);
+    entries = []; offset = 0; inode = null;
+    await sync();
+  }
+}
+
+/* leads written before ids existed (e.g. migrated leads.json) get a stable id from their content */
+function legacyLeadId(lead) {
+  return "legacy-" + crypto.createHash("sha1").update(JSON.stringify(lead)).digest("hex").slice(0, 12);
+}
+
+/*
+ * leads.jsonl and outbox.jsonl are event logs: plain records create an item,
+ * { _op: "update", id, patch } and { _op: "delete", id } change one.
+ */
+function reduceLog(records, legacyId = () => null) {
+  const byId = new Map();
+  for (const rec of records) {
+    if (rec._op === "update") { const cur = byId.get(rec.id); if (cur) byId.set(rec.id, { ...cur, ...rec.patch }); }
+    else if (rec._op === "delete") byId.delete(rec.id);
+    else { const id = rec.id || legacyId(rec); byId.set(id, { ...rec, id }); }
+  }
+  return [...byId.values()];
+}
+const reduceLeads = records => reduceLog(records, legacyLeadId);
+
+/* the newest state record of each session, in the order sessions last changed */
+function lastStates(records) {
+  const bySession = new Map();
+  for (const rec of records) { bySession.delete(rec.sessionId); bySession.set(rec.sessionId, rec); }
+  return [...bySession.values()];
+}
+function mergeLive(records, bySession = new Map()) {
+  for (const rec of records) bySession.set(rec.sessionId, { ...bySession.get(rec.sessionId), ...rec.patch, sessionId: rec.sessionId });
+  return bySession;
+}
+
+/*
+ * A view over a log that only folds in records added since it was last read, so a live chat's event
+ * stream polling every second does not re-read the whole history. A rewritten log starts it over.
+ */
+function foldedView(log, fold) {
+  let records = null, seen = 0, view;
+  return async () => {
+    const all = await log.all();
+    if (all !== records || all.length < seen) { records = all; seen = 0; view = new Map(); }
+    if (seen < all.length) { fold(all.slice(seen), view); seen = all.length; }
+    return view;
+  };
+}
+function groupBySession(records, view) {
+  for (const rec of records) {
+    if (!view.has(rec.sessionId)) view.set(rec.sessionId, []);
+    view.get(rec.sessionId).push(rec);
+  }
+}
+
+export function createFileStore({ dir, compactAt }) {
+  const conversations = jsonlFile(path.resolve(dir, "conversations.jsonl"), path.resolve(dir, "conversations.json"));
+  const leads = jsonlFile(path.resolve(dir, "leads.jsonl"), path.resolve(dir, "leads.json"));
+  // session state is append-only too; the last record for a session wins
+  const sessions = jsonlFile(path.resolve(dir, "sessions.jsonl"), null, { compact: lastStates, compactAt });
+  const outbox = jsonlFile(path.resolve(dir, "outbox.jsonl"));
+  const events = jsonlFile(path.resolve(dir, "events.jsonl"));
+  // live chats: { sessionId, patch } records merged in order
+  const live = jsonlFile(path.resolve(dir, "live.jsonl"), null, {
+    compact: records => [...mergeLive(records).values()].map(({ sessionId, ...patch }) => ({ sessionId, patch })),
+    compactAt
+  });
+  const liveChats = foldedView(live, mergeLive);
+  const sessionEntries = foldedView(conversations, groupBySession);
+  return {
+    name: "file",
+    async appendConversation(entry) { await conversations.append(entry); },
+    async getConversation(sessionId) { return [...((await sessionEntries()).get(sessionId) || [])]; },
+    async getLastAssistantReply(sessionId) {
+      const all = (await sessionEntries()).get(sessionId) || [];
+      for (let i = all.length - 1; i >= 0; --i) if (all[i].role === "assistant") return all[i].content;
+      return null;
+    },
+    async saveLead(lead) { await leads.append(lead); },
+    async listLeads() { return reduceLeads(await leads.all()); },
+    async getLead(id) { return reduceLeads(await leads.all()).find(l => l.id === id) || null; },
+    async updateLead(id, patch) { await leads.append({ _op: "update", id, ts: new Date().toISOString(), patch }); },
+    async deleteLead(id) { await leads.append({ _op: "delete", id, ts: new Date().toISOString() }); },
+    async getSessionState(sessionId) {
+      const all = await sessions.all();
+      for (let i = all.length - 1; i >= 0; --i) if (all[i].sessionId === sessionId) return all[i].state;
+      return null;
+    },
+    async setSessionState(sessionId, state) { await sessions.append({ sessionId, ts: new Date().toISOString(), state }); },
+    async addJob(job) { await outbox.append(job); },
+    async listJobs() { return reduceLog(await outbox.all()); },
+    async updateJob(id, patch) { await outbox.append({ _op: "update", id, patch }); },
+    async appendEvent(event) { await events.append(event); },
+    async listEvents({ since } = {}) { return (await events.all()).filter(e => !since || e.ts >= since); },
+    async updateLiveChat(sessionId, patch) { await live.append({ sessionId, patch }); },
+    async getLiveChat(sessionId) { const chat = (await liveChats()).get(sessionId); return chat ? { ...chat } : null; },
+    async listLiveChats() { return [...(await liveChats()).values()].map(chat => ({ ...chat })); },
+    async eraseLeads(ids) { const drop = new Set(ids); await leads.rewrite(rec => !drop.has(rec.id || legacyLeadId(rec))); },
+    // the log is compacted to one record per lead, so no earlier value survives in an update record
+    async rewriteLeads(fn) { await leads.replace(records => reduceLeads(records).map(fn)); },
+    async eraseSessions(sessionIds) {
+      const drop = new Set(sessionIds);
+      await conversations.rewrite(c => !drop.has(c.sessionId));
+      await sessions.rewrite(s => !drop.has(s.sessionId));
+      await events.rewrite(e => !drop.has(e.sessionId));
+      await live.rewrite(l => !drop.has(l.sessionId));
+    },
+    async eraseJobs(ids) { const drop = new Set(ids); await outbox.rewrite(j => !drop.has(j.id)); },
+    async close() {}
+  };
+}
@@ -0,0 +1,32 @@
+// lib/storage/index.js — pick a storage backend from config
+import path from "path";
+import { fileURLToPath } from "url";
+import { createFileStore } from "./file.js";
+import { createMemoryStore } from "./memory.js";
+import { createSqliteStore } from "./sqlite.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "../..");
+
+/*
+ * Every backend exposes the same async methods:
+ *   appendConversation(entry), getConversation(sessionId), getLastAssistantReply(sessionId),
+ *   saveLead(lead), listLeads(), getLead(id), updateLead(id, patch), deleteLead(id),
+ *   getSessionState(sessionId), setSessionState(sessionId, state),
+ *   addJob(job), listJobs(), updateJob(id, patch)   (handoff outbox),
+ *   appendEvent(event), listEvents({ since })   (analytics, oldest first; `since` is an ISO timestamp),
+ *   updateLiveChat(sessionId, patch), getLiveChat(sessionId), listLiveChats()   (live counselor chats; the
+ *     patch is merged into the session's record, creating it),
+ *   eraseLeads(ids), eraseSessions(sessionIds), eraseJobs(ids)   (data deletion: nothing may remain),
+ *   rewriteLeads(fn)   (every lead replaced by fn(lead), leaving no trace of the old values), close()
+ */
+export async function createStore(config = {}) {
+  const backend = config.backend || process.env.STORAGE_BACKEND || "file";
+  const dir = config.dir || process.env.STORAGE_DIR || ROOT;
+  switch (backend) {
+    case "memory": return createMemoryStore();
+    case "file": return createFileStore({ dir });
+    case "sqlite": return createSqliteStore({ file: config.file || process.env.SQLITE_FILE || path.resolve(dir, "globaltree.db") });
+    default: throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected file, sqlite or memory)`);
+  }
+}
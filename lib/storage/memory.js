@@ -0,0 +1,46 @@
+// lib/storage/memory.js — in-process store for tests and throwaway runs
+
+export function createMemoryStore() {
+  const conversations = [];
+  const leads = [];
+  const sessions = new Map();
+  const jobs = new Map();
+  const events = [];
+  const live = new Map();
+  return {
+    name: "memory",
+    async appendConversation(entry) { conversations.push(entry); },
+    async getConversation(sessionId) { return conversations.filter(c => c.sessionId === sessionId); },
+    async getLastAssistantReply(sessionId) {
+      for (let i = conversations.length - 1; i >= 0; --i) {
+        if (conversations[i].sessionId === sessionId && conversations[i].role === "assistant") return conversations[i].content;
+      }
+      return null;
+    },
+    async saveLead(lead) { leads.push(lead); },
+    async listLeads() { return leads.map(l => ({ ...l })); },
+    async getLead(id) { const lead = leads.find(l => l.id === id); return lead ? { ...lead } : null; },
+    async updateLead(id, patch) { const i = leads.findIndex(l => l.id === id); if (i !== -1) leads[i] = { ...leads[i], ...patch }; },
+    async deleteLead(id) { const i = leads.findIndex(l => l.id === id); if (i !== -1) leads.splice(i, 1); },
+    async getSessionState(sessionId) { return sessions.has(sessionId) ? structuredClone(sessions.get(sessionId)) : null; },
+    async setSessionState(sessionId, state) { sessions.set(sessionId, structuredClone(state)); },
+    async addJob(job) { jobs.set(job.id, structuredClone(job)); },
+    async listJobs() { return [...jobs.values()].map(j => structuredClone(j)); },
+    async updateJob(id, patch) { if (jobs.has(id)) jobs.set(id, { ...jobs.get(id), ...structuredClone(patch) }); },
+    async appendEvent(event) { events.push(structuredClone(event)); },
+    async listEvents({ since } = {}) { return events.filter(e => !since || e.ts >= since).map(e => structuredClone(e)); },
+    async updateLiveChat(sessionId, patch) { live.set(sessionId, { ...live.get(sessionId), ...structuredClone(patch), sessionId }); },
+    async getLiveChat(sessionId) { return live.has(sessionId) ? structuredClone(live.get(sessionId)) : null; },
+    async listLiveChats() { return [...live.values()].map(l => structuredClone(l)); },
+    async rewriteLeads(fn) { leads.forEach((l, i) => { leads[i] = fn({ ...l }); }); },
+    async eraseLeads(ids) { const drop = new Set(ids); for (let i = leads.length - 1; i >= 0; --i) if (drop.has(leads[i].id)) leads.splice(i, 1); },
+    async eraseSessions(sessionIds) {
+      const drop = new Set(sessionIds);
+      for (let i = conversations.length - 1; i >= 0; --i) if (drop.has(conversations[i].sessionId)) conversations.splice(i, 1);
+      for (const id of drop) { sessions.delete(id); live.delete(id); }
+      for (let i = events.length - 1; i >= 0; --i) if (drop.has(events[i].sessionId)) events.splice(i, 1);
+    },
+    async eraseJobs(ids) { for (const id of ids) jobs.delete(id); },
+    async close() {}
+  };
+}
@@ -0,0 +1,89 @@
+// lib/storage/sqlite.js — embedded SQLite store (needs the optional better-sqlite3 package)
+
+export async function createSqliteStore({ file }) {
+  let Database;
+  try { ({ default: Database } = await import("better-sqlite3")); } catch (e) {
+    throw new Error("STORAGE_BACKEND=sqlite needs the optional dependency better-sqlite3 (npm install better-sqlite3)");
+  }
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  // erased rows are overwritten on disk, not just unlinked
+  db.pragma("secure_delete = ON");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS conversations (id INTEGER PRIMARY KEY AUTOINCREMENT, session_id TEXT NOT NULL, role TEXT, ts TEXT, data TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS conversations_session ON conversations (session_id, id);
+    CREATE TABLE IF NOT EXISTS leads (id INTEGER PRIMARY KEY AUTOINCREMENT, created_at TEXT, data TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS leads_lead_id ON leads (json_extract(data, '$.id'));
+    CREATE TABLE IF NOT EXISTS sessions (session_id TEXT PRIMARY KEY, updated_at TEXT, state TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS outbox (id TEXT PRIMARY KEY, data TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS events (id INTEGER PRIMARY KEY AUTOINCREMENT, ts TEXT NOT NULL, session_id TEXT, data TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS events_ts ON events (ts);
+    CREATE TABLE IF NOT EXISTS live_chats (session_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  `);
+  const q = {
+    addConv: db.prepare("INSERT INTO conversations (session_id, role, ts, data) VALUES (?, ?, ?, ?)"),
+    conv: db.prepare("SELECT data FROM conversations WHERE session_id = ? ORDER BY id"),
+    lastAssist: db.prepare("SELECT data FROM conversations WHERE session_id = ? AND role = 'assistant' ORDER BY id DESC LIMIT 1"),
+    addLead: db.prepare("INSERT INTO leads (created_at, data) VALUES (?, ?)"),
+    leads: db.prepare("SELECT id AS rowid, data FROM leads ORDER BY id"),
+    // rows saved before leads carried ids are addressed as "row-<rowid>"
+    lead: db.prepare("SELECT id AS rowid, data FROM leads WHERE json_extract(data, '$.id') = ? OR ('row-' || id) = ?"),
+    setLead: db.prepare("UPDATE leads SET data = ? WHERE id = ?"),
+    delLead: db.prepare("DELETE FROM leads WHERE id = ?"),
+    getSession: db.prepare("SELECT state FROM sessions WHERE session_id = ?"),
+    addJob: db.prepare("INSERT OR IGNORE INTO outbox (id, data) VALUES (?, ?)"),
+    jobs: db.prepare("SELECT data FROM outbox ORDER BY rowid"),
+    job: db.prepare("SELECT data FROM outbox WHERE id = ?"),
+    setJob: db.prepare("UPDATE outbox SET data = ? WHERE id = ?"),
+    addEvent: db.prepare("INSERT INTO events (ts, session_id, data) VALUES (?, ?, ?)"),
+    events: db.prepare("SELECT data FROM events WHERE ts >= ? ORDER BY id"),
+    eraseEvents: db.prepare("DELETE FROM events WHERE session_id = ?"),
+    eraseLead: db.prepare("DELETE FROM leads WHERE json_extract(data, '$.id') = ? OR ('row-' || id) = ?"),
+    eraseConv: db.prepare("DELETE FROM conversations WHERE session_id = ?"),
+    eraseSession: db.prepare("DELETE FROM sessions WHERE session_id = ?"),
+    eraseJob: db.prepare("DELETE FROM outbox WHERE id = ?"),
+    live: db.prepare("SELECT data FROM live_chats WHERE session_id = ?"),
+    lives: db.prepare("SELECT data FROM live_chats ORDER BY rowid"),
+    setLive: db.prepare("INSERT INTO live_chats (session_id, data) VALUES (?, ?) ON CONFLICT(session_id) DO UPDATE SET data = excluded.data"),
+    eraseLive: db.prepare("DELETE FROM live_chats WHERE session_id = ?"),
+    setSession: db.prepare("INSERT INTO sessions (session_id, updated_at, state) VALUES (?, ?, ?) ON CONFLICT(session_id) DO UPDATE SET updated_at = excluded.updated_at, state = excluded.state")
+  };
+  // one transaction, then checkpoint so the erased rows do not linger in the WAL file either
+  const erase = fn => { db.transaction(fn)(); db.pragma("wal_checkpoint(TRUNCATE)"); };
+  const parse = row => JSON.parse(row.data);
+  const parseLead = row => { const lead = parse(row); return lead.id ? lead : { ...lead, id: "row-" + row.rowid }; };
+  return {
+    name: "sqlite",
+    async appendConversation(entry) { q.addConv.run(entry.sessionId, entry.role || null, entry.ts || null, JSON.stringify(entry)); },
+    async getConversation(sessionId) { return q.conv.all(sessionId).map(parse); },
+    async getLastAssistantReply(sessionId) { const row = q.lastAssist.get(sessionId); return row ? parse(row).content : null; },
+    async saveLead(lead) { q.addLead.run(lead.createdAt || null, JSON.stringify(lead)); },
+    async listLeads() { return q.leads.all().map(parseLead); },
+    async getLead(id) { const row = q.lead.get(id, id); return row ? parseLead(row) : null; },
+    async updateLead(id, patch) {
+      const row = q.lead.get(id, id);
+      if (row) q.setLead.run(JSON.stringify({ ...parseLead(row), ...patch }), row.rowid);
+    },
+    async deleteLead(id) { const row = q.lead.get(id, id); if (row) q.delLead.run(row.rowid); },
+    async getSessionState(sessionId) { const row = q.getSession.get(sessionId); return row ? JSON.parse(row.state) : null; },
+    async setSessionState(sessionId, state) { q.setSession.run(sessionId, new Date().toISOString(), JSON.stringify(state)); },
+    async addJob(job) { q.addJob.run(job.id, JSON.stringify(job)); },
+    async listJobs() { return q.jobs.all().map(parse); },
+    async updateJob(id, patch) { const row = q.job.get(id); if (row) q.setJob.run(JSON.stringify({ ...parse(row), ...patch }), id); },
+    async appendEvent(event) { q.addEvent.run(event.ts, event.sessionId || null, JSON.stringify(event)); },
+    async listEvents({ since } = {}) { return q.events.all(since || "").map(parse); },
+    async updateLiveChat(sessionId, patch) {
+      db.transaction(() => {
+        const row = q.live.get(sessionId);
+        q.setLive.run(sessionId, JSON.stringify({ ...(row ? parse(row) : {}), ...patch, sessionId }));
+      })();
+    },
+    async getLiveChat(sessionId) { const row = q.live.get(sessionId); return row ? parse(row) : null; },
+    async listLiveChats() { return q.lives.all().map(parse); },
+    async eraseLeads(ids) { erase(() => { for (const id of ids) q.eraseLead.run(id, id); }); },
+    async rewriteLeads(fn) { erase(() => { for (const row of q.leads.all()) q.setLead.run(JSON.stringify(fn(parseLead(row))), row.rowid); }); },
+    async eraseSessions(sessionIds) { erase(() => { for (const id of sessionIds) { q.eraseConv.run(id); q.eraseSession.run(id); q.eraseEvents.run(id); q.eraseLive.run(id); } }); },
+    async eraseJobs(ids) { erase(() => { for (const id of ids) q.eraseJob.run(id); }); },
+    async close() { db.close(); }
+  };
+}
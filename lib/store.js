@@ -0,0 +1,115 @@
+// lib/store.js — leads and conversations, persisted through the configured storage backend
+import crypto from "crypto";
+import { createStore } from "./storage/index.js";
+import { encryptLead, decryptLead, isEncrypted } from "./encrypt.js";
+
+let storePromise = null;
+
+export function getStore() {
+  if (!storePromise) {
+    storePromise = createStore().then(store => {
+      if (process.env.VERCEL && !process.env.STORAGE_DIR) {
+        console.warn(`Warning: STORAGE_BACKEND=${store.name} on Vercel only lives as long as the function instance; set STORAGE_DIR to persistent storage.`);
+      }
+      return store;
+    });
+  }
+  return storePromise;
+}
+
+/* use `store` instead of the configured backend; test/helpers.js gives each test a fresh memory store */
+export function setStore(store) {
+  storePromise = Promise.resolve(store);
+}
+
+/* ---------- HELPERS ---------- */
+// lead contact fields are encrypted on the way into the backend and decrypted on the way out (lib/encrypt.js)
+
+/* resolves to the stored lead (with id/status/createdAt), or null when the write failed */
+export async function saveLead(lead) {
+  const record = { id: crypto.randomUUID(), status: "new", ...lead, createdAt: new Date().toISOString() };
+  try { await (await getStore()).saveLead(encryptLead(record)); return record; } catch (e) { console.error("Failed to save lead", e); return null; }
+}
+export async function appendConversation(sessionId, entry) {
+  try { await (await getStore()).appendConversation({ sessionId, ts: new Date().toISOString(), ...entry }); return true; } catch (e) { console.error("Failed to save conversation", sessionId, e); return false; }
+}
+export async function getConversation(sessionId) {
+  return (await getStore()).getConversation(sessionId);
+}
+export async function getLastAssistantReply(sessionId) {
+  return (await getStore()).getLastAssistantReply(sessionId);
+}
+export async function listLeads() {
+  return (await (await getStore()).listLeads()).map(decryptLead);
+}
+export async function getLead(id) {
+  return decryptLead(await (await getStore()).getLead(id));
+}
+export async function updateLead(id, patch) {
+  await (await getStore()).updateLead(id, encryptLead({ ...patch, updatedAt: new Date().toISOString() }));
+  return getLead(id);
+}
+export async function deleteLead(id) {
+  return (await getStore()).deleteLead(id);
+}
+/* encrypt the contact fields of leads stored before LEAD_ENCRYPTION_KEY was set; resolves to { total, encrypted } */
+export async function encryptStoredLeads() {
+  // by id: the file backend passes a lead through twice when it also rewrites the legacy leads.json
+  const total = new Set(), encrypted = new Set();
+  await (await getStore()).rewriteLeads(lead => {
+    total.add(lead.id);
+    const out = encryptLead(lead);
+    if (!isEncrypted(lead) && isEncrypted(out)) encrypted.add(lead.id);
+    return out;
+  });
+  return { total: total.size, encrypted: encrypted.size };
+}
+
+/* per-session working state (lead slots, flows); null when the session has none */
+export async function getSessionState(sessionId) {
+  return (await getStore()).getSessionState(sessionId);
+}
+export async function setSessionState(sessionId, state) {
+  try { await (await getStore()).setSessionState(sessionId, state); return true; } catch (e) { console.error("Failed to save session state", sessionId, e); return false; }
+}
+
+/* analytics events (lib/analytics.js) */
+export async function appendEvent(event) {
+  try { await (await getStore()).appendEvent(event); return true; } catch (e) { console.error("Failed to save event", e); return false; }
+}
+export async function listEvents(opts) {
+  return (await getStore()).listEvents(opts);
+}
+
+/* live counselor chats (lib/live.js): one record per session, patched field by field */
+export async function updateLiveChat(sessionId, patch) {
+  return (await getStore()).updateLiveChat(sessionId, patch);
+}
+export async function getLiveChat(sessionId) {
+  return (await getStore()).getLiveChat(sessionId);
+}
+export async function listLiveChats() {
+  return (await getStore()).listLiveChats();
+}
+
+/* erasure: unlike deleteLead these remove every stored trace, including update/delete records */
+export async function eraseLeads(ids) {
+  return (await getStore()).eraseLeads(ids);
+}
+export async function eraseSessions(sessionIds) {
+  return (await getStore()).eraseSessions(sessionIds);
+}
+export async function eraseJobs(ids) {
+  return (await getStore()).eraseJobs(ids);
+}
+
+/* handoff outbox jobs */
+export async function addJob(job) {
+  return (await getStore()).addJob(job);
+}
+export async function listJobs() {
+  return (await getStore()).listJobs();
+}
+export async function updateJob(id, patch) {
+  return (await getStore()).updateJob(id, patch);
+}
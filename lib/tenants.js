@@ -0,0 +1,140 @@
+// lib/tenants.js — per-tenant configuration for branches and white-label partners
+//
+//   TENANTS_FILE   JSON { "tenants": { "<id>": { …settings } } } (default data/tenants.json; without
+//                  one every request runs as the built-in "default" tenant — see data/tenants.example.json)
+//
+//   A request's tenant is the one its credential is bound to (API_KEYS / JWT, lib/auth.js), else the
+//   widget's public id (X-Tenant-Id header or ?tenant=, set by data-tenant in widget.js), else "default".
+//   String values written "$NAME" are read from the environment, so secrets stay out of the file.
+//
+//   settings (all optional, merged over the default tenant):
+//     name           brand used for {brand} in replies, prompts and lead emails
+//     contactWindow  per language, fills {contactWindow} ("within 24 hours")
+//     systemPrompt   replaces the model's system instruction ({brand} is filled in)
+//     strings        per language, same shape as data/locales/<lang>.json: intents.<name>.body/cta,
+//                    lead prompts, canned.<list> (including country lists such as canned.canada)
+//     intents        intents this tenant answers (default: all in data/intents.json)
+//     languages      reply languages; the first is used when a message is in any other
+//     sinks          lead delivery settings named like the env vars in lib/sinks.js (HANDOFF_SINKS,
+//                    WEBHOOK_URL, WEBHOOK_SECRET, SMTP_HOST…); without them the server's sinks are used
+//     rateLimits     RATE_LIMITS-style limits counted for this tenant's traffic on top of the server-wide ones
+//     knowledge      content directory its model answers from (default content/<id>/ if present, else
+//                    none; "content" shares the default tenant's documents; false turns retrieval off)
+//     catalog        university/scholarship file for the catalog route and API (default
+//                    data/catalog.<id>.json if present, else none; "data/catalog.json" shares GlobalTree's)
+//     guardrails     per-rule overrides of data/guardrails.json ({ "pii": { "action": "report" } })
+//     widgetIds      further public ids the widget may send for this tenant
+//     origins        sites allowed to use the widget ids (default: any)
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { LANGS } from "./lang.js";
+import { authenticate } from "./auth.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+
+export const DEFAULT_TENANT = "default";
+
+const BUILT_IN = {
+  name: "GlobalTree",
+  contactWindow: { en: "within 24 hours", hi: "24 घंटे के भीतर", "hi-Latn": "24 ghante ke andar" },
+  systemPrompt: null,
+  strings: {},
+  intents: null,
+  languages: LANGS,
+  sinks: null,
+  rateLimits: {},
+  knowledge: null,
+  catalog: null,
+  guardrails: {},
+  widgetIds: [],
+  origins: null
+};
+
+function fromEnv(value) {
+  if (typeof value === "string" && /^\$[A-Z][A-Z0-9_]*$/.test(value)) return process.env[value.slice(1)] || "";
+  if (Array.isArray(value)) return value.map(fromEnv);
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fromEnv(v)]));
+  return value;
+}
+
+function check(id, t) {
+  if (!/^[\w-]{1,64}$/.test(id)) throw new Error(`tenant id "${id}" must be letters, digits, _ or - (max 64)`);
+  const unknown = t.languages.filter(l => !LANGS.includes(l));
+  if (!t.languages.length || unknown.length) throw new Error(`tenant "${id}": languages must be some of ${LANGS.join(", ")}`);
+}
+
+let tenants = null;
+let byWidgetId = null;
+
+export function loadTenants(file = process.env.TENANTS_FILE || path.resolve(ROOT, "data/tenants.json")) {
+  let config = {};
+  if (fs.existsSync(file)) config = JSON.parse(fs.readFileSync(file, "utf8")).tenants || {};
+  else if (process.env.TENANTS_FILE) throw new Error(`TENANTS_FILE ${file} not found`);
+  const base = { ...BUILT_IN, ...fromEnv(config[DEFAULT_TENANT] || {}), id: DEFAULT_TENANT };
+  tenants = new Map([[DEFAULT_TENANT, base]]);
+  byWidgetId = new Map();
+  for (const [id, raw] of Object.entries(config)) {
+    const t = id === DEFAULT_TENANT ? base : { ...base, widgetIds: [], origins: null, knowledge: null, catalog: null, ...fromEnv(raw), id };
+    check(id, t);
+    tenants.set(id, t);
+    for (const w of [id, ...t.widgetIds]) byWidgetId.set(String(w), t);
+  }
+  return tenants;
+}
+function all() {
+  return tenants || loadTenants();
+}
+
+export function getTenant(id) {
+  return all().get(id || DEFAULT_TENANT) || null;
+}
+export function listTenants() {
+  return [...all().values()];
+}
+
+/* the tenant a handler runs for: set by the adapters, the default one for direct calls */
+export function tenantOf(ctx) {
+  return (ctx && ctx.tenant) || getTenant(DEFAULT_TENANT);
+}
+
+/*
+ * { tenant } for a request, or { error } with the result to send: a credential bound to a tenant
+ * decides outright; otherwise the public widget id, which must exist and, when the tenant lists
+ * origins, come from one of its sites.
+ */
+export function resolveTenant(ctx) {
+  const user = authenticate(ctx);
+  if (user && user.tenant) {
+    const tenant = getTenant(user.tenant);
+    return tenant ? { tenant } : { error: { status: 403, body: { error: `credential bound to unknown tenant ${user.tenant}` } } };
+  }
+  const id = String((ctx.headers && ctx.headers["x-tenant-id"]) || (ctx.query && ctx.query.tenant) || "").trim();
+  if (!id) return { tenant: getTenant(DEFAULT_TENANT) };
+  all();
+  const tenant = byWidgetId.get(id) || (id === DEFAULT_TENANT ? getTenant(DEFAULT_TENANT) : null);
+  if (!tenant) return { error: { status: 400, body: { error: "unknown tenant" } } };
+  const origin = ctx.headers && ctx.headers.origin;
+  if (!user && tenant.origins && origin && !tenant.origins.includes(origin)) {
+    return { error: { status: 403, body: { error: "origin not allowed for this tenant" } } };
+  }
+  return { tenant };
+}
+
+/* fill {brand} and {contactWindow} in a reply or prompt */
+export function tenantText(tenant, lang, text) {
+  const window = tenant.contactWindow || {};
+  return String(text).replace(/\{brand\}/g, tenant.name).replace(/\{contactWindow\}/g, window[lang] || window.en || "");
+}
+
+/* records written before tenants existed belong to the default tenant */
+export function belongsTo(record, tenantId) {
+  return ((record && record.tenant) || DEFAULT_TENANT) === tenantId;
+}
+
+/* the tenant an admin-side caller is limited to, or null for one that may see every tenant (`?tenant=` narrows it) */
+export function adminScope(ctx) {
+  if (ctx.user && ctx.user.tenant) return ctx.user.tenant;
+  return (ctx.query && ctx.query.tenant) || null;
+}
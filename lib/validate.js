@@ -0,0 +1,69 @@
+// lib/validate.js — small declarative checks for request bodies (no schema library needed)
+//
+//   a schema maps field -> rule; a rule is { type, required?, minLength?, maxLength?, min?, max?,
+//   enum?, format?, maxItems?, items?, fields? }
+//   type: "string" | "number" | "boolean" | "array" | "object" | "scalar" (string or number)
+//   format: "email" | "phone" | "sessionId"; `items` is the rule for array entries, `fields` the
+//   schema of a nested object. Fields not in the schema are ignored.
+import { isValidEmail, normalizePhone } from "./leads.js";
+import { isValidSessionId } from "./session.js";
+
+const FORMATS = {
+  email: { test: v => isValidEmail(v), message: "must be a valid email address" },
+  phone: { test: v => normalizePhone(v) !== null, message: "must be a valid phone number" },
+  sessionId: { test: v => isValidSessionId(v), message: "is not a valid session id" }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+function checkValue(rule, value, name) {
+  const type = typeOf(value);
+  if (rule.type === "scalar" ? !(type === "string" || type === "number") : type !== rule.type) {
+    return `${name} must be ${rule.type === "scalar" ? "a string or number" : rule.type === "array" || rule.type === "object" ? "an " + rule.type : "a " + rule.type}`;
+  }
+  if (type === "string") {
+    if (rule.minLength != null && value.trim().length < rule.minLength) return rule.minLength === 1 ? `${name} is required` : `${name} must be at least ${rule.minLength} characters`;
+    if (rule.maxLength != null && value.length > rule.maxLength) return `${name} must be at most ${rule.maxLength} characters`;
+  }
+  if (type === "number") {
+    if (!Number.isFinite(value)) return `${name} must be a finite number`;
+    if (rule.min != null && value < rule.min) return `${name} must be at least ${rule.min}`;
+    if (rule.max != null && value > rule.max) return `${name} must be at most ${rule.max}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return `${name} must be one of ${rule.enum.join(", ")}`;
+  if (rule.format && !FORMATS[rule.format].test(value)) return `${name} ${FORMATS[rule.format].message}`;
+  if (type === "array") {
+    if (rule.maxItems != null && value.length > rule.maxItems) return `${name} must have at most ${rule.maxItems} entries`;
+    if (rule.items) {
+      for (let i = 0; i < value.length; i++) {
+        const err = checkValue(rule.items, value[i], `${name}[${i}]`);
+        if (err) return err;
+      }
+    }
+  }
+  if (type === "object" && rule.fields) return checkFields(rule.fields, value, name + ".");
+  return null;
+}
+
+function checkFields(schema, obj, prefix = "") {
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = obj[field];
+    if (value === undefined || value === null) {
+      if (rule.required) return `${prefix}${field} is required`;
+      continue;
+    }
+    const err = checkValue(rule, value, prefix + field);
+    if (err) return err;
+  }
+  return null;
+}
+
+/* null when `body` satisfies `schema`, else the first problem as a message for a 400 response */
+export function validateBody(schema, body) {
+  if (typeOf(body) !== "object") return "request body must be a JSON object";
+  return checkFields(schema, body);
+}
@@ -0,0 +1,12 @@
+// scripts/encrypt-leads.js — encrypt contact fields of leads saved before LEAD_ENCRYPTION_KEY was set
+//   node scripts/encrypt-leads.js   (same STORAGE_BACKEND / STORAGE_DIR / SQLITE_FILE as the server)
+import "dotenv/config";
+import { getStore, encryptStoredLeads } from "../lib/store.js";
+
+if (!process.env.LEAD_ENCRYPTION_KEY) {
+  console.error("Set LEAD_ENCRYPTION_KEY (the server must use the same value).");
+  process.exit(1);
+}
+const { total, encrypted } = await encryptStoredLeads();
+console.log(`Encrypted ${encrypted} of ${total} leads (${total - encrypted} already were).`);
+await (await getStore()).close();
@@ -0,0 +1,48 @@
+// scripts/eval-intents.js — per-intent precision/recall of lib/intents.js over the labelled corpus
+//   node scripts/eval-intents.js [corpus.json] [--verbose] [--min=<share>]
+//   --min fails (exit 1) when fewer than that share of messages resolve exactly; npm test runs it over
+//   data/intent-corpus.json, which the phrases are tuned on, and data/intent-heldout.json, which they are not
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { resolveIntents, intentDefs } from "../lib/intents.js";
+import { detectLanguage } from "../lib/lang.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT = path.resolve(path.dirname(__filename), "..");
+const args = process.argv.slice(2);
+const verbose = args.includes("--verbose");
+const minArg = args.find(a => a.startsWith("--min="));
+const min = minArg ? Number(minArg.slice(6)) : null;
+const file = args.find(a => !a.startsWith("--")) || path.resolve(ROOT, "data/intent-corpus.json");
+
+const corpus = JSON.parse(fs.readFileSync(file, "utf8"));
+const names = [...Object.keys(intentDefs().intents), "general"];
+const stats = Object.fromEntries(names.map(n => [n, { tp: 0, fp: 0, fn: 0 }]));
+let exact = 0;
+
+for (const { text, intents } of corpus) {
+  const expected = new Set(intents.length ? intents : ["general"]);
+  const resolved = resolveIntents(text, detectLanguage(text)).intents.map(i => i.intent);
+  const got = new Set(resolved.length ? resolved : ["general"]);
+  for (const n of names) {
+    if (got.has(n) && expected.has(n)) stats[n].tp++;
+    else if (got.has(n)) stats[n].fp++;
+    else if (expected.has(n)) stats[n].fn++;
+  }
+  const ok = expected.size === got.size && [...expected].every(n => got.has(n));
+  if (ok) exact++;
+  if (verbose || !ok) console.log(`${ok ? "  ok " : "MISS "} ${JSON.stringify(text)} → ${[...got].join("+")}${ok ? "" : ` (expected ${[...expected].join("+")})`}`);
+}
+
+const pct = x => (Number.isFinite(x) ? (x * 100).toFixed(1).padStart(6) + "%" : "     -");
+console.log("\nintent              precision   recall   support");
+for (const n of names) {
+  const { tp, fp, fn } = stats[n];
+  console.log(`${n.padEnd(18)} ${pct(tp / (tp + fp))}  ${pct(tp / (tp + fn))}   ${String(tp + fn).padStart(5)}`);
+}
+console.log(`\nexact match: ${exact}/${corpus.length}`);
+if (min !== null && exact < min * corpus.length) {
+  console.error(`below the required ${(min * 100).toFixed(1)}% exact match`);
+  process.exitCode = 1;
+}
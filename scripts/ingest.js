@@ -0,0 +1,33 @@
+// scripts/ingest.js — rebuild data/kb-index.json from content/, and data/kb-index.<tenant>.json for
+// every tenant with content of its own (see lib/knowledge.js)
+//   node scripts/ingest.js [--watch]
+import fs from "fs";
+import { buildIndex, writeIndex, knowledgeBase } from "../lib/knowledge.js";
+import { listTenants } from "../lib/tenants.js";
+
+// tenants sharing a directory share its index
+const bases = new Map();
+for (const tenant of [null, ...listTenants()]) {
+  const base = knowledgeBase(tenant);
+  if (base && !bases.has(base.dir)) bases.set(base.dir, base);
+}
+
+function ingest(base) {
+  const index = buildIndex(base.dir);
+  writeIndex(index, base.indexFile);
+  const sources = new Set(index.chunks.map(c => c.source));
+  console.log(`Indexed ${index.chunks.length} chunk(s) from ${sources.size} document(s) → ${base.indexFile}`);
+}
+
+for (const base of bases.values()) ingest(base);
+
+if (process.argv.includes("--watch")) {
+  for (const base of bases.values()) {
+    let timer = null;
+    console.log(`Watching ${base.dir} for changes…`);
+    fs.watch(base.dir, () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => { try { ingest(base); } catch (e) { console.error("Ingest failed:", e.message); } }, 300);
+    });
+  }
+}
@@ -0,0 +1,15 @@
+// scripts/token.js — mint a signed access token for the admin API (needs JWT_SECRET)
+//   node scripts/token.js <admin|counselor> <name> [days=30] [tenant]   (a tenant limits the token to it)
+import "dotenv/config";
+import { signJwt, ROLES } from "../lib/auth.js";
+
+const [role, name, days = "30", tenant] = process.argv.slice(2);
+if (!ROLES.includes(role) || !name || !(Number(days) > 0)) {
+  console.error(`Usage: node scripts/token.js <${ROLES.join("|")}> <name> [days=30] [tenant]`);
+  process.exit(1);
+}
+if (!process.env.JWT_SECRET) {
+  console.error("Set JWT_SECRET (the server must use the same value).");
+  process.exit(1);
+}
+console.log(signJwt({ sub: name, role, exp: Math.floor(Date.now() / 1000) + Number(days) * 86400, ...(tenant ? { tenant } : {}) }));
@@ -0,0 +1,129 @@
+// test/admin.test.js — lead management: duplicate groups, merging, the CSV export and who may do what
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { findDuplicates, leadsToCsv, handleAdminLeads } from "../lib/admin.js";
+import { getLead, listLeads } from "../lib/store.js";
+import { offline } from "./helpers.js";
+
+const ENV = ["ADMIN_TOKEN", "API_KEYS", "JWT_SECRET"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+beforeEach(() => {
+  for (const k of ENV) delete process.env[k];
+  process.env.ADMIN_TOKEN = "admin-token";
+  process.env.API_KEYS = "k_priya:counselor:priya";
+});
+afterEach(() => { for (const k of ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k]; });
+
+const as = (token, method, query = {}) => ({ method, query, headers: { authorization: `Bearer ${token}`, "x-admin-user": "asha" } });
+const admin = (method, query) => as("admin-token", method, query);
+const lead = (id, day, fields) => ({ id, createdAt: `2026-10-${day}T09:00:00.000Z`, status: "new", source: "widget-chat", tenant: "default", ...fields });
+
+/* leads written straight to the store, so their ids and creation times are the test's */
+async function seed(leads) {
+  const store = offline();
+  for (const l of leads) await store.saveLead(l);
+}
+
+test("duplicates: leads sharing an email or phone group transitively, oldest first", () => {
+  const leads = [
+    lead("c", "03", { email: "asha.r@example.com", phone: "098765 43210" }),
+    lead("a", "01", { phone: "+91 98765 43210" }),
+    lead("b", "02", { email: "Asha.R@Example.com " }),
+    lead("d", "04", { email: "ravi@example.com", phone: "+1 415 555 0100" }),
+    lead("e", "05", { email: "meera@example.com" }),
+    lead("f", "06", { phone: "14155550100" }),
+    lead("p", "07", { email: "ravi@example.com", tenant: "pune" })
+  ];
+  const groups = findDuplicates(leads).map(g => g.map(l => l.id));
+  assert.deepEqual(groups, [["a", "b", "c"], ["d", "f"]], "a and b share nothing directly but both match c; pune's ravi is another tenant's record");
+  assert.deepEqual(findDuplicates([lead("x", "01", {}), lead("y", "02", {})]), [], "leads without contact details never match");
+});
+
+test("merge: the oldest lead's fields win, gaps are filled and everything else is kept", async () => {
+  await seed([
+    lead("old", "01", { name: "Asha Rao", phone: "+919876543210", sessionId: "s-old", notes: [{ text: "called once", at: "2026-10-01", by: "priya" }] }),
+    lead("mid", "02", { name: "A. Rao", email: "asha@example.com", phone: "+919876543210", source: "widget-handoff", message: "Please call after 6", status: "contacted", counselor: "priya", sessionId: "s-mid" }),
+    lead("new", "03", { name: "Asha", email: "asha.rao@example.com", phone: "+919876543210", note: "Wants Canada", sessionId: "s-new" })
+  ]);
+  const res = await handleAdminLeads({ ids: ["new", "old", "mid"] }, admin("POST", { action: "merge" }));
+  assert.equal(res.status, 200);
+  const merged = res.body.lead;
+  assert.equal(merged.id, "old");
+  assert.equal(merged.name, "Asha Rao");
+  assert.equal(merged.email, "asha@example.com", "the first donor fills the gap");
+  assert.deepEqual(merged.altEmails, ["asha.rao@example.com"]);
+  assert.equal(merged.altPhones, undefined, "the same number is not an alternative");
+  assert.equal(merged.counselor, "priya");
+  assert.equal(merged.sessionId, "s-old");
+  assert.deepEqual(merged.mergedSessions, ["s-mid", "s-new"]);
+  assert.deepEqual(merged.mergedFrom, ["mid", "new"]);
+  assert.equal(merged.mergedBy, "asha");
+  assert.equal(merged.status, "contacted", "the furthest status along wins");
+  assert.deepEqual(merged.sources, ["widget-chat", "widget-handoff"]);
+  assert.deepEqual(merged.notes.map(n => [n.text, n.by]), [["called once", "priya"], ["Please call after 6", "merge"], ["Wants Canada", "merge"]]);
+  assert.deepEqual((await listLeads()).map(l => l.id), ["old"], "merged-away leads are deleted");
+});
+
+test("merge: fewer than two leads, unknown ids and leads of different tenants are refused", async () => {
+  await seed([lead("a", "01", { email: "x@example.com" }), lead("b", "02", { email: "x@example.com", tenant: "pune" })]);
+  assert.equal((await handleAdminLeads({ ids: ["a"] }, admin("POST", { action: "merge" }))).status, 400);
+  assert.equal((await handleAdminLeads({ ids: ["a", "zzz"] }, admin("POST", { action: "merge" }))).status, 404);
+  assert.deepEqual((await handleAdminLeads({ ids: ["a", "b"] }, admin("POST", { action: "merge" }))).body, { error: "leads belong to different tenants" });
+  assert.equal((await handleAdminLeads({ ids: ["a", "b"] }, admin("POST", { action: "merge", tenant: "pune" }))).status, 404, "a tenant scope hides the others' leads");
+  assert.equal((await listLeads()).length, 2);
+});
+
+test("dedupe: a dry run lists the groups, the real run merges each of them", async () => {
+  await seed([
+    lead("a", "01", { email: "asha@example.com" }), lead("b", "02", { email: "asha@example.com", phone: "9876543210" }),
+    lead("c", "03", { phone: "+91 98765 43210" }), lead("d", "04", { email: "ravi@example.com" })
+  ]);
+  const dry = await handleAdminLeads({ dryRun: true }, admin("POST", { action: "dedupe" }));
+  assert.deepEqual(dry.body, { dryRun: true, groups: [["a", "b", "c"]] });
+  assert.equal((await listLeads()).length, 4);
+  const run = await handleAdminLeads({}, admin("POST", { action: "dedupe" }));
+  assert.equal(run.body.merged, 1);
+  assert.deepEqual((await listLeads()).map(l => l.id).sort(), ["a", "d"]);
+  assert.equal((await getLead("a")).phone, "9876543210");
+});
+
+test("csv: one row per lead with notes joined, and cells that could run as formulas defused", () => {
+  const csv = leadsToCsv([
+    lead("1", "01", { name: "=HYPERLINK(\"http://evil\")", email: "asha@example.com", phone: "+919876543210", message: "Hi, call me\nafter 6", notes: [{ text: "called" }, { text: "no answer" }], altEmails: ["a@x.com", "b@x.com"] }),
+    lead("2", "02", { name: "@SUM(A1)", note: "-2+3" })
+  ]);
+  const rows = csv.split("\r\n");
+  assert.equal(rows[0], "id,createdAt,name,email,phone,altEmails,altPhones,source,status,counselor,note,notes");
+  assert.equal(rows[1], '1,2026-10-01T09:00:00.000Z,"\'=HYPERLINK(""http://evil"")",asha@example.com,\'+919876543210,a@x.com | b@x.com,,widget-chat,new,,"Hi, call me\nafter 6",called | no answer', "a line break inside a quoted cell stays in the row");
+  assert.equal(rows[2], "2,2026-10-02T09:00:00.000Z,'@SUM(A1),,,,,widget-chat,new,,'-2+3,");
+  assert.equal(rows[3], "", "ends with a line break");
+});
+
+test("list: filters, duplicate hints and CSV download for admins; counselors list and update only", async () => {
+  await seed([
+    lead("a", "01", { name: "Asha Rao", email: "asha@example.com", altPhones: ["+919811122233"] }),
+    lead("b", "05", { name: "Ravi", email: "ravi@example.com", status: "contacted", counselor: "priya" }),
+    lead("c", "09", { name: "Asha R", email: "ASHA@example.com", source: "widget-handoff" })
+  ]);
+  const ids = async query => (await handleAdminLeads({}, admin("GET", query))).body.leads.map(l => l.id);
+  assert.deepEqual(await ids({}), ["c", "b", "a"], "newest first");
+  assert.deepEqual(await ids({ q: "98111" }), ["a"], "alternative contacts are searched too");
+  assert.deepEqual(await ids({ status: "new" }), ["c", "a"]);
+  assert.deepEqual(await ids({ from: "2026-10-02", to: "2026-10-05" }), ["b"]);
+  assert.deepEqual(await ids({ source: "widget-handoff" }), ["c"]);
+  assert.deepEqual((await handleAdminLeads({}, admin("GET", {}))).body.duplicates, [["a", "c"]]);
+
+  const csv = await handleAdminLeads({}, admin("GET", { format: "csv", counselor: "priya" }));
+  assert.equal(csv.headers["Content-Type"], "text/csv; charset=utf-8");
+  assert.match(csv.headers["Content-Disposition"], /filename="leads\.csv"/);
+  assert.equal(csv.body.split("\r\n").length, 3);
+
+  const counselor = (method, query) => as("k_priya", method, query);
+  assert.equal((await handleAdminLeads({}, counselor("GET", {}))).status, 200);
+  assert.equal((await handleAdminLeads({}, counselor("GET", { format: "csv" }))).status, 403);
+  assert.equal((await handleAdminLeads({ ids: ["a", "c"] }, counselor("POST", { action: "merge" }))).status, 403);
+  const updated = await handleAdminLeads({ status: "contacted", note: "left a voicemail" }, counselor("PATCH", { id: "a" }));
+  assert.equal(updated.body.lead.status, "contacted");
+  assert.deepEqual(updated.body.lead.notes.map(n => [n.text, n.by]), [["left a voicemail", "priya"]]);
+  assert.equal((await handleAdminLeads({ status: "won" }, counselor("PATCH", { id: "a" }))).status, 400);
+});
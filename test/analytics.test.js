@@ -0,0 +1,143 @@
+// test/analytics.test.js — daily reports and the lead funnel from events, the admin metrics route and the Prometheus text
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { summarize, recordChatTurn, recordHandoff, countMetric, handleMetrics, handleAdminMetrics } from "../lib/analytics.js";
+import { appendEvent } from "../lib/store.js";
+import { offline } from "./helpers.js";
+
+const ENV = ["ADMIN_TOKEN", "API_KEYS", "JWT_SECRET", "METRICS_TOKEN"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+beforeEach(() => {
+  for (const k of ENV) delete process.env[k];
+  process.env.ADMIN_TOKEN = "admin-token";
+});
+afterEach(() => { for (const k of ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k]; });
+
+const bearer = (token, query = {}) => ({ method: "GET", query, headers: { authorization: `Bearer ${token}` } });
+const chat = (ts, sessionId, extra = {}) => ({ type: "chat", ts, tenant: "default", sessionId, route: "canned", latencyMs: 100, status: 200, ...extra });
+
+test("summarize: per-day counts, fallback rate and latency percentiles", () => {
+  const { daily } = summarize([
+    chat("2026-10-01T09:00:00Z", "a", { newSession: true, intent: "greeting", latencyMs: 40 }),
+    chat("2026-10-01T09:01:00Z", "a", { route: "model", latencyMs: 1200, tokens: { input: 300, output: 80 }, sanitized: ["specifics"] }),
+    chat("2026-10-01T09:02:00Z", "a", { route: "model", latencyMs: 900, tokens: { input: 350, output: 60 }, duplicate: true }),
+    chat("2026-10-01T10:00:00Z", "b", { newSession: true, latencyMs: 60 }),
+    chat("2026-10-02T08:00:00Z", "c", { newSession: true, latencyMs: 80 }),
+    { type: "handoff", ts: "2026-10-02T08:05:00Z", sessionId: "c", outcome: "submitted" },
+    { type: "handoff", ts: "2026-10-02T08:06:00Z", sessionId: null, outcome: "failed" }
+  ]);
+  assert.deepEqual(daily.map(d => d.date), ["2026-10-01", "2026-10-02"]);
+  const [first, second] = daily;
+  assert.equal(first.sessions, 2);
+  assert.equal(first.turns, 4);
+  assert.deepEqual(first.routes, { canned: 2, model: 2 });
+  assert.deepEqual(first.intents, { greeting: 1 });
+  assert.equal(first.fallbackRate, 0.5);
+  assert.deepEqual(first.latencyMs, { avg: 550, p95: 1200 });
+  assert.deepEqual(first.tokens, { input: 650, output: 140 });
+  assert.equal(first.sanitized, 1);
+  assert.equal(first.duplicates, 1);
+  assert.deepEqual(second.handoffs, { submitted: 1, failed: 1 });
+  assert.equal(second.fallbackRate, 0);
+});
+
+test("summarize: the funnel follows each session from first turn to contact details", () => {
+  const { funnel } = summarize([
+    chat("2026-10-01T09:00:00Z", "a", { newSession: true }),
+    chat("2026-10-01T09:01:00Z", "a", { leadSuggested: true }),
+    { type: "handoff", ts: "2026-10-01T09:02:00Z", sessionId: "a", outcome: "submitted" },
+    chat("2026-10-01T09:00:00Z", "b", { newSession: true }),
+    chat("2026-10-01T09:01:00Z", "b", { leadSuggested: true }),
+    chat("2026-10-01T09:02:00Z", "b", { leadSaved: true }),
+    chat("2026-10-01T09:00:00Z", "c", { newSession: true }),
+    chat("2026-10-01T09:01:00Z", "c", { leadSuggested: true }),
+    chat("2026-10-01T09:00:00Z", "d", { newSession: true })
+  ]);
+  assert.deepEqual(funnel, {
+    sessions: 4, engaged: 3, leadPromptShown: 3, handoffSubmitted: 1, chatLeadCaptured: 1, converted: 2,
+    promptToHandoffRate: 0.333, promptToLeadRate: 0.667, conversionRate: 0.5
+  });
+});
+
+test("summarize: ungrounded and failed questions are grouped however they were typed, most frequent first", () => {
+  const { unanswered } = summarize([
+    chat("2026-10-01T09:00:00Z", "a", { question: "Do you help with Japan?", grounded: false }),
+    chat("2026-10-01T10:00:00Z", "b", { question: "do you help with  japan", grounded: false }),
+    chat("2026-10-01T11:00:00Z", "c", { question: "What is the IELTS fee?", grounded: true, status: 500 }),
+    chat("2026-10-01T12:00:00Z", "d", { question: "Which visa for Canada?", grounded: true })
+  ], { top: 5 });
+  assert.deepEqual(unanswered, [
+    { question: "Do you help with Japan?", count: 2, lastAt: "2026-10-01T10:00:00Z" },
+    { question: "What is the IELTS fee?", count: 1, lastAt: "2026-10-01T11:00:00Z" }
+  ]);
+  assert.deepEqual(summarize([]), { daily: [], funnel: { sessions: 0, engaged: 0, leadPromptShown: 0, handoffSubmitted: 0, chatLeadCaptured: 0, converted: 0, promptToHandoffRate: 0, promptToLeadRate: 0, conversionRate: 0 }, unanswered: [] });
+});
+
+test("admin metrics: dates are checked, the range is inclusive, and a tenant sees only its own events", async () => {
+  offline();
+  await appendEvent(chat("2026-09-30T23:59:00Z", "old", { newSession: true }));
+  await appendEvent(chat("2026-10-01T09:00:00Z", "a", { newSession: true }));
+  await appendEvent(chat("2026-10-02T09:00:00Z", "p", { newSession: true, tenant: "pune" }));
+  await appendEvent(chat("2026-10-03T00:00:00Z", "late", { newSession: true }));
+
+  assert.equal((await handleAdminMetrics({ from: "1 Oct" }, bearer("admin-token"))).status, 400);
+  assert.equal((await handleAdminMetrics({}, { headers: {} })).status, 401);
+  const all = await handleAdminMetrics({ from: "2026-10-01", to: "2026-10-02" }, bearer("admin-token"));
+  assert.equal(all.status, 200);
+  assert.equal(all.body.events, 2);
+  assert.equal(all.body.funnel.sessions, 2);
+
+  process.env.API_KEYS = "k_pune:counselor:meera:pune";
+  const pune = await handleAdminMetrics({ from: "2026-10-01", to: "2026-10-02", tenant: "default" }, bearer("k_pune", { tenant: "default" }));
+  assert.equal(pune.body.tenant, "pune", "a tenant-bound credential cannot ask for another tenant");
+  assert.equal(pune.body.events, 1);
+});
+
+test("prometheus: counters by label, a cumulative latency histogram and the outbox gauge", async () => {
+  offline();
+  const ok = { status: 200, body: { meta: {} } };
+  await recordChatTurn({ sessionId: "s1", newSession: true, route: "canned", tenant: "default" }, { status: 200, body: { meta: { intent: { intent: "greeting" } } } }, 40);
+  await recordChatTurn({ sessionId: "s1", route: "model", tenant: "default", tokens: { input: 300, output: 80 } }, { status: 200, body: { meta: { provider: "mock", leadSuggested: true } } }, 1500);
+  await recordChatTurn({ sessionId: "s2", route: "model", tenant: "pune" }, ok, 30000);
+  await recordHandoff({ sessionId: "s1", outcome: "submitted", tenant: "default" }, ok, 20);
+  countMetric("gt_test_total", "Label values are escaped", { note: 'say "hi"\nthen\\leave' });
+
+  const res = await handleMetrics({}, bearer("admin-token"));
+  assert.equal(res.status, 200);
+  assert.match(res.headers["Content-Type"], /^text\/plain; version=0\.0\.4/);
+  const lines = res.body.split("\n");
+  const has = line => assert.ok(lines.includes(line), `missing: ${line}\n${res.body}`);
+  has("# TYPE gt_chat_turns_total counter");
+  has('gt_chat_turns_total{route="canned",tenant="default"} 1');
+  has('gt_chat_turns_total{route="model",tenant="pune"} 1');
+  has("gt_sessions_started_total 1");
+  has('gt_chat_intents_total{intent="greeting"} 1');
+  has('gt_model_replies_total{provider="mock"} 1');
+  has('gt_model_replies_total{provider="none"} 1');
+  has('gt_model_tokens_total{direction="input"} 300');
+  has("gt_lead_prompts_total 1");
+  has('gt_leads_total{source="widget-handoff",tenant="default"} 1');
+  has('gt_handoffs_total{outcome="submitted",tenant="default"} 1');
+  has('gt_test_total{note="say _hi__then_leave"} 1');
+
+  has("# TYPE gt_chat_latency_seconds histogram");
+  has('gt_chat_latency_seconds_bucket{le="0.05"} 1');
+  has('gt_chat_latency_seconds_bucket{le="2.5"} 2');
+  has('gt_chat_latency_seconds_bucket{le="20"} 2');
+  has('gt_chat_latency_seconds_bucket{le="+Inf"} 3');
+  has("gt_chat_latency_seconds_sum 31.54");
+  has("gt_chat_latency_seconds_count 3");
+  has("# TYPE gt_outbox_jobs gauge");
+  assert.ok(res.body.endsWith("\n"));
+});
+
+test("prometheus: METRICS_TOKEN lets a scraper in without an admin credential", async () => {
+  offline();
+  assert.equal((await handleMetrics({}, { headers: {} })).status, 401);
+  process.env.METRICS_TOKEN = "scrape-token";
+  assert.equal((await handleMetrics({}, bearer("scrape-token"))).status, 200);
+  assert.equal((await handleMetrics({}, bearer("wrong-token"))).status, 401);
+  assert.equal((await handleMetrics({}, bearer("admin-token"))).status, 200, "admins still can");
+  process.env.API_KEYS = "k_priya:counselor:priya";
+  assert.equal((await handleMetrics({}, bearer("k_priya"))).status, 403, "counselors cannot");
+});
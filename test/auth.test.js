@@ -0,0 +1,107 @@
+// test/auth.test.js — JWTs, API keys and ADMIN_TOKEN, and the 503/401/403 role checks on admin routes
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { signJwt, verifyJwt, authenticate, requireRole, requireAdmin } from "../lib/auth.js";
+import { handleAdminLeads } from "../lib/admin.js";
+import { saveLead } from "../lib/store.js";
+import { offline } from "./helpers.js";
+
+const ENV = ["ADMIN_TOKEN", "API_KEYS", "JWT_SECRET"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+const SECRET = "jwt-test-secret";
+
+beforeEach(() => { for (const k of ENV) delete process.env[k]; });
+afterEach(() => { for (const k of ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k]; });
+
+const inAnHour = () => Math.floor(Date.now() / 1000) + 3600;
+const bearer = (token, extra = {}) => ({ headers: { authorization: `Bearer ${token}`, ...extra } });
+/* a token signed with `secret` over whatever header and claims are given */
+function rawJwt(header, claims, secret = SECRET) {
+  const enc = o => Buffer.from(JSON.stringify(o)).toString("base64url");
+  const signed = `${enc(header)}.${enc(claims)}`;
+  return `${signed}.${crypto.createHmac("sha256", secret).update(signed).digest("base64url")}`;
+}
+
+test("jwt: a signed, unexpired token verifies", () => {
+  const claims = verifyJwt(signJwt({ sub: "priya", role: "counselor", exp: inAnHour() }, SECRET), SECRET);
+  assert.equal(claims.sub, "priya");
+  assert.equal(claims.role, "counselor");
+  assert.equal(typeof claims.iat, "number");
+});
+
+test("jwt: tokens without exp, expired, re-signed, tampered or not HS256 are refused", () => {
+  const good = signJwt({ sub: "priya", role: "admin", exp: inAnHour() }, SECRET);
+  const [head, , sig] = good.split(".");
+  const forgedBody = Buffer.from(JSON.stringify({ sub: "mallory", role: "admin", exp: inAnHour() })).toString("base64url");
+  const refused = {
+    "no exp": signJwt({ sub: "priya", role: "admin" }, SECRET),
+    "exp not a number": signJwt({ sub: "priya", role: "admin", exp: String(inAnHour()) }, SECRET),
+    "expired": signJwt({ sub: "priya", role: "admin", exp: Math.floor(Date.now() / 1000) - 1 }, SECRET),
+    "other secret": signJwt({ sub: "priya", role: "admin", exp: inAnHour() }, "someone-else"),
+    "tampered claims": `${head}.${forgedBody}.${sig}`,
+    "alg none": rawJwt({ alg: "none", typ: "JWT" }, { sub: "priya", role: "admin", exp: inAnHour() }),
+    "two parts": good.split(".").slice(0, 2).join("."),
+    "garbage": "not-a-token"
+  };
+  for (const [why, token] of Object.entries(refused)) assert.equal(verifyJwt(token, SECRET), null, why);
+  assert.equal(verifyJwt(good, ""), null, "nothing verifies without a secret");
+});
+
+test("authenticate: ADMIN_TOKEN, API_KEYS and JWTs each map to a role, name and tenant", () => {
+  Object.assign(process.env, {
+    ADMIN_TOKEN: "admin-token",
+    API_KEYS: "k_ops:admin:ops, k_priya:counselor:priya:pune, k_bad:superuser:eve",
+    JWT_SECRET: SECRET
+  });
+  assert.deepEqual(authenticate(bearer("admin-token", { "x-admin-user": "asha" })), { role: "admin", name: "asha", tenant: null });
+  assert.deepEqual(authenticate(bearer("admin-token")), { role: "admin", name: "admin", tenant: null });
+  assert.deepEqual(authenticate(bearer("k_ops")), { role: "admin", name: "ops", tenant: null });
+  assert.deepEqual(authenticate(bearer("k_priya")), { role: "counselor", name: "priya", tenant: "pune" });
+  assert.equal(authenticate(bearer("k_bad")), null, "keys with an unknown role are ignored");
+  const jwt = signJwt({ sub: "ravi", role: "counselor", tenant: "northstar", exp: inAnHour() });
+  assert.deepEqual(authenticate(bearer(jwt)), { role: "counselor", name: "ravi", tenant: "northstar" });
+  assert.equal(authenticate(bearer(signJwt({ sub: "ravi", role: "owner", exp: inAnHour() }))), null);
+  assert.equal(authenticate({ headers: { authorization: "Basic admin-token" } }), null);
+  assert.equal(authenticate({ headers: {} }), null);
+});
+
+test("requireRole: 503 with nothing configured, 401 without a credential, 403 for the wrong role", () => {
+  assert.equal(requireAdmin(bearer("anything")).status, 503);
+  process.env.API_KEYS = "k_ops:admin:ops,k_priya:counselor:priya";
+  const missing = requireRole({ headers: {} }, ["admin", "counselor"]);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers["WWW-Authenticate"], "Bearer");
+  assert.equal(requireRole(bearer("k_wrong"), ["admin"]).status, 401);
+  assert.deepEqual(requireAdmin(bearer("k_priya")), { status: 403, body: { error: "forbidden for role counselor" } });
+  const ctx = bearer("k_priya");
+  assert.equal(requireRole(ctx, ["admin", "counselor"]), null);
+  assert.deepEqual(ctx.user, { role: "counselor", name: "priya", tenant: null });
+});
+
+test("admin leads: counselors list and update, admins alone export and merge", async () => {
+  offline();
+  process.env.API_KEYS = "k_ops:admin:ops,k_priya:counselor:priya";
+  const lead = await saveLead({ name: "Asha Rao", email: "asha@example.com", source: "chat" });
+  const as = (key, extra = {}) => ({ ...bearer(key), method: "GET", query: {}, ...extra });
+  assert.equal((await handleAdminLeads(null, as("k_priya"))).body.total, 1);
+  const updated = await handleAdminLeads({ status: "contacted", note: "called back" }, as("k_priya", { method: "PATCH", query: { id: lead.id } }));
+  assert.equal(updated.body.lead.status, "contacted");
+  assert.equal(updated.body.lead.notes[0].by, "priya");
+  assert.equal((await handleAdminLeads(null, as("k_priya", { query: { format: "csv" } }))).status, 403);
+  assert.equal((await handleAdminLeads({}, as("k_priya", { method: "POST", query: { action: "dedupe" } }))).status, 403);
+  assert.equal((await handleAdminLeads(null, as("k_ops", { query: { format: "csv" } }))).status, 200);
+  assert.equal((await handleAdminLeads(null, { method: "GET", headers: {} })).status, 401);
+});
+
+test("tenant-bound credentials only see their own tenant's leads", async () => {
+  offline();
+  process.env.JWT_SECRET = SECRET;
+  await saveLead({ name: "Asha Rao", email: "asha@example.com", tenant: "pune" });
+  await saveLead({ name: "Ravi Kumar", email: "ravi@example.com", tenant: "northstar" });
+  await saveLead({ name: "Meera Das", email: "meera@example.com" });
+  const list = async claims => (await handleAdminLeads(null, { ...bearer(signJwt({ exp: inAnHour(), ...claims })), method: "GET", query: {} })).body.leads.map(l => l.name).sort();
+  assert.deepEqual(await list({ sub: "p", role: "counselor", tenant: "pune" }), ["Asha Rao"]);
+  assert.deepEqual(await list({ sub: "n", role: "admin", tenant: "northstar" }), ["Ravi Kumar"]);
+  assert.deepEqual(await list({ sub: "ops", role: "admin" }), ["Asha Rao", "Meera Das", "Ravi Kumar"]);
+});
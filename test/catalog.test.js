@@ -0,0 +1,107 @@
+// test/catalog.test.js — catalog query parsing and search, in chat and over GET /api/catalog, per tenant
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { handleChat } from "../lib/chat.js";
+import { handleCatalog, getCatalog, catalogFile, parseCatalogQuery, isCatalogQuery, searchPrograms, searchScholarships, findUniversity } from "../lib/catalog.js";
+import { loadTenants, getTenant } from "../lib/tenants.js";
+import { offline } from "./helpers.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+before(() => loadTenants(path.resolve(ROOT, "data/tenants.example.json")));
+
+const NONE = { type: "universities", country: null, level: null, field: null, budget: null, intake: null, ielts: null, nationality: null };
+
+test("parse: level, field, country, budget, intake, IELTS and nationality come out of free text", () => {
+  assert.deepEqual(parseCatalogQuery("masters in data science in canada under 80k CAD"),
+    { ...NONE, country: "canada", level: "masters", field: "data science", budget: { amount: 80000, currency: "CAD" } });
+  assert.deepEqual(parseCatalogQuery("MBA in the UK for fall with IELTS 6.5"),
+    { ...NONE, country: "uk", level: "masters", field: "business", intake: ["Aug", "Sep", "Oct"], ielts: 6.5 });
+  assert.deepEqual(parseCatalogQuery("ms in cs in usa budget $40,000 september intake"),
+    { ...NONE, country: "usa", level: "masters", field: "computer science", budget: { amount: 40000, currency: "USD" }, intake: ["Sep"] });
+  assert.deepEqual(parseCatalogQuery("scholarships for indian students in australia"),
+    { ...NONE, type: "scholarships", country: "australia", nationality: "IN" });
+  assert.deepEqual(parseCatalogQuery("what is the weather like"), NONE);
+});
+
+test("parse: budgets default to lakhs in rupees, then the destination's currency", () => {
+  const budget = text => parseCatalogQuery(text).budget;
+  assert.deepEqual(budget("bachelors in germany under 15 lakh"), { amount: 1500000, currency: "INR" });
+  assert.deepEqual(budget("masters in canada under $30,000"), { amount: 30000, currency: "CAD" });
+  assert.deepEqual(budget("masters in the uk below £25,000"), { amount: 25000, currency: "GBP" });
+  assert.deepEqual(budget("masters in australia under 40k"), { amount: 40000, currency: "AUD" });
+  assert.deepEqual(budget("masters under 40k"), { amount: 40000, currency: null }, "no country, no currency to assume");
+  assert.equal(budget("I may join in may"), null);
+  assert.equal(parseCatalogQuery("I may study next year").intake, null, "'may' alone is not an intake");
+});
+
+test("parse: two filters make a program search, scholarships need one", () => {
+  assert.equal(isCatalogQuery(parseCatalogQuery("I want to study masters")), false);
+  assert.equal(isCatalogQuery(parseCatalogQuery("masters in canada")), true);
+  assert.equal(isCatalogQuery(parseCatalogQuery("tell me about scholarships")), false);
+  assert.equal(isCatalogQuery(parseCatalogQuery("scholarships in the uk")), true);
+});
+
+test("search: programs within budget come cheapest first, converted through the rates file", () => {
+  const rows = searchPrograms(parseCatalogQuery("masters in data science in canada under 80k CAD"));
+  assert.deepEqual(rows.map(r => r.tuition[0]), [24000, 26000, 48000, 70000]);
+  // 20 lakh rupees is about 31,700 CAD at the file's rates
+  const lakh = searchPrograms(parseCatalogQuery("masters in computer science in canada under 20 lakh"));
+  assert.deepEqual(lakh.map(r => r.university), ["University of Windsor", "Dalhousie University"]);
+  const ielts = searchPrograms(parseCatalogQuery("masters in canada with IELTS 6.5"));
+  assert.ok(ielts.length && ielts.every(r => r.english.ielts <= 6.5));
+});
+
+test("search: scholarships aimed at the student's nationality rank above open ones", () => {
+  const rows = searchScholarships(parseCatalogQuery("scholarships for indian students in uk"));
+  assert.ok(rows.length > 1);
+  const firstOpen = rows.findIndex(s => !s.nationalities.includes("IN"));
+  assert.ok(firstOpen === -1 || rows.slice(firstOpen).every(s => !s.nationalities.includes("IN")));
+  assert.ok(rows.every(s => s.country === "uk"));
+});
+
+test("universities are found by name or alias", () => {
+  assert.equal(findUniversity("tell me about the University of Toronto").id, "utoronto");
+  assert.equal(findUniversity("is UofT good for CS?").id, "utoronto");
+  assert.equal(findUniversity("hello there"), null);
+});
+
+const ask = async (message, tenantId) => {
+  offline();
+  const { body } = await handleChat({ message }, { tenant: getTenant(tenantId) });
+  return body.meta;
+};
+
+test("tenants: only the default tenant and those sharing its file have a catalog", () => {
+  assert.equal(catalogFile(getTenant("pune")), catalogFile(getTenant("default")));
+  assert.equal(catalogFile(getTenant("northstar")), null);
+  assert.deepEqual(getCatalog(getTenant("northstar")).universities, []);
+});
+
+test("chat: a catalog question takes the catalog route where the tenant has one", async () => {
+  assert.ok((await ask("UK scholarships", "default")).catalog.total > 0);
+  assert.ok((await ask("masters in data science in canada", "pune")).catalog.total > 0);
+});
+
+test("chat: a tenant without the intent or a catalog never answers from one", async () => {
+  // northstar answers greeting, top_universities, visa and lead only, and has no catalog file
+  for (const message of ["UK scholarships", "masters in data science in canada", "top universities for masters in canada under 60k CAD"]) {
+    const meta = await ask(message, "northstar");
+    assert.equal(meta.catalog, undefined, message);
+  }
+});
+
+test("chat: a message no intent resolves to is not a catalog search", async () => {
+  const meta = await ask("I earn 80k CAD in canada, what about data science jobs?", "default");
+  assert.equal(meta.catalog, undefined);
+});
+
+test("api: GET /api/catalog searches the caller's tenant's catalog", async () => {
+  const query = { q: "masters in data science in canada" };
+  const shared = await handleCatalog(query, { tenant: getTenant("pune") });
+  assert.equal(shared.status, 200);
+  assert.ok(shared.body.total > 0);
+  assert.deepEqual(await handleCatalog(query, { tenant: getTenant("northstar") }), { status: 404, body: { error: "no catalog for this tenant" } });
+});
@@ -0,0 +1,114 @@
+// test/conformance.test.js — the same conversations through server.js's Express routes and api/*.js on Vercel
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { handleChat } from "../lib/chat.js";
+import { handleEligibility } from "../lib/eligibility.js";
+import { expressRoute, vercelRoute } from "../lib/adapters.js";
+import { setSinks } from "../lib/outbox.js";
+import { offline, expressServer, vercelServer, postJson, postStream } from "./helpers.js";
+
+const CONVERSATIONS = {
+  greeting: ["hello", "hi again"],
+  canned: ["how do I apply for a student visa?"],
+  catalog: ["masters in data science in canada under 80k CAD"],
+  lead: ["I want to book a consultation", "Asha Rao", "asha.rao@example.com", "+91 98765 43210"],
+  cancel: ["book a consultation", "asha.rao@example.com", "cancel"],
+  model: ["what IELTS score do I need?", "what IELTS score do I need?"]
+};
+
+let servers;
+before(async () => {
+  setSinks([]);
+  servers = {
+    express: await expressServer("/api/chat", expressRoute(handleChat, { stream: true, limit: "chat" })),
+    vercel: await vercelServer(vercelRoute(handleChat, { stream: true, limit: "chat" }))
+  };
+});
+after(async () => {
+  for (const s of Object.values(servers)) await s.close();
+});
+
+/* every turn's status and body; session ids are random, so only their presence is kept */
+async function converse(url, messages) {
+  offline();
+  const turns = [];
+  let sessionId;
+  for (const message of messages) {
+    const { status, body } = await postJson(url, { message, ...(sessionId ? { sessionId } : {}) });
+    assert.ok(body.sessionId, `no sessionId for "${message}"`);
+    sessionId = body.sessionId;
+    turns.push({ status, body: { ...body, sessionId: "<session>" } });
+  }
+  return turns;
+}
+
+for (const [name, messages] of Object.entries(CONVERSATIONS)) {
+  test(`${name}: Express and Vercel reply identically`, async () => {
+    const viaExpress = await converse(`${servers.express.url}/api/chat`, messages);
+    const viaVercel = await converse(servers.vercel.url, messages);
+    assert.deepEqual(viaVercel, viaExpress);
+    for (const turn of viaExpress) assert.equal(turn.status, 200);
+  });
+}
+
+test("routes: each conversation takes the route it is meant to", async () => {
+  const last = async messages => (await converse(servers.vercel.url, messages)).map(t => t.body);
+  const [hello, repeat] = await last(CONVERSATIONS.greeting);
+  assert.equal(hello.meta.intent.intent, "greeting");
+  assert.equal(repeat.meta.intent.intent, "greeting_repeat");
+  assert.equal((await last(CONVERSATIONS.canned))[0].meta.intent.intent, "visa");
+  assert.ok((await last(CONVERSATIONS.catalog))[0].meta.catalog.total > 0);
+  const lead = await last(CONVERSATIONS.lead);
+  assert.equal(lead.at(-1).meta.lead.status, "saved");
+  const cancelled = (await last(CONVERSATIONS.cancel)).at(-1);
+  assert.equal(cancelled.meta.lead.status, "cancelled");
+  assert.doesNotMatch(cancelled.message.content, /Cancel/);
+  const [answer, again] = await last(CONVERSATIONS.model);
+  assert.equal(answer.meta.provider, "mock");
+  assert.match(answer.message.content, /IELTS 6\.5/);
+  assert.notEqual(again.message.content, answer.message.content, "a repeated model reply is replaced");
+});
+
+test("streaming: the done event matches on both entry points", async () => {
+  const done = async url => {
+    offline();
+    const events = await postStream(`${url}?stream=1`, { message: "what IELTS score do I need?" });
+    assert.ok(events.some(e => e.event === "token"));
+    const last = events.at(-1);
+    assert.equal(last.event, "done");
+    return { ...last.data, sessionId: "<session>" };
+  };
+  assert.deepEqual(await done(servers.vercel.url), await done(`${servers.express.url}/api/chat`));
+});
+
+test("errors: both entry points reject a bad body the same way", async () => {
+  offline();
+  const a = await postJson(`${servers.express.url}/api/chat`, { message: "" });
+  const b = await postJson(servers.vercel.url, { message: "" });
+  assert.equal(a.status, 400);
+  assert.deepEqual(b, a);
+});
+
+test("eligibility: both entry points check and cap the body the same way", async () => {
+  const express = await expressServer("/api/eligibility", expressRoute(handleEligibility, { limit: "eligibility" }));
+  const vercel = await vercelServer(vercelRoute(handleEligibility, { limit: "eligibility" }));
+  try {
+    const both = async body => {
+      offline();
+      const a = await postJson(`${express.url}/api/eligibility`, body);
+      const b = await postJson(vercel.url, body);
+      assert.deepEqual(b, a);
+      return a;
+    };
+    const ok = await both({ level: "masters", gpa: 8.2, ielts: 7, country: "germany" });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.shortlist.length > 0);
+    const long = await both({ level: "masters", gpa: 8.2, university: "x".repeat(201) });
+    assert.deepEqual(long, { status: 400, body: { error: "university must be at most 200 characters" } });
+    assert.equal((await both({ level: "masters", gpa: 8.2, sessionId: "not a session" })).status, 400);
+    assert.equal((await both({ level: ["masters"], gpa: 8.2 })).status, 400);
+  } finally {
+    await express.close();
+    await vercel.close();
+  }
+});
@@ -0,0 +1,123 @@
+// test/eligibility.test.js — score scales, profile parsing, the eligible/stretch/unlikely rules, cost estimates and the guided check
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCgpa, parseProfile, estimateCost, evaluate, eligibilityRules, handleEligibility } from "../lib/eligibility.js";
+import { handleChat } from "../lib/chat.js";
+import { getSessionState } from "../lib/store.js";
+import { setSinks } from "../lib/outbox.js";
+import { offline } from "./helpers.js";
+
+setSinks([]);
+
+/* program → verdict and gaps, shortlisted or closest */
+const verdicts = result => Object.fromEntries([...result.shortlist, ...result.closest].map(r => [r.program, [r.verdict, r.gaps]]));
+
+test("toCgpa: percentages, 4-point GPAs and CGPAs on one 10-point scale", () => {
+  assert.equal(toCgpa(8.2), 8.2);
+  assert.equal(toCgpa(85), 8.9, "85% / 9.5");
+  assert.equal(toCgpa(3.6), 9, "3.6 on 4 points");
+  assert.equal(toCgpa(3.6, 10), 3.6, "an explicit scale wins over the guess");
+  assert.equal(toCgpa(76, 100), 8);
+  for (const [value, scale] of [[0], [-1], ["abc"], [11, 10], [4.5, 4], [120, 100]]) assert.equal(toCgpa(value, scale), null, `${value}/${scale}`);
+});
+
+test("parseProfile: fields in one message, and bare answers to the question just asked", () => {
+  assert.deepEqual(parseProfile("I have 8.2 CGPA and IELTS 7, masters in Canada, budget 40 lakh"),
+    { level: "masters", country: "canada", budget: { amount: 4000000, currency: "INR" }, ielts: 7, gpa: 8.2 });
+  assert.deepEqual(parseProfile("toefl 100 and 78 percent"), { toefl: 100, gpa: 8.2 });
+  assert.deepEqual(parseProfile("haven't taken the test yet"), { englishPending: true });
+  assert.deepEqual(parseProfile("open to any country"), { country: "any" });
+
+  assert.deepEqual(parseProfile("7.5", { expect: "gpa" }), { gpa: 7.5 });
+  assert.deepEqual(parseProfile("82%", { expect: "gpa" }), { gpa: 8.6 });
+  assert.deepEqual(parseProfile("7", { expect: "english" }), { ielts: 7 });
+  assert.deepEqual(parseProfile("95", { expect: "english" }), { toefl: 95 });
+  assert.deepEqual(parseProfile("25000 usd", { expect: "budget" }), { budget: { amount: 25000, currency: "USD" } });
+  assert.deepEqual(parseProfile("any", { expect: "country" }), { country: "any" });
+  assert.deepEqual(parseProfile("7.5"), {}, "a bare number means nothing unless we asked for it");
+  assert.deepEqual(parseProfile("what about scholarships?", { expect: "gpa" }), {});
+});
+
+test("estimateCost: midpoint tuition and living for every year, visa fees once plus any yearly surcharge", () => {
+  const { countries } = eligibilityRules();
+  const program = { level: "masters", tuition: [20000, 30000], currency: "GBP" };
+  const uk = countries.uk;
+  assert.deepEqual(estimateCost(program, uk), {
+    currency: "GBP", years: 1, tuition: 25000, living: uk.livingPerYear, visa: uk.visaFees + uk.feesPerYear, total: 25000 + uk.livingPerYear + uk.visaFees + uk.feesPerYear
+  });
+  const canada = countries.canada;
+  assert.equal(estimateCost({ ...program, currency: "CAD" }, canada).total, 25000 * 2 + canada.livingPerYear * 2 + canada.visaFees);
+});
+
+test("evaluate: a university's own CGPA floor overrides the country's; small gaps are a stretch", () => {
+  const toronto = { level: "masters", ielts: 7, university: "utoronto", country: "canada" };
+  assert.deepEqual(verdicts(evaluate({ ...toronto, gpa: 8.2 }))["MSc Applied Computing"], ["eligible", []]);
+  assert.deepEqual(verdicts(evaluate({ ...toronto, gpa: 7.6 }))["MSc Applied Computing"], ["stretch", [{ check: "gpa", need: 8, have: 7.6 }]],
+    "7.6 clears Canada's 7.0 but not Toronto's 8.0, and is within half a point");
+  const low = evaluate({ ...toronto, gpa: 7.2 });
+  assert.equal(low.matches, 0);
+  assert.equal(low.closest[0].verdict, "unlikely", "nothing fits: the closest misses are shown instead");
+
+  const toefl = verdicts(evaluate({ level: "masters", gpa: 8.5, toefl: 90, university: "utoronto", country: "canada" }));
+  assert.deepEqual(toefl["MSc Applied Computing"], ["stretch", [{ check: "english", need: "TOEFL 93", have: "TOEFL 90" }]]);
+  assert.equal(toefl["Master of Management Analytics"], undefined, "10 TOEFL points short is not a stretch, so not shortlisted");
+  assert.deepEqual(verdicts(evaluate({ level: "masters", gpa: 8.5, englishPending: true, university: "utoronto" }))["MSc Applied Computing"],
+    ["stretch", [{ check: "englishPending" }]]);
+});
+
+test("evaluate: the budget is a whole-program total, compared in its own currency with a 15% stretch", () => {
+  const rwth = budget => evaluate({ level: "masters", gpa: 8.5, ielts: 7.5, university: "rwth", country: "germany", budget });
+  const fits = rwth({ amount: 3000000, currency: "INR" });
+  const program = fits.shortlist[0];
+  assert.equal(program.verdict, "eligible");
+  assert.equal(program.cost.currency, "EUR");
+  assert.deepEqual(program.converted, { currency: "INR", total: Math.round(program.cost.total * 102) }, "EUR at the rates file's 102 rupees");
+  const total = program.converted.total;
+  assert.equal(rwth({ amount: Math.ceil(total / 1.1), currency: "INR" }).shortlist[0].verdict, "stretch");
+  const over = rwth({ amount: Math.floor(total / 1.2), currency: "INR" });
+  assert.equal(over.matches, 0);
+  assert.equal(over.closest[0].gaps[0].check, "budget");
+  assert.equal(rwth({ amount: 30000, currency: "EUR" }).shortlist[0].converted.currency, "EUR", "costs shown in the budget's currency");
+});
+
+test("evaluate: shortlists order eligible before stretch, then cheapest first, at most five", () => {
+  const result = evaluate({ level: "masters", gpa: 8.2, ielts: 7, country: "canada" });
+  assert.ok(result.shortlist.length <= 5);
+  assert.ok(result.matches >= result.shortlist.length);
+  const totals = result.shortlist.map(r => r.converted.total);
+  assert.deepEqual(totals, [...totals].sort((a, b) => a - b));
+  assert.equal(result.ratesAsOf, "2026-10-01");
+});
+
+test("chat: the guided check asks for what is missing and keeps the result on the session", async () => {
+  offline();
+  let sessionId, body;
+  const say = async message => ({ body } = await handleChat({ message, ...(sessionId ? { sessionId } : {}) }, {}), sessionId = body.sessionId, body.message.content);
+  assert.match(await say("check my eligibility for masters in Canada"), /CGPA or percentage, IELTS\/TOEFL score .* and total budget/);
+  assert.equal((await getSessionState(sessionId)).eligibility.expect, "gpa");
+  await say("8.2");
+  await say("7");
+  const reply = await say("70 lakh");
+  assert.match(reply, /Your shortlist:\n• /);
+  assert.match(reply, /✓ likely eligible/);
+  const state = await getSessionState(sessionId);
+  assert.equal(state.eligibility.status, "done");
+  assert.deepEqual(state.eligibility.profile, { level: "masters", country: "canada", gpa: 8.2, ielts: 7, budget: { amount: 7000000, currency: "INR" } });
+  assert.ok(state.eligibility.result.shortlist.length > 0);
+});
+
+test("http: out-of-range and unknown values are refused before anything is evaluated", async () => {
+  offline();
+  const check = async body => (await handleEligibility(body, {})).body.error;
+  assert.match(await check({ level: "phd", gpa: 8 }), /level must be/);
+  assert.match(await check({ level: "masters", gpa: 11, gpaScale: 10 }), /gpa must be/);
+  assert.match(await check({ level: "masters", gpa: 8, ielts: 10 }), /ielts must be/);
+  assert.match(await check({ level: "masters", gpa: 8, budget: 100, currency: "XYZ" }), /unsupported currency XYZ/);
+  assert.match(await check({ level: "masters", gpa: 8, country: "mars" }), /country must be one of/);
+  assert.equal((await handleEligibility({ level: "masters", gpa: 8, sessionId: "nobody-1" }, {})).status, 200, "a new session id is fine");
+
+  const ok = await handleEligibility({ level: "masters", gpa: 82, gpaScale: 100, toefl: 100, budget: 60000, currency: "usd", country: "usa" }, {});
+  assert.equal(ok.status, 200);
+  assert.deepEqual(ok.body.profile, { level: "masters", gpa: 8.6, toefl: 100, budget: { amount: 60000, currency: "USD" }, country: "usa" });
+  assert.equal(ok.body.currency, "USD");
+});
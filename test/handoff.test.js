@@ -0,0 +1,110 @@
+// test/handoff.test.js — the handoff form's bot checks: honeypot, proof-of-work and CAPTCHA tokens
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { handleHandoff } from "../lib/handoff.js";
+import { handoffChallenge, leadingZeroBits } from "../lib/challenge.js";
+import { listLeads } from "../lib/store.js";
+import { setSinks } from "../lib/outbox.js";
+import { offline } from "./helpers.js";
+
+const ENV = ["HANDOFF_CHALLENGE", "POW_SECRET", "POW_DIFFICULTY", "CAPTCHA_SECRET"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+  offline();
+  setSinks([]);
+  Object.assign(process.env, { POW_SECRET: "test-secret", POW_DIFFICULTY: "8", CAPTCHA_SECRET: "captcha-secret" });
+});
+afterEach(() => {
+  for (const k of ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k];
+  globalThis.fetch = realFetch;
+});
+
+let n = 0;
+const form = extra => ({ sessionId: `handoff-${++n}`, name: "Asha Rao", email: "asha.rao@example.com", phone: "+91 98765 43210", ...extra });
+const submit = body => handleHandoff(body, { method: "POST", headers: {}, ip: "203.0.113.5" });
+const FAILED = { status: 403, body: { error: "verification failed, please try again" } };
+
+function solve(challenge, bits) {
+  for (let i = 0; ; i++) {
+    const digest = crypto.createHash("sha256").update(`${challenge}:${i}`).digest("hex");
+    if (leadingZeroBits(digest) >= bits) return String(i);
+  }
+}
+/* a challenge signed the way the server signs them, for timestamps and difficulties it would not issue */
+function forge(ts, bits) {
+  const payload = `${ts}.${bits}.0123456789abcdef`;
+  return `${payload}.${crypto.createHmac("sha256", "test-secret").update(payload).digest("hex").slice(0, 32)}`;
+}
+
+test("honeypot: a filled hidden field gets the usual answer and stores nothing", async () => {
+  const result = await submit(form({ website: "http://spam.example" }));
+  assert.equal(result.status, 200);
+  assert.equal(result.body.ok, true);
+  assert.deepEqual(await listLeads(), []);
+});
+
+test("no check configured: the form goes straight through", async () => {
+  delete process.env.HANDOFF_CHALLENGE;
+  assert.deepEqual(handoffChallenge(), { type: null });
+  assert.equal((await submit(form())).status, 200);
+  assert.equal((await listLeads()).length, 1);
+});
+
+test("pow: a solved challenge passes once", async () => {
+  process.env.HANDOFF_CHALLENGE = "pow";
+  const { type, challenge, difficulty } = handoffChallenge();
+  assert.equal(type, "pow");
+  assert.equal(difficulty, 8);
+  const pow = { challenge, nonce: solve(challenge, difficulty) };
+  assert.equal((await submit(form({ pow }))).status, 200);
+  assert.deepEqual(await submit(form({ pow })), FAILED, "a replayed solution is refused");
+  assert.equal((await listLeads()).length, 1);
+});
+
+test("pow: missing, tampered, unsolved, expired and too easy challenges are refused", async () => {
+  process.env.HANDOFF_CHALLENGE = "pow";
+  const { challenge } = handoffChallenge();
+  const nonce = solve(challenge, 8);
+  let wrong = 0;
+  while (leadingZeroBits(crypto.createHash("sha256").update(`${challenge}:x${wrong}`).digest("hex")) >= 8) wrong++;
+  const expired = forge(Date.now() - 11 * 60 * 1000, 8);
+  const easy = forge(Date.now(), 1);
+  const refused = [
+    form(),
+    form({ pow: { challenge: challenge.replace(/^\d/, d => String((Number(d) + 1) % 10)), nonce } }),
+    form({ pow: { challenge, nonce: `x${wrong}` } }),
+    form({ pow: { challenge: expired, nonce: solve(expired, 8) } }),
+    form({ pow: { challenge: easy, nonce: solve(easy, 1) } })
+  ];
+  for (const body of refused) assert.deepEqual(await submit(body), FAILED, JSON.stringify(body.pow));
+  assert.deepEqual(await listLeads(), []);
+});
+
+test("captcha: the token is checked with the provider", async () => {
+  process.env.HANDOFF_CHALLENGE = "turnstile";
+  const calls = [];
+  globalThis.fetch = async (url, opts) => {
+    calls.push({ url, form: Object.fromEntries(opts.body) });
+    return new Response(JSON.stringify({ success: opts.body.get("response") === "good-token" }), { status: 200 });
+  };
+  assert.equal(handoffChallenge().type, "turnstile");
+  assert.equal((await submit(form({ captchaToken: "good-token" }))).status, 200);
+  assert.deepEqual(calls[0].form, { secret: "captcha-secret", response: "good-token", remoteip: "203.0.113.5" });
+  assert.match(calls[0].url, /challenges\.cloudflare\.com/);
+  assert.deepEqual(await submit(form({ captchaToken: "bad-token" })), FAILED);
+  assert.deepEqual(await submit(form()), FAILED, "a missing token never reaches the provider");
+  assert.equal(calls.length, 2);
+});
+
+test("captcha: an unreachable or unconfigured verifier fails closed with 503", async () => {
+  process.env.HANDOFF_CHALLENGE = "hcaptcha";
+  const UNAVAILABLE = { status: 503, body: { error: "verification unavailable, please try again" } };
+  globalThis.fetch = async () => { throw new Error("connect ECONNREFUSED"); };
+  assert.deepEqual(await submit(form({ captchaToken: "any" })), UNAVAILABLE);
+  delete process.env.CAPTCHA_SECRET;
+  assert.deepEqual(await submit(form({ captchaToken: "any" })), UNAVAILABLE);
+  assert.deepEqual(await listLeads(), []);
+});
@@ -0,0 +1,80 @@
+// test/helpers.js — the same handler served the Express way and the Vercel way, on throwaway ports
+import http from "http";
+import path from "path";
+import express from "express";
+import bodyParser from "body-parser";
+import { fileURLToPath } from "url";
+import { setStore } from "../lib/store.js";
+import { createMemoryStore } from "../lib/storage/memory.js";
+import { setProviders } from "../lib/providers/index.js";
+import { createMockProvider } from "../lib/providers/mock.js";
+import { setLimitStore, createMemoryLimitStore } from "../lib/ratelimit.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/* a fresh in-memory store, rate-limit counters and the scripted mock model */
+export function offline() {
+  const store = createMemoryStore();
+  setStore(store);
+  setLimitStore(createMemoryLimitStore());
+  setProviders([createMockProvider({ fixture: path.resolve(ROOT, "fixtures/mock-completions.json") })]);
+  return store;
+}
+
+function listen(server) {
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(r => { server.closeAllConnections(); server.close(r); })
+  })));
+}
+
+/* mounted the way server.js mounts it: express + bodyParser.json */
+export function expressServer(routePath, handler, methods = ["post"]) {
+  const app = express();
+  app.use(bodyParser.json());
+  for (const m of methods) app[m](routePath, handler);
+  return listen(http.createServer(app));
+}
+
+/* the helpers the Vercel Node runtime adds: req.query, parsed JSON req.body, res.status().json() */
+export function vercelServer(handler) {
+  return listen(http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    req.query = Object.fromEntries(url.searchParams);
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    req.body = raw && /json/.test(req.headers["content-type"] || "") ? JSON.parse(raw) : undefined;
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.setHeader("Content-Type", "application/json; charset=utf-8"); res.end(JSON.stringify(body)); return res; };
+    await handler(req, res);
+  }));
+}
+
+export async function postJson(url, body, headers = {}) {
+  const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json", ...headers }, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+}
+
+/* SSE response as [{ event, data }] */
+export async function postStream(url, body) {
+  const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json", Accept: "text/event-stream" }, body: JSON.stringify(body) });
+  const text = await res.text();
+  return text.split("\n\n").filter(Boolean).map(frame => ({
+    event: (frame.match(/^event: (.*)$/m) || [])[1],
+    data: JSON.parse((frame.match(/^data: (.*)$/m) || [])[1])
+  }));
+}
+
+/* records every request; `reply(req, body)` picks the status code (default 200) */
+export async function stubServer(reply = () => 200) {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    let raw = "";
+    for await (const chunk of req) raw += chunk;
+    const entry = { method: req.method, url: req.url, headers: req.headers, raw, body: raw ? JSON.parse(raw) : null };
+    requests.push(entry);
+    res.statusCode = reply(entry, requests.length);
+    res.end(res.statusCode < 300 ? "ok" : "stub failure");
+  });
+  return { ...(await listen(server)), requests };
+}
@@ -0,0 +1,27 @@
+// test/intents.test.js — intent resolution must keep its scores on the labelled and held-out corpora
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { execFile } from "child_process";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+/* scripts/eval-intents.js over `corpus`; resolves to { code, out } */
+function evaluate(corpus, min) {
+  return new Promise(resolve => {
+    execFile(process.execPath, ["scripts/eval-intents.js", path.resolve(ROOT, corpus), `--min=${min}`], { cwd: ROOT, timeout: 60000 },
+      (err, stdout, stderr) => resolve({ code: err ? err.code : 0, out: stdout + stderr }));
+  });
+}
+
+test("labelled corpus: every message the phrases were written for still resolves exactly", async () => {
+  const { code, out } = await evaluate("data/intent-corpus.json", 1);
+  assert.equal(code, 0, out);
+});
+
+test("held-out corpus: paraphrases and lookalikes the phrases were not tuned on stay above the floor", async () => {
+  // 31 of 37 at the time of writing; raise the floor as phrases improve, never tune them on this file
+  const { code, out } = await evaluate("data/intent-heldout.json", 0.8);
+  assert.equal(code, 0, out);
+});
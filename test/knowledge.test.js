@@ -0,0 +1,56 @@
+// test/knowledge.test.js — retrieval over content/, per tenant, and when a saved index is used or rebuilt
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { search, buildIndex, writeIndex, getIndex, contentHash, loadChunks, CONTENT_DIR } from "../lib/knowledge.js";
+import { loadTenants, getTenant } from "../lib/tenants.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+before(() => loadTenants(path.resolve(ROOT, "data/tenants.example.json")));
+
+test("search: questions find the passage that answers them first", () => {
+  const top = q => (search(q)[0] || {}).heading;
+  assert.equal(top("is the first consultation free?"), "Is the first consultation free?");
+  assert.equal(top("help with visa application"), "Visa assistance");
+  assert.equal(top("what happens after I get an offer letter"), "4. Offer, finances and visa");
+  assert.equal(top("documents for SOP and LOR help"), "University shortlisting and applications");
+  assert.ok(search("is the first consultation free?").length <= 3, "KB_TOP_K passages at most");
+});
+
+test("search: unrelated questions and draft documents give no passages", () => {
+  assert.deepEqual(search("how do I make pasta carbonara"), []);
+  assert.deepEqual(search(""), []);
+  // offices.json is still a draft
+  assert.equal(loadChunks().some(c => c.source === "offices.json"), false);
+});
+
+test("tenants: a shared directory answers alike, a tenant without content gets nothing", () => {
+  const q = "help with visa application";
+  assert.deepEqual(search(q, { tenant: getTenant("pune") }), search(q));
+  assert.deepEqual(search(q, { tenant: getTenant("northstar") }), []);
+});
+
+test("index: the in-memory build matches the content, and a saved index is used only while it does", () => {
+  assert.equal(getIndex().contentHash, contentHash(CONTENT_DIR));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gt-kb-"));
+  try {
+    const write = (file, text) => { fs.mkdirSync(path.dirname(file), { recursive: true }); fs.writeFileSync(file, text); };
+    const current = { dir: path.join(dir, "current"), indexFile: path.join(dir, "kb-index.current.json") };
+    write(path.join(current.dir, "fees.md"), "# Fees\nCounselling is free.\n");
+    writeIndex({ ...buildIndex(current.dir), builtAt: "saved" }, current.indexFile);
+    assert.equal(getIndex(current).builtAt, "saved");
+
+    // content edited since the last ingest
+    const edited = { dir: path.join(dir, "edited"), indexFile: current.indexFile };
+    write(path.join(edited.dir, "fees.md"), "# Fees\nCounselling is free.\n\n# Visas\nWe help with visas.\n");
+    const fresh = getIndex(edited);
+    assert.notEqual(fresh.builtAt, "saved");
+    assert.deepEqual(fresh.chunks.map(c => c.heading), ["Fees", "Visas"]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,81 @@
+// test/lang.test.js — per-message language detection (en, hi, hi-Latn), locale fallbacks and the language a chat replies in
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { fileURLToPath } from "url";
+import { detectLanguage, localized, tenantLanguage, languageBlock } from "../lib/lang.js";
+import { handleChat } from "../lib/chat.js";
+import { loadTenants, getTenant } from "../lib/tenants.js";
+import { setSinks } from "../lib/outbox.js";
+import { offline } from "./helpers.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+setSinks([]);
+before(() => loadTenants(path.resolve(ROOT, "data/tenants.example.json")));
+
+test("detect: Devanagari is Hindi, even with a few English words in it", () => {
+  assert.equal(detectLanguage("कनाडा में पढ़ाई का खर्च कितना है?"), "hi");
+  assert.equal(detectLanguage("मुझे MS के लिए Canada जाना है"), "hi");
+  assert.equal(detectLanguage("Can I study in Canada? मुझे बताइए"), "en", "mostly Latin text is not");
+});
+
+test("detect: romanized Hindi is hi-Latn on two function words, or one in a short message", () => {
+  for (const text of ["mujhe Canada mein padhai karni hai", "Canada ka kharcha kitna hai?", "visa kaise milega", "kya scholarship milegi",
+    "rehne do", "namaste ji"]) {
+    assert.equal(detectLanguage(text), "hi-Latn", text);
+  }
+  for (const text of ["What are the top universities in Canada for computer science?", "Is the first consultation free?",
+    "I need a visa for Germany, can you help?", "Tell me about the Chevening scholarship"]) {
+    assert.equal(detectLanguage(text), "en", text);
+  }
+});
+
+test("detect: messages too short to tell keep the previous language", () => {
+  for (const text of ["ok", "Asha Rao", "asha.rao@example.com", "+91 98765 43210", "yes please", ""]) {
+    assert.equal(detectLanguage(text, "hi"), "hi", text);
+    assert.equal(detectLanguage(text, "hi-Latn"), "hi-Latn", text);
+    assert.equal(detectLanguage(text), "en", text);
+  }
+  assert.equal(detectLanguage("ok", "fr"), "en", "unknown languages fall back to English");
+  assert.equal(detectLanguage("What are the top universities in Canada?", "hi"), "en", "a full English sentence switches back");
+});
+
+test("strings: the locale's text, English where it has none, a tenant's own over both", () => {
+  assert.match(localized("hi", "intents.greeting.body", "Hi"), /नमस्ते/);
+  assert.equal(localized("hi", "no.such.key", "fallback"), "fallback");
+  assert.equal(localized("en", "intents.greeting.body", "Hi"), "Hi");
+  // objects merge over the English fallback, so a partial translation keeps every field
+  const merged = localized("hi", "intents.greeting", { body: "Hi", title: "Greeting" });
+  assert.equal(merged.title, "Greeting");
+  assert.match(merged.body, /नमस्ते/);
+  const pune = getTenant("pune");
+  assert.match(localized("en", "intents.greeting.body", "Hi", pune), /FC Road/);
+  assert.match(localized("hi", "intents.greeting.body", "Hi", pune), /नमस्ते/, "the tenant's English does not replace the Hindi");
+});
+
+test("tenants: a tenant that offers only some languages answers in its first", () => {
+  const northstar = getTenant("northstar");
+  assert.equal(tenantLanguage("hi", northstar), "en");
+  assert.equal(tenantLanguage("hi-Latn", getTenant("default")), "hi-Latn");
+  assert.match(languageBlock("hi-Latn"), /Hinglish/);
+  assert.equal(languageBlock("en"), "");
+});
+
+async function chat(messages, tenant) {
+  offline();
+  let sessionId;
+  const langs = [];
+  for (const message of messages) {
+    const { body } = await handleChat({ message, ...(sessionId ? { sessionId } : {}) }, tenant ? { tenant: getTenant(tenant) } : {});
+    sessionId = body.sessionId;
+    langs.push(body.meta.lang);
+  }
+  return langs;
+}
+
+test("chat: each reply follows the message's language and short replies keep the session's", async () => {
+  assert.deepEqual(await chat(["नमस्ते", "ok", "What are the top universities in Canada?"]), ["hi", "hi", "en"]);
+  assert.deepEqual(await chat(["mujhe visa ke baare mein batao", "haan"]), ["hi-Latn", "hi-Latn"]);
+  assert.deepEqual(await chat(["नमस्ते"], "northstar"), ["en"]);
+});
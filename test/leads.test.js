@@ -0,0 +1,54 @@
+// test/leads.test.js — leaving a guided flow: only a message that is itself a cancel command ends it
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { handleChat } from "../lib/chat.js";
+import { isCancel } from "../lib/leads.js";
+import { getSessionState } from "../lib/store.js";
+import { setSinks } from "../lib/outbox.js";
+import { offline } from "./helpers.js";
+
+setSinks([]);
+
+test("isCancel: the command on its own, with or without a polite word around it", () => {
+  for (const text of ["cancel", "Cancel.", "stop", "please stop", "stop it please", "skip this", "ok never mind", "nevermind!",
+    "no, thanks", "No thank you 🙏", "forget it", "don't save", "rehne do", "cancel karo", "रहने दो", "अरे रहने दो जी", "नहीं चाहिए"]) {
+    assert.equal(isCancel(text), true, text);
+  }
+});
+
+test("isCancel: a question or sentence that merely contains a cancel word is not one", () => {
+  for (const text of ["can I stop by the office?", "what if I cancel my IELTS?", "skip the GRE?", "how do I cancel my visa appointment",
+    "I want to stop working and study abroad", "is there a stopover visa?", "no", "", null]) {
+    assert.equal(isCancel(text), false, String(text));
+  }
+});
+
+async function chat(messages) {
+  offline();
+  let sessionId, body;
+  for (const message of messages) {
+    ({ body } = await handleChat({ message, ...(sessionId ? { sessionId } : {}) }, {}));
+    sessionId = body.sessionId;
+  }
+  return { meta: body.meta, state: await getSessionState(sessionId) };
+}
+
+test("lead capture: a question with a cancel word is answered and the capture carries on", async () => {
+  const { state } = await chat(["book a consultation", "asha.rao@example.com", "can I stop by the office?"]);
+  assert.equal(state.lead.status, "collecting");
+  const next = await chat(["book a consultation", "asha.rao@example.com", "what if I cancel my IELTS?", "Asha Rao", "+91 98765 43210"]);
+  assert.equal(next.meta.lead.status, "saved");
+});
+
+test("lead capture: the cancel command on its own ends it", async () => {
+  const { meta, state } = await chat(["book a consultation", "asha.rao@example.com", "no thanks"]);
+  assert.equal(meta.lead.status, "cancelled");
+  assert.deepEqual(state.lead, { status: "cancelled" });
+});
+
+test("eligibility check: the same rule applies", async () => {
+  const asked = await chat(["check my eligibility", "what if I cancel my IELTS?"]);
+  assert.equal(asked.state.eligibility.status, "collecting");
+  const cancelled = await chat(["check my eligibility", "never mind"]);
+  assert.equal(cancelled.state.eligibility.status, "cancelled");
+});
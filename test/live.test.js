@@ -0,0 +1,158 @@
+// test/live.test.js — counselor takeover: the queue, claim/message/typing/release/close and the event streams
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { expressRoute } from "../lib/adapters.js";
+import { getConversation, getLiveChat } from "../lib/store.js";
+import { offline, expressServer } from "./helpers.js";
+
+// read once when lib/live.js loads: short streams and fast polls keep the stream tests quick
+process.env.LIVE_POLL_MS = "20";
+process.env.LIVE_STREAM_MS = "2000";
+const { handleLive, handleAdminLive, requestAgent, attachedAgent } = await import("../lib/live.js");
+
+const ENV = ["ADMIN_TOKEN", "API_KEYS", "JWT_SECRET", "LIVE_CHAT"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+let store;
+beforeEach(() => {
+  for (const k of ENV) delete process.env[k];
+  process.env.API_KEYS = "k_priya:counselor:priya,k_ravi:counselor:ravi,k_ops:admin:ops,k_pune:counselor:meera:pune";
+  store = offline();
+});
+afterEach(() => { for (const k of ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k]; });
+
+const DEFAULT = { id: "default" };
+const as = (key, method, query = {}, extra = {}) => ({ method, query, headers: { authorization: `Bearer ${key}` }, ...extra });
+const act = (key, action, sessionId, body = null) => handleAdminLive(body, as(key, "POST", { action, sessionId }));
+const student = (sessionId, extra = {}) => handleLive({}, { method: "GET", query: { sessionId }, headers: {}, ...extra });
+const notices = async sessionId => (await getConversation(sessionId)).filter(e => e.live).map(e => [e.live, e.agent || null]);
+
+test("queue: a handoff waits once, and counselors see their tenants' open chats oldest first", async () => {
+  const view = await requestAgent({ sessionId: "q-1", tenant: DEFAULT });
+  assert.deepEqual(view, { status: "waiting", agent: null, typing: false, online: false });
+  await requestAgent({ sessionId: "q-1", tenant: DEFAULT });
+  assert.deepEqual(await notices("q-1"), [["waiting", null]], "asking again does not queue twice");
+  await requestAgent({ sessionId: "q-2", tenant: { id: "pune" } });
+  await requestAgent({ sessionId: "q-3", tenant: DEFAULT });
+  await act("k_priya", "claim", "q-3");
+
+  const queue = async key => (await handleAdminLive(null, as(key, "GET"))).body.chats.map(c => [c.sessionId, c.status]);
+  assert.deepEqual(await queue("k_priya"), [["q-1", "waiting"], ["q-2", "waiting"], ["q-3", "active"]]);
+  assert.deepEqual(await queue("k_pune"), [["q-2", "waiting"]]);
+  assert.deepEqual(await act("k_pune", "claim", "q-1"), { status: 404, body: { error: "no live chat for this session" } });
+
+  process.env.LIVE_CHAT = "off";
+  assert.equal(await requestAgent({ sessionId: "q-4", tenant: DEFAULT }), null);
+  assert.equal((await handleAdminLive(null, as("k_priya", "GET"))).status, 404);
+});
+
+test("claim: one counselor holds a chat; the bot stays silent while they do", async () => {
+  await requestAgent({ sessionId: "c-1", tenant: DEFAULT });
+  const claimed = await act("k_priya", "claim", "c-1");
+  assert.equal(claimed.status, 200);
+  assert.equal(claimed.body.live.status, "active");
+  assert.equal((await attachedAgent("c-1")).agent, "priya");
+  assert.deepEqual(await act("k_ravi", "claim", "c-1"), { status: 409, body: { error: "already claimed by priya" } });
+  assert.equal((await act("k_priya", "claim", "c-1")).status, 200, "claiming again is harmless");
+  assert.deepEqual(await notices("c-1"), [["waiting", null], ["joined", "priya"]]);
+  assert.equal((await act("k_priya", "dance", "c-1")).status, 400);
+  assert.equal((await act("k_priya", "claim", "bad id!")).status, 400);
+  assert.equal((await handleAdminLive(null, { method: "POST", query: { action: "claim", sessionId: "c-1" }, headers: {} })).status, 401);
+});
+
+test("message: only the attached counselor or an admin writes, and each entry names its author", async () => {
+  await requestAgent({ sessionId: "m-1", tenant: DEFAULT });
+  assert.deepEqual(await act("k_priya", "message", "m-1", { text: "hi" }), { status: 409, body: { error: "claim the chat first" } });
+  await act("k_priya", "claim", "m-1");
+  assert.deepEqual(await act("k_ravi", "message", "m-1", { text: "hi" }), { status: 409, body: { error: "claim the chat first" } });
+  assert.equal((await act("k_priya", "message", "m-1", { text: "" })).status, 400);
+  assert.equal((await act("k_priya", "message", "m-1", { text: "  Hello, I'm Priya. Mail us at info@office.example  " })).status, 200);
+  assert.equal((await act("k_ops", "message", "m-1", { text: "Stepping in while Priya is away" })).status, 200);
+  const written = (await getConversation("m-1")).filter(e => e.role === "agent").map(e => [e.agent, e.content]);
+  assert.deepEqual(written, [["priya", "Hello, I'm Priya. Mail us at info@office.example"], ["ops", "Stepping in while Priya is away"]]);
+  assert.equal((await getLiveChat("m-1")).agent, "priya", "an admin writing does not take the chat over");
+
+  const { body } = await student("m-1");
+  assert.deepEqual(body.messages.map(m => m.agent), [undefined, "priya", "priya", "ops"], "the student sees notices and counselor messages");
+});
+
+test("typing: each side sees the other typing while the chat is open", async () => {
+  await requestAgent({ sessionId: "t-1", tenant: DEFAULT });
+  assert.equal((await act("k_priya", "typing", "t-1")).status, 409);
+  await act("k_priya", "claim", "t-1");
+  assert.equal((await act("k_priya", "typing", "t-1")).status, 200);
+  assert.equal((await student("t-1")).body.live.typing, true);
+  // sending the message clears it
+  await act("k_priya", "message", "t-1", { text: "one moment" });
+  assert.equal((await student("t-1")).body.live.typing, false);
+
+  assert.deepEqual(await handleLive({ sessionId: "t-1", action: "typing" }, { method: "POST", headers: {} }), { status: 200, body: { ok: true } });
+  assert.equal((await handleAdminLive(null, as("k_priya", "GET", { sessionId: "t-1" }))).body.live.typing, true);
+  assert.equal((await handleLive({ sessionId: "t-1", action: "wave" }, { method: "POST", headers: {} })).status, 400);
+  assert.equal((await handleLive({ sessionId: "none-1", action: "typing" }, { method: "POST", headers: {} })).status, 404);
+});
+
+test("release and close: the attached counselor or an admin ends it, and the notice names who did", async () => {
+  for (const s of ["r-1", "r-2"]) { await requestAgent({ sessionId: s, tenant: DEFAULT }); await act("k_priya", "claim", s); }
+  assert.deepEqual(await act("k_ravi", "release", "r-1"), { status: 409, body: { error: "claimed by priya" } });
+  assert.equal((await act("k_priya", "release", "r-1")).body.live.status, "bot");
+  assert.equal(await attachedAgent("r-1"), null, "the bot answers again");
+  assert.deepEqual(await act("k_priya", "release", "r-1"), { status: 409, body: { error: "chat is bot" } });
+  assert.deepEqual(await act("k_priya", "claim", "r-1"), { status: 409, body: { error: "chat is bot" } });
+
+  assert.equal((await act("k_ops", "close", "r-2")).body.live.status, "closed");
+  assert.deepEqual((await notices("r-2")).at(-1), ["closed", "ops"]);
+  assert.deepEqual((await notices("r-1")).at(-1), ["returned", "priya"]);
+  assert.ok((await getLiveChat("r-2")).endedAt);
+});
+
+test("stream: the student gets counselor messages and state as they happen, until the chat closes", async () => {
+  await requestAgent({ sessionId: "s-1", tenant: DEFAULT });
+  const events = [];
+  const stream = handleLive({}, { method: "GET", query: { sessionId: "s-1", after: "1" }, headers: {}, emit: (event, data) => events.push([event, data]) });
+  await new Promise(r => setTimeout(r, 50));
+  await act("k_priya", "claim", "s-1");
+  await act("k_priya", "message", "s-1", { text: "Hello!" });
+  await act("k_priya", "close", "s-1");
+  const done = await stream;
+
+  const messages = events.filter(([e]) => e === "message").map(([, m]) => m.live || m.content);
+  assert.deepEqual(messages, ["joined", "Hello!", "closed"], "nothing before `after`, nothing the bot said");
+  const states = events.filter(([e]) => e === "state").map(([, s]) => s.status);
+  assert.equal(states[0], "waiting");
+  assert.equal(states.at(-1), "closed");
+  assert.deepEqual(done.body, { sessionId: "s-1", after: 4 });
+});
+
+test("stream: presence is written once per refresh however many streams follow a side", async () => {
+  await requestAgent({ sessionId: "p-1", tenant: DEFAULT });
+  await act("k_priya", "claim", "p-1");
+  const seenWrites = [];
+  const update = store.updateLiveChat;
+  store.updateLiveChat = async (sessionId, patch) => { if (patch.studentSeenAt) seenWrites.push(patch); return update(sessionId, patch); };
+  const abort = new AbortController();
+  const follow = () => handleLive({}, { method: "GET", query: { sessionId: "p-1" }, headers: {}, emit: () => {}, signal: abort.signal });
+  // a second and third tab open while the first is already refreshing
+  const streams = [follow()];
+  await new Promise(r => setTimeout(r, 50));
+  streams.push(follow(), follow());
+  await new Promise(r => setTimeout(r, 200));
+  assert.equal((await handleAdminLive(null, as("k_priya", "GET", { sessionId: "p-1" }))).body.live.online, true);
+  abort.abort();
+  await Promise.all(streams);
+  assert.equal(seenWrites.length, 1);
+});
+
+test("stream: over HTTP it is Server-Sent Events ending in `done`", async () => {
+  await requestAgent({ sessionId: "h-1", tenant: DEFAULT });
+  await act("k_priya", "claim", "h-1");
+  await act("k_priya", "release", "h-1");
+  const server = await expressServer("/api/live", expressRoute(handleLive, { stream: true, limit: "live" }), ["get"]);
+  try {
+    const res = await fetch(`${server.url}/api/live?sessionId=h-1&stream=1`);
+    assert.match(res.headers.get("content-type"), /text\/event-stream/);
+    const frames = (await res.text()).split("\n\n").filter(Boolean).map(f => f.match(/^event: (.*)$/m)[1]);
+    assert.deepEqual(frames, ["message", "message", "message", "state", "done"]);
+  } finally {
+    await server.close();
+  }
+});
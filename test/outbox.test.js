@@ -0,0 +1,122 @@
+// test/outbox.test.js — handoff delivery to a local stub webhook: signatures, retries and dead letters
+process.env.OUTBOX_BASE_DELAY_MS = "1";
+process.env.OUTBOX_MAX_ATTEMPTS = "3";
+process.env.HANDOFF_INLINE_MS = "2000";
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+
+const { handleHandoff } = await import("../lib/handoff.js");
+const { processOutbox, retryJob, setSinks } = await import("../lib/outbox.js");
+const { configuredSinks } = await import("../lib/sinks.js");
+const { listJobs, listLeads } = await import("../lib/store.js");
+const { expressRoute, vercelRoute } = await import("../lib/adapters.js");
+const { setLimitStore, createMemoryLimitStore } = await import("../lib/ratelimit.js");
+const { offline, expressServer, vercelServer, postJson, stubServer } = await import("./helpers.js");
+
+const SECRET = "stub-secret";
+const FORM = { sessionId: "a1b2c3d4e5f60718", name: "Asha Rao", email: "asha.rao@example.com", phone: "+91 98765 43210", note: "MS in Canada" };
+
+const open = [];
+after(async () => {
+  for (const s of open) await s.close();
+});
+
+async function webhook(reply) {
+  const stub = await stubServer(reply);
+  open.push(stub);
+  setSinks(configuredSinks({ WEBHOOK_URL: `${stub.url}/hook`, WEBHOOK_SECRET: SECRET }));
+  return stub;
+}
+const wait = ms => new Promise(r => setTimeout(r, ms));
+
+test("a handoff is saved, then delivered once with a valid signature", async () => {
+  offline();
+  const stub = await webhook();
+  const res = await handleHandoff(FORM, { method: "POST", headers: {} });
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.keys(res.body).sort(), ["live", "message", "ok"]);
+  assert.equal(stub.requests.length, 1);
+  const [req] = stub.requests;
+  const expected = crypto.createHmac("sha256", SECRET).update(`${req.headers["x-globaltree-timestamp"]}.${req.raw}`).digest("hex");
+  assert.equal(req.headers["x-globaltree-signature"], `sha256=${expected}`);
+  assert.equal(req.body.lead.email, FORM.email);
+  const [job] = await listJobs();
+  assert.equal(req.headers["idempotency-key"], job.id);
+  assert.equal(job.status, "sent");
+});
+
+test("a failing sink is retried with backoff until it succeeds", async () => {
+  offline();
+  const stub = await webhook((req, n) => (n < 3 ? 503 : 200));
+  assert.equal((await handleHandoff(FORM, { method: "POST", headers: {} })).status, 200, "the client never sees sink errors");
+  let [job] = await listJobs();
+  assert.equal(job.status, "pending");
+  assert.equal(job.attempts, 1);
+  await wait(20);
+  assert.deepEqual(await processOutbox(), { sent: 0, retry: 1, dead: 0 });
+  await wait(20);
+  assert.deepEqual(await processOutbox(), { sent: 1, retry: 0, dead: 0 });
+  [job] = await listJobs();
+  assert.equal(job.status, "sent");
+  assert.equal(job.attempts, 3);
+  assert.equal(new Set(stub.requests.map(r => r.headers["idempotency-key"])).size, 1, "every attempt carries the same key");
+});
+
+test("jobs are dead-lettered after the last attempt or a permanent 4xx, and can be requeued", async () => {
+  offline();
+  let status = 500;
+  const stub = await webhook(() => status);
+  await handleHandoff(FORM, { method: "POST", headers: {} });
+  for (let i = 0; i < 3; i++) { await wait(20); await processOutbox(); }
+  let [job] = await listJobs();
+  assert.equal(job.status, "dead");
+  assert.equal(job.attempts, 3);
+  assert.match(job.lastError, /HTTP 500/);
+  assert.equal(stub.requests.length, 3);
+
+  await retryJob(job.id);
+  status = 400;
+  assert.deepEqual(await processOutbox(), { sent: 0, retry: 0, dead: 1 });
+  [job] = await listJobs();
+  assert.equal(job.attempts, 1, "a 400 is not retried");
+
+  await retryJob(job.id);
+  status = 200;
+  assert.deepEqual(await processOutbox(), { sent: 1, retry: 0, dead: 0 });
+  assert.equal((await listLeads()).length, 1);
+});
+
+test("an unreachable sink keeps the lead and the job for later", async () => {
+  offline();
+  const stub = await webhook();
+  await stub.close();
+  open.splice(open.indexOf(stub), 1);
+  assert.equal((await handleHandoff(FORM, { method: "POST", headers: {} })).status, 200);
+  const [job] = await listJobs();
+  assert.equal(job.status, "pending");
+  assert.match(job.lastError, /request failed/);
+  assert.equal((await listLeads()).length, 1);
+});
+
+test("Express and Vercel handoffs give the same sanitized answers and share idempotency", async () => {
+  offline();
+  const stub = await webhook(() => 500);
+  const viaExpress = await expressServer("/api/handoff", expressRoute(handleHandoff, { limit: "handoff" }));
+  const viaVercel = await vercelServer(vercelRoute(handleHandoff, { methods: ["GET", "POST"], limit: "handoff" }));
+  open.push(viaExpress, viaVercel);
+  const key = { "Idempotency-Key": "form-1" };
+  const a = await postJson(`${viaExpress.url}/api/handoff`, FORM, key);
+  const b = await postJson(viaVercel.url, FORM, key);
+  assert.equal(a.status, 200);
+  assert.deepEqual(b.body.message, a.body.message);
+  assert.ok(!JSON.stringify(a.body).includes("stub failure"), "sink errors stay on the server");
+  assert.equal((await listLeads()).length, 1, "the retried submit made no second lead");
+  assert.equal(stub.requests.length, 1);
+  // the handoff limit is a few per IP; start the validation check from a clean count
+  setLimitStore(createMemoryLimitStore());
+  const bad = await postJson(viaVercel.url, { ...FORM, email: "nope" });
+  assert.deepEqual(bad, await postJson(`${viaExpress.url}/api/handoff`, { ...FORM, email: "nope" }));
+  assert.equal(bad.status, 400);
+});
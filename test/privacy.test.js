@@ -0,0 +1,112 @@
+// test/privacy.test.js — lead encryption at rest, transcript redaction and erasure of one person's data
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { encryptValue, decryptValue, encryptLead, decryptLead, isEncrypted } from "../lib/encrypt.js";
+import { redactPII } from "../lib/leads.js";
+import { handleAdminLeads, handleAdminErase } from "../lib/admin.js";
+import { saveLead, listLeads, appendConversation, getConversation, getSessionState, setSessionState, encryptStoredLeads } from "../lib/store.js";
+import { offline } from "./helpers.js";
+
+// the key is read once per process, so it is set before anything encrypts
+process.env.LEAD_ENCRYPTION_KEY = crypto.randomBytes(32).toString("hex");
+
+const ENV = ["ADMIN_TOKEN", "API_KEYS", "JWT_SECRET"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+beforeEach(() => {
+  for (const k of ENV) delete process.env[k];
+  process.env.ADMIN_TOKEN = "admin-token";
+});
+afterEach(() => { for (const k of ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k]; });
+
+const admin = (query = {}) => ({ method: "POST", query, headers: { authorization: "Bearer admin-token" } });
+
+test("encryption: contact fields round-trip and stored records never hold them in the clear", async () => {
+  const store = offline();
+  const cipher = encryptValue("asha@example.com");
+  assert.match(cipher, /^enc:v1:/);
+  assert.notEqual(encryptValue("asha@example.com"), cipher, "a fresh IV every time");
+  assert.equal(encryptValue(cipher), cipher, "already encrypted values are left alone");
+  assert.equal(decryptValue(cipher), "asha@example.com");
+  assert.equal(decryptValue("plain"), "plain", "records from before the key pass through");
+
+  const lead = encryptLead({ id: "l1", name: "Asha Rao", email: "asha@example.com", phone: "+919876543210", source: "chat" });
+  assert.ok(isEncrypted(lead));
+  assert.equal(lead.source, "chat");
+  assert.deepEqual(decryptLead(lead), { id: "l1", name: "Asha Rao", email: "asha@example.com", phone: "+919876543210", source: "chat" });
+
+  const tampered = cipher.slice(0, -2) + (cipher.endsWith("A") ? "BB" : "AA");
+  assert.throws(() => decryptValue(tampered));
+
+  await saveLead({ name: "Asha Rao", email: "asha@example.com", phone: "+919876543210" });
+  const [raw] = await store.listLeads();
+  assert.ok(isEncrypted(raw));
+  assert.doesNotMatch(JSON.stringify(raw), /asha@example\.com|9876543210/);
+  assert.equal((await listLeads())[0].email, "asha@example.com");
+});
+
+test("encryption: leads stored before the key was set are encrypted in place", async () => {
+  const store = offline();
+  await store.saveLead({ id: "old", name: "Ravi Kumar", email: "ravi@example.com", createdAt: "2024-01-01T00:00:00.000Z" });
+  assert.deepEqual(await encryptStoredLeads(), { total: 1, encrypted: 1 });
+  assert.ok(isEncrypted((await store.listLeads())[0]));
+  assert.deepEqual(await encryptStoredLeads(), { total: 1, encrypted: 0 });
+  assert.equal((await listLeads())[0].email, "ravi@example.com");
+});
+
+test("redaction: emails, phones and names go, budgets, scores and office contacts stay", () => {
+  const text = "I'm Asha Rao, mail asha@example.com or call +91 98765 43210. Budget 25,00,000 INR, IELTS 7.5, 2025 intake.";
+  assert.equal(redactPII(text, ["Asha Rao"]), "I'm [name], mail [email] or call [phone]. Budget 25,00,000 INR, IELTS 7.5, 2025 intake.");
+  assert.equal(redactPII("Asha said hi", ["Asha Rao"]), "[name] said hi", "each part of a name is replaced on its own");
+  const office = "info@office.example";
+  assert.equal(redactPII(`write to ${office} or me at me@example.com`, [], m => m === office), `write to ${office} or me at [email]`);
+});
+
+test("erasure: a lead, its transcript and session state are removed; dry runs only count", async () => {
+  offline();
+  await saveLead({ name: "Asha Rao", email: "asha@example.com", sessionId: "erase-1" });
+  await saveLead({ name: "Ravi Kumar", email: "ravi@example.com", sessionId: "erase-2" });
+  for (const s of ["erase-1", "erase-2"]) {
+    await appendConversation(s, { role: "user", content: "hello" });
+    await setSessionState(s, { lead: { status: "saved" } });
+  }
+  assert.equal((await handleAdminErase({}, admin())).status, 400);
+  assert.equal((await handleAdminErase({ email: "asha@example.com" }, { method: "POST", headers: {} })).status, 401);
+
+  const dry = await handleAdminErase({ email: " ASHA@example.com ", dryRun: true }, admin());
+  assert.deepEqual(dry.body.erased, { leads: 1, sessions: 1, jobs: 0 });
+  assert.equal((await listLeads()).length, 2);
+
+  assert.deepEqual((await handleAdminErase({ email: "asha@example.com" }, admin())).body.erased, { leads: 1, sessions: 1, jobs: 0 });
+  assert.deepEqual((await listLeads()).map(l => l.name), ["Ravi Kumar"]);
+  assert.deepEqual(await getConversation("erase-1"), []);
+  assert.equal(await getSessionState("erase-1"), null);
+  assert.equal((await getConversation("erase-2")).length, 1, "other people's data is untouched");
+});
+
+test("erasure: after a merge, the merged-away lead's session is erased too", async () => {
+  offline();
+  // the same person chatted twice, once with only a phone and once with both
+  await saveLead({ name: "Asha Rao", phone: "+91 98765 43210", sessionId: "merge-a" });
+  await saveLead({ name: "Asha Rao", email: "asha@example.com", phone: "+919876543210", sessionId: "merge-b" });
+  await saveLead({ name: "Asha Rao", email: "asha.r@example.com", phone: "98765 43210", sessionId: "merge-c" });
+  for (const s of ["merge-a", "merge-b", "merge-c"]) await appendConversation(s, { role: "user", content: "my number is +91 98765 43210" });
+
+  const merged = await handleAdminLeads({}, admin({ action: "dedupe" }));
+  assert.equal(merged.body.merged, 1);
+  const [lead] = await listLeads();
+  assert.equal(lead.sessionId, "merge-a");
+  assert.deepEqual(lead.mergedSessions.sort(), ["merge-b", "merge-c"]);
+
+  // a later manual merge keeps what the earlier one collected
+  await saveLead({ name: "A. Rao", email: "asha@example.com", sessionId: "merge-d" });
+  await appendConversation("merge-d", { role: "user", content: "hi again" });
+  const ids = (await listLeads()).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))).map(l => l.id);
+  assert.equal((await handleAdminLeads({ ids }, admin({ action: "merge" }))).status, 200);
+  assert.deepEqual((await listLeads())[0].mergedSessions.sort(), ["merge-b", "merge-c", "merge-d"]);
+
+  const erased = await handleAdminErase({ email: "asha.r@example.com" }, admin());
+  assert.deepEqual(erased.body.erased, { leads: 4, sessions: 4, jobs: 0 });
+  for (const s of ["merge-a", "merge-b", "merge-c", "merge-d"]) assert.deepEqual(await getConversation(s), [], s);
+  assert.deepEqual(await listLeads(), []);
+});
@@ -0,0 +1,89 @@
+// test/ratelimit.test.js — sliding-window limits per IP and session, and tenants' limits on top
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { checkRateLimit, hit, parseLimit, setLimitStore, createMemoryLimitStore } from "../lib/ratelimit.js";
+import { expressRoute, vercelRoute } from "../lib/adapters.js";
+import { expressServer, vercelServer, postJson } from "./helpers.js";
+
+beforeEach(() => setLimitStore(createMemoryLimitStore()));
+
+/* statuses of `n` requests made one after another */
+async function burst(n, request) {
+  const out = [];
+  for (let i = 0; i < n; i++) out.push((await checkRateLimit("chat", request(i))) ? 429 : 200);
+  return out;
+}
+
+test("tenants: cycling tenant ids does not buy an IP a fresh budget", async () => {
+  // chat allows 30 per IP per minute; every request names a different tenant
+  const statuses = await burst(31, i => ({ ip: "203.0.113.7", tenant: { id: `t${i}`, rateLimits: {} } }));
+  assert.deepEqual(statuses.slice(0, 30), Array(30).fill(200));
+  assert.equal(statuses[30], 429);
+});
+
+test("tenants: cycling tenant ids does not buy a session a fresh budget", async () => {
+  const statuses = await burst(16, i => ({ ip: `198.51.100.${i}`, sessionId: "s-1", tenant: { id: `t${i}`, rateLimits: {} } }));
+  assert.equal(statuses.indexOf(429), 15);
+});
+
+test("tenants: a tenant's own limit applies on top of the server-wide one", async () => {
+  const strict = { id: "strict", rateLimits: { chat: { ip: "2/1m" } } };
+  assert.deepEqual(await burst(3, () => ({ ip: "203.0.113.8", tenant: strict })), [200, 200, 429]);
+  // other tenants keep the server-wide budget
+  assert.equal(await checkRateLimit("chat", { ip: "203.0.113.9", tenant: { id: "other", rateLimits: {} } }), null);
+});
+
+test("tenants: a looser tenant limit cannot raise the server-wide one", async () => {
+  const loose = { id: "loose", rateLimits: { chat: { ip: "1000/1m" } } };
+  const statuses = await burst(31, () => ({ ip: "203.0.113.10", tenant: loose }));
+  assert.equal(statuses.indexOf(429), 30);
+});
+
+test("sliding window: the previous window counts in proportion to its overlap", async () => {
+  const limit = { max: 2, windowMs: 1000 };
+  const at = async now => (await hit("k", limit, now));
+  assert.equal((await at(10000)).allowed, true);
+  assert.equal((await at(10100)).allowed, true);
+  const third = await at(10200);
+  assert.equal(third.allowed, false);
+  assert.equal(third.retryAfterMs, 1000, "never less than a second");
+  // halfway through the next window the previous one still weighs 3 × 0.5
+  assert.equal((await at(11500)).allowed, false);
+  // two windows on, only the second window's two hits remain, at half weight
+  assert.equal((await at(12500)).allowed, true);
+  assert.equal((await hit("other", limit, 12500)).allowed, true, "keys are counted apart");
+});
+
+test("sliding window: parseLimit reads the RATE_LIMITS shorthand", () => {
+  assert.deepEqual(parseLimit("30/1m"), { max: 30, windowMs: 60000 });
+  assert.deepEqual(parseLimit("10/10m"), { max: 10, windowMs: 600000 });
+  assert.deepEqual(parseLimit("5/s"), { max: 5, windowMs: 1000 });
+  assert.equal(parseLimit(false), null);
+  assert.throws(() => parseLimit("lots"), /Invalid rate limit/);
+});
+
+test("429: both entry points refuse with Retry-After once a session is over its limit", async () => {
+  // handoff allows 3 per session per 10 minutes
+  const ok = async () => ({ status: 200, body: { ok: true } });
+  const servers = [
+    await expressServer("/api/handoff", expressRoute(ok, { limit: "handoff" })),
+    await vercelServer(vercelRoute(ok, { limit: "handoff" }))
+  ];
+  try {
+    for (const [i, server] of servers.entries()) {
+      const url = i === 0 ? `${server.url}/api/handoff` : server.url;
+      const sessionId = `limit-${i}`;
+      for (let n = 0; n < 3; n++) assert.equal((await postJson(url, { sessionId })).status, 200);
+      const res = await fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ sessionId }) });
+      assert.equal(res.status, 429);
+      const body = await res.json();
+      assert.equal(body.error, "Too many requests, please slow down");
+      assert.ok(body.retryAfter >= 1);
+      assert.equal(res.headers.get("retry-after"), String(body.retryAfter));
+      // another session from the same IP is still within the per-IP limit
+      assert.equal((await postJson(url, { sessionId: `${sessionId}-b` })).status, 200);
+    }
+  } finally {
+    for (const s of servers) await s.close();
+  }
+});
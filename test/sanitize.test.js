@@ -0,0 +1,135 @@
+// test/sanitize.test.js — reply guardrails: topic, specifics, pii and length rules, their actions, tenant overrides and streaming
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { sanitizeReply, createStreamSanitizer, guardrailSettings } from "../lib/sanitize.js";
+import { intentText } from "../lib/intents.js";
+import { UNVERIFIED_NOTE, TRUNCATED_SUFFIX } from "../lib/canned.js";
+import { getTenant } from "../lib/tenants.js";
+
+const tenant = getTenant("default");
+const BOOKING = intentText("lead", "body", "en", tenant);
+/* a tenant whose guardrails override the file's, rule by rule */
+const withRules = guardrails => ({ ...tenant, guardrails });
+
+function check(reply, context = {}) {
+  const report = {};
+  const text = sanitizeReply(reply, { tenant, ...context }, report);
+  return { text, fired: report.guardrails.map(g => `${g.rule}:${g.action}`) };
+}
+
+/* feed `chunks` to a stream sanitizer; what the client saw, whether it stopped and the final text */
+function stream(chunks, context = {}) {
+  const s = createStreamSanitizer({ tenant, ...context });
+  let shown = "", stopped = false;
+  for (const chunk of chunks) {
+    const step = s.push(chunk);
+    if (step.text) shown += step.text;
+    if (step.stop) { stopped = true; break; }
+  }
+  const report = {};
+  return { shown, stopped, final: s.finish(report), fired: report.guardrails.map(g => `${g.rule}:${g.action}`) };
+}
+
+const LONG = "Canada, the UK and Australia all welcome international students for masters programs. ";
+
+test("topic: medical, legal and money advice becomes the booking prompt; study-abroad wording passes", () => {
+  const medical = check("For those symptoms take the medication at the usual dosage and ask a doctor about treatment.");
+  assert.deepEqual(medical, { text: BOOKING, fired: ["topic:blocked"] });
+  assert.deepEqual(check("Invest in stocks and mutual funds and keep crypto in your portfolio.").fired, ["topic:blocked"]);
+  const visa = check("For the visa you need a medical exam with an approved doctor and proof of funds.", { question: "student visa medical exam" });
+  assert.deepEqual(visa.fired, [], "visa medicals and financial proof are on topic");
+});
+
+test("specifics: fees, deadlines and links nobody gave are removed with a note; sourced ones stay", () => {
+  const unsourced = check("The University of Toronto charges CAD 61,720 per year. Apply early.\nThe deadline is 15 January.");
+  assert.equal(unsourced.text, `Apply early.${UNVERIFIED_NOTE}`);
+  assert.deepEqual(unsourced.fired, ["specifics:removed"]);
+
+  const passages = [{ heading: "Toronto", text: "International tuition: CAD 61,720. Applications close 15 January." }];
+  assert.deepEqual(check("Tuition is CAD 61,720 per year and applications close on January 15th.", { passages }).fired, []);
+  assert.deepEqual(check("With a budget of INR 25 lakh, Germany works well.", { question: "my budget is 25 lakh" }).fired, [], "the student's own figures may be repeated");
+
+  const link = check("See https://apply.example.net/form for details. Visas take about 4 weeks.");
+  assert.equal(link.text, `Visas take about 4 weeks.${UNVERIFIED_NOTE}`);
+  const list = check("Top picks:\n- Toronto, CAD 61,720\n- UBC\n- McGill");
+  assert.equal(list.text, `Top picks:\n- UBC\n- McGill${UNVERIFIED_NOTE}`, "list items go whole");
+  assert.deepEqual(check("Tuition is USD 90,000.").text, BOOKING, "nothing left means the booking prompt");
+});
+
+test("pii: emails and phone numbers are redacted unless they are our own published ones", () => {
+  assert.deepEqual(check("Email me at someone@gmail.com or call +91 98765 43210."), { text: "Email me at [email] or call [phone].", fired: ["pii:redacted"] });
+  const passages = [{ heading: "Contact", text: "Write to admissions@globaltree.example or call +91 20 1234 5678." }];
+  assert.deepEqual(check("Write to admissions@globaltree.example or call +91 20 1234 5678.", { passages }).fired, []);
+  assert.deepEqual(check("An IELTS of 7.5 and a budget of 2500000 are fine.").fired, [], "scores and budgets are not phones");
+});
+
+test("length: long replies end at a sentence and long lists after maxListItems, with the booking line", () => {
+  const long = check("Intro:\n" + LONG.repeat(12));
+  assert.deepEqual(long.fired, ["length:truncated"]);
+  const body = long.text.slice(0, -TRUNCATED_SUFFIX.length);
+  assert.ok(long.text.endsWith(TRUNCATED_SUFFIX));
+  assert.ok(body.length <= 700);
+  assert.match(body, /students for masters programs\.$/, "cut at a sentence boundary");
+
+  const items = Array.from({ length: 9 }, (_, i) => `- University ${i + 1}`).join("\n");
+  const list = check(items);
+  assert.equal(list.text, Array.from({ length: 6 }, (_, i) => `- University ${i + 1}`).join("\n") + TRUNCATED_SUFFIX);
+
+  const heading = check("## Overview\n" + "x".repeat(800));
+  assert.equal(heading.text.startsWith("## Overview"), false, "a heading whose content was cut goes too");
+  assert.equal(check("Short and sweet.").text, "Short and sweet.");
+});
+
+test("actions: report lists findings and leaves the reply alone; block replaces it; disabled rules do nothing", () => {
+  const reply = "Tuition is CAD 61,720. Mail someone@gmail.com about the symptoms, medication, dosage and treatment.";
+  const reportAll = withRules({ topic: { action: "report" }, specifics: { action: "report" }, pii: { action: "report" }, length: { action: "report", maxChars: 20 } });
+  const reported = check(reply, { tenant: reportAll });
+  assert.equal(reported.text, reply);
+  assert.deepEqual(reported.fired, ["topic:reported", "specifics:reported", "pii:reported", "length:reported"]);
+
+  assert.deepEqual(check("Tuition is CAD 61,720.", { tenant: withRules({ specifics: { action: "block" } }) }), { text: BOOKING, fired: ["specifics:blocked"] });
+  const off = withRules({ topic: { enabled: false }, specifics: { enabled: false }, pii: { enabled: false }, length: { enabled: false } });
+  assert.deepEqual(check(reply, { tenant: off }), { text: reply, fired: [] });
+});
+
+test("tenant overrides: fields merge over the file's rule by rule", () => {
+  const own = withRules({ length: { maxChars: 100 }, specifics: { allowedHosts: ["ucas.com"] } });
+  const settings = guardrailSettings(own);
+  assert.deepEqual(settings.length, { ...guardrailSettings().length, maxChars: 100 });
+  assert.equal(settings.specifics.action, "remove", "unset fields keep the file's value");
+  assert.deepEqual(check("Apply through https://www.ucas.com/undergraduate before you book a visa appointment.", { tenant: own }).fired, []);
+  assert.deepEqual(check(LONG.repeat(2), { tenant: own }).fired, ["length:truncated"]);
+  assert.deepEqual(check(LONG.repeat(2)).fired, [], "other tenants keep 700 characters");
+});
+
+test("stream: clean text passes word by word and ends as sanitizeReply would", () => {
+  const chunks = ["Canada is ", "a popular choice for ", "masters students."];
+  const out = stream(chunks);
+  assert.equal(out.stopped, false);
+  assert.equal(out.shown, "Canada is a popular choice for masters ");
+  assert.equal(out.final, "Canada is a popular choice for masters students.");
+});
+
+test("stream: an email or phone split across chunks never reaches the client", () => {
+  const out = stream(["You can write to some", "one@gm", "ail.com or call +91 987", "65 43210 any time."]);
+  assert.equal(out.shown, "You can write to ");
+  assert.doesNotMatch(out.shown, /someone|gmail|98765/);
+  assert.equal(out.final, "You can write to [email] or call [phone] any time.");
+  assert.deepEqual(out.fired, ["pii:redacted"]);
+});
+
+test("stream: running past maxChars or maxListItems stops or holds the rest back", () => {
+  const long = stream(Array(12).fill(LONG));
+  assert.equal(long.stopped, true);
+  assert.ok(long.shown.length <= 700);
+  assert.ok(long.final.endsWith(TRUNCATED_SUFFIX));
+
+  const items = stream(Array.from({ length: 9 }, (_, i) => `- University ${i + 1}\n`));
+  assert.equal(items.stopped, false);
+  assert.doesNotMatch(items.shown, /University 7/);
+  assert.equal(items.final, Array.from({ length: 6 }, (_, i) => `- University ${i + 1}`).join("\n") + TRUNCATED_SUFFIX);
+
+  const blocked = stream(["For the symptoms ", "take medication ", "at the right dosage ", "and see a doctor."]);
+  assert.equal(blocked.stopped, true);
+  assert.equal(blocked.final, BOOKING);
+});
@@ -0,0 +1,113 @@
+// test/session.test.js — session ids, idle expiry, tenants and closed transcripts, and the rolling summary
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { openSession, sessionHistory, sessionTurns, isValidSessionId, summaryBlock } from "../lib/session.js";
+import { getSessionState } from "../lib/store.js";
+import { setProviders } from "../lib/providers/index.js";
+import { offline } from "./helpers.js";
+
+const ENV = ["SESSION_TTL_MS", "HISTORY_TOKEN_BUDGET"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+let store;
+beforeEach(() => { store = offline(); });
+afterEach(() => { for (const k of ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k]; });
+
+const ago = ms => new Date(Date.now() - ms).toISOString();
+/* entries straight into the store, with the timestamps and tenants given */
+async function record(sessionId, entries) {
+  for (const e of entries) await store.appendConversation({ sessionId, ts: new Date().toISOString(), tenant: "default", ...e });
+}
+
+/* a model that answers summary requests and remembers every prompt */
+function summarizer() {
+  const prompts = [];
+  setProviders([{ name: "summarizer", async reply(history, message) { prompts.push(message); return `summary #${prompts.length}`; } }]);
+  return prompts;
+}
+
+test("ids: only short word-character ids are accepted", () => {
+  assert.equal(isValidSessionId("a1b2c3d4e5f6a7b8"), true);
+  assert.equal(isValidSessionId("widget-session_1"), true);
+  for (const id of ["", "../etc", "a b", "x".repeat(65), 42, null]) assert.equal(isValidSessionId(id), false, String(id));
+});
+
+test("open: unknown ids start fresh, known ones resume until idle past SESSION_TTL_MS", async () => {
+  process.env.SESSION_TTL_MS = String(60 * 60 * 1000);
+  const none = await openSession(null);
+  assert.equal(none.created, true);
+  assert.match(none.sessionId, /^[0-9a-f]{16}$/);
+  assert.deepEqual(await openSession("new-one"), { sessionId: "new-one", expired: false, created: true });
+
+  await record("recent", [{ role: "user", content: "hi", ts: ago(59 * 60 * 1000) }]);
+  assert.deepEqual(await openSession("recent"), { sessionId: "recent", expired: false, created: false });
+
+  await record("stale", [{ role: "user", content: "hi", ts: ago(61 * 60 * 1000) }]);
+  const stale = await openSession("stale");
+  assert.equal(stale.expired, true);
+  assert.notEqual(stale.sessionId, "stale");
+});
+
+test("open: another tenant's session or a closed transcript is never resumed", async () => {
+  await record("pune-1", [{ role: "user", content: "hi", tenant: "pune" }]);
+  assert.notEqual((await openSession("pune-1", "default")).sessionId, "pune-1");
+  assert.equal((await openSession("pune-1", "pune")).sessionId, "pune-1");
+
+  await record("closed-1", [{ role: "user", content: "hi" }, { role: "system", live: "closed", content: "This conversation has been closed" }]);
+  const reopened = await openSession("closed-1");
+  assert.notEqual(reopened.sessionId, "closed-1");
+  assert.equal(reopened.expired, false);
+});
+
+test("turns: user, assistant and counselor messages, the counselor's as the assistant's", async () => {
+  await record("turns-1", [
+    { role: "user", content: "hi" }, { role: "assistant", content: "Hello!" },
+    { role: "system", content: "Lead captured" }, { role: "agent", agent: "priya", content: "Priya here" }
+  ]);
+  assert.deepEqual((await sessionTurns("turns-1")).map(t => [t.role, t.content]), [["user", "hi"], ["assistant", "Hello!"], ["assistant", "Priya here"]]);
+});
+
+test("history: within the budget every earlier turn goes to the model as it was", async () => {
+  const prompts = summarizer();
+  await record("short", [{ role: "user", content: "hi" }, { role: "assistant", content: "Hello!" }, { role: "user", content: "visa?" }]);
+  const { history, summary } = await sessionHistory("short", {});
+  assert.deepEqual(history, [{ role: "user", content: "hi" }, { role: "assistant", content: "Hello!" }], "the message being answered is left out");
+  assert.equal(summary, "");
+  assert.equal(prompts.length, 0);
+});
+
+test("history: older turns past the budget fold into a summary that rolls forward", async () => {
+  process.env.HISTORY_TOKEN_BUDGET = "100";
+  const prompts = summarizer();
+  const turn = (i, role) => ({ role, content: `${role} turn ${i} `.padEnd(80, "x") }); // 24 tokens each
+  await record("long", Array.from({ length: 8 }, (_, i) => turn(i, i % 2 ? "assistant" : "user")));
+
+  const state = {};
+  const first = await sessionHistory("long", state);
+  assert.equal(first.summary, "summary #1");
+  assert.equal(first.history[0].role, "user", "verbatim history opens on a user turn");
+  assert.ok(first.history.length >= 1 && first.history.length < 7);
+  assert.deepEqual(await getSessionState("long"), state, "the summary is kept with the session");
+  assert.equal(state.memory.through + first.history.length, 7);
+  assert.match(prompts[0], /Student: user turn 0/);
+
+  // later turns: the next summary builds on the last one instead of re-reading everything
+  await record("long", Array.from({ length: 4 }, (_, i) => turn(8 + i, i % 2 ? "user" : "assistant")));
+  const second = await sessionHistory("long", state);
+  assert.equal(second.summary, "summary #2");
+  assert.match(prompts[1], /Earlier summary: summary #1/);
+  assert.doesNotMatch(prompts[1], /user turn 0/);
+  assert.equal(state.memory.through + second.history.length, 11);
+});
+
+test("history: when summarizing fails the old turns are dropped for this request only", async () => {
+  process.env.HISTORY_TOKEN_BUDGET = "100";
+  setProviders([{ name: "down", async reply() { throw new Error("model unavailable"); } }]);
+  await record("failing", Array.from({ length: 8 }, (_, i) => ({ role: i % 2 ? "assistant" : "user", content: "y".repeat(80) })));
+  const state = {};
+  const { history, summary } = await sessionHistory("failing", state);
+  assert.ok(history.length < 7);
+  assert.equal(summary, "");
+  assert.equal(state.memory, undefined, "nothing is saved, so the next request tries again");
+  assert.equal(summaryBlock(""), "");
+  assert.match(summaryBlock("asked about visas"), /Summary of the earlier conversation.*\nasked about visas/s);
+});
@@ -0,0 +1,63 @@
+// test/storage.test.js — the file backend's JSONL logs: compaction of session state and live chats, per-session reads
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import { createFileStore } from "../lib/storage/file.js";
+
+async function tempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "gt-store-"));
+  try { await fn(dir); } finally { await fs.rm(dir, { recursive: true, force: true }); }
+}
+const lines = async file => (await fs.readFile(file, "utf8")).trim().split("\n").length;
+
+test("sessions.jsonl: superseded states are compacted away as the log grows", () => tempDir(async dir => {
+  const store = createFileStore({ dir, compactAt: 20 });
+  for (let turn = 1; turn <= 30; turn++) {
+    for (const s of ["a", "b"]) await store.setSessionState(s, { turn, session: s });
+  }
+  // 60 writes for two sessions: rewritten at 20 records (to 2), again at 20, 20 ...
+  assert.ok(await lines(path.join(dir, "sessions.jsonl")) < 20);
+  assert.deepEqual(await store.getSessionState("a"), { turn: 30, session: "a" });
+  assert.deepEqual(await store.getSessionState("b"), { turn: 30, session: "b" });
+  // another process with its own mirror reads the rewritten file
+  const other = createFileStore({ dir });
+  assert.deepEqual(await other.getSessionState("a"), { turn: 30, session: "a" });
+}));
+
+test("live.jsonl: patches fold into one record per chat when compacted", () => tempDir(async dir => {
+  const store = createFileStore({ dir, compactAt: 10 });
+  await store.updateLiveChat("s1", { status: "waiting", tenant: "default", agent: null });
+  await store.updateLiveChat("s1", { status: "active", agent: "priya" });
+  await store.updateLiveChat("s2", { status: "waiting", tenant: "pune" });
+  for (let i = 0; i < 25; i++) await store.updateLiveChat("s1", { agentSeenAt: `2025-01-01T00:00:${String(i).padStart(2, "0")}.000Z` });
+  assert.ok(await lines(path.join(dir, "live.jsonl")) < 10);
+  assert.deepEqual(await store.getLiveChat("s1"), { sessionId: "s1", status: "active", tenant: "default", agent: "priya", agentSeenAt: "2025-01-01T00:00:24.000Z" });
+  assert.deepEqual((await store.listLiveChats()).map(l => l.sessionId), ["s1", "s2"]);
+  await store.eraseSessions(["s1"]);
+  assert.equal(await store.getLiveChat("s1"), null);
+  assert.equal((await createFileStore({ dir }).getLiveChat("s2")).tenant, "pune");
+}));
+
+test("below the threshold the logs stay append-only", () => tempDir(async dir => {
+  const store = createFileStore({ dir });
+  for (let i = 0; i < 5; i++) await store.setSessionState("a", { turn: i });
+  assert.equal(await lines(path.join(dir, "sessions.jsonl")), 5);
+  assert.deepEqual(await store.getSessionState("a"), { turn: 4 });
+}));
+
+test("conversations: per-session reads see other processes' appends and erasure", () => tempDir(async dir => {
+  const store = createFileStore({ dir });
+  const other = createFileStore({ dir });
+  await store.appendConversation({ sessionId: "a", role: "user", content: "hi" });
+  await store.appendConversation({ sessionId: "b", role: "user", content: "hello" });
+  assert.equal((await store.getConversation("a")).length, 1);
+  await other.appendConversation({ sessionId: "a", role: "assistant", content: "Hi! How can I help?" });
+  assert.deepEqual((await store.getConversation("a")).map(e => e.role), ["user", "assistant"]);
+  assert.equal(await store.getLastAssistantReply("a"), "Hi! How can I help?");
+  await other.eraseSessions(["a"]);
+  assert.deepEqual(await store.getConversation("a"), []);
+  assert.equal(await store.getLastAssistantReply("a"), null);
+  assert.equal((await store.getConversation("b"))[0].content, "hello");
+}));
@@ -0,0 +1,105 @@
+// test/tenants.test.js — tenant settings from the file, which tenant a request runs as, and origin checks for widget ids
+import { test, before, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { loadTenants, getTenant, resolveTenant, tenantText, adminScope } from "../lib/tenants.js";
+import { expressRoute, vercelRoute } from "../lib/adapters.js";
+import { expressServer, vercelServer, postJson, offline } from "./helpers.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const ENV = ["ADMIN_TOKEN", "API_KEYS", "JWT_SECRET", "NORTHSTAR_WEBHOOK_SECRET"];
+const saved = Object.fromEntries(ENV.map(k => [k, process.env[k]]));
+beforeEach(() => {
+  for (const k of ENV) delete process.env[k];
+  process.env.API_KEYS = "k_ops:admin:ops, k_meera:counselor:meera:pune, k_ghost:counselor:ghost:nowhere";
+});
+afterEach(() => { for (const k of ENV) if (saved[k] === undefined) delete process.env[k]; else process.env[k] = saved[k]; });
+
+before(() => loadTenants(path.resolve(ROOT, "data/tenants.example.json")));
+
+const request = (headers = {}, query = {}) => ({ headers, query });
+const resolved = ctx => { const { tenant, error } = resolveTenant(ctx); return tenant ? tenant.id : error; };
+
+test("settings: tenants inherit the default's, keep their own and read $NAME values from the environment", () => {
+  process.env.NORTHSTAR_WEBHOOK_SECRET = "s3cret";
+  loadTenants(path.resolve(ROOT, "data/tenants.example.json"));
+  const northstar = getTenant("northstar");
+  assert.equal(northstar.name, "NorthStar Education");
+  assert.deepEqual(northstar.languages, ["en"]);
+  assert.equal(northstar.sinks.WEBHOOK_SECRET, "s3cret");
+  assert.equal(northstar.knowledge, null, "content and catalogs are not inherited");
+  assert.deepEqual(getTenant("pune").contactWindow, getTenant("default").contactWindow, "unset fields come from the default tenant");
+  assert.equal(getTenant("nowhere"), null);
+  assert.equal(getTenant().id, "default");
+
+  assert.equal(tenantText(getTenant("pune"), "hi", "{brand} {contactWindow}"), "GlobalTree Pune 24 घंटे के भीतर");
+  assert.equal(tenantText(northstar, "hi", "{contactWindow}"), "within 2 working days", "English when the language has none");
+});
+
+test("settings: bad ids, unknown languages and a missing TENANTS_FILE are refused at load", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gt-tenants-"));
+  const file = path.join(dir, "tenants.json");
+  const load = tenants => { fs.writeFileSync(file, JSON.stringify({ tenants })); return loadTenants(file); };
+  try {
+    assert.throws(() => load({ "bad id": {} }), /tenant id "bad id"/);
+    assert.throws(() => load({ acme: { languages: ["fr"] } }), /languages must be some of/);
+    assert.throws(() => load({ acme: { languages: [] } }), /languages must be some of/);
+    assert.deepEqual([...load({ acme: { name: "Acme" } }).keys()], ["default", "acme"]);
+    process.env.TENANTS_FILE = path.join(dir, "missing.json");
+    try { assert.throws(() => loadTenants(), /TENANTS_FILE .* not found/); } finally { delete process.env.TENANTS_FILE; }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    loadTenants(path.resolve(ROOT, "data/tenants.example.json"));
+  }
+});
+
+test("resolve: the widget id from the header or query, its extra ids, and default without one", () => {
+  assert.equal(resolved(request()), "default");
+  assert.equal(resolved(request({ "x-tenant-id": "pune" })), "pune");
+  assert.equal(resolved(request({ "x-tenant-id": "gt-pune-web" })), "pune", "a further widget id");
+  assert.equal(resolved(request({}, { tenant: "northstar" })), "northstar");
+  assert.equal(resolved(request({ "x-tenant-id": " default " })), "default");
+  assert.deepEqual(resolved(request({ "x-tenant-id": "acme" })), { status: 400, body: { error: "unknown tenant" } });
+});
+
+test("resolve: a widget id used from a site the tenant does not list is refused", () => {
+  const pune = "https://pune.globaltree.example";
+  assert.equal(resolved(request({ "x-tenant-id": "pune", origin: pune })), "pune");
+  assert.equal(resolved(request({ "x-tenant-id": "pune" })), "pune", "no Origin header (server-side callers) is allowed");
+  assert.deepEqual(resolved(request({ "x-tenant-id": "gt-pune-web", origin: "https://evil.example" })), { status: 403, body: { error: "origin not allowed for this tenant" } });
+  assert.equal(resolved(request({ "x-tenant-id": "northstar", origin: "https://evil.example" })), "northstar", "tenants without origins allow any site");
+});
+
+test("resolve: a tenant-bound credential decides outright; an unbound one may pick any tenant", () => {
+  const key = (k, extra = {}) => request({ authorization: `Bearer ${k}`, ...extra });
+  assert.equal(resolved(key("k_meera", { "x-tenant-id": "northstar" })), "pune", "the credential's tenant, whatever the widget id says");
+  assert.deepEqual(resolved(key("k_ghost")), { status: 403, body: { error: "credential bound to unknown tenant nowhere" } });
+  assert.equal(resolved(key("k_ops", { "x-tenant-id": "pune", origin: "https://ops.example" })), "pune", "an authenticated caller is not origin-checked");
+
+  assert.equal(adminScope({ user: { tenant: "pune" }, query: { tenant: "northstar" } }), "pune");
+  assert.equal(adminScope({ user: { tenant: null }, query: { tenant: "northstar" } }), "northstar");
+  assert.equal(adminScope({ user: { tenant: null }, query: {} }), null);
+});
+
+test("adapters: both entry points resolve the tenant before the handler runs", async () => {
+  offline();
+  const seen = [];
+  const handler = async (input, ctx) => { seen.push(ctx.tenant.id); return { status: 200, body: { tenant: ctx.tenant.id } }; };
+  const servers = { express: await expressServer("/api/echo", expressRoute(handler)), vercel: await vercelServer(vercelRoute(handler)) };
+  try {
+    for (const [name, s] of Object.entries(servers)) {
+      const url = name === "express" ? `${s.url}/api/echo` : `${s.url}/api/echo?tenant=pune`;
+      const headers = name === "express" ? { "X-Tenant-Id": "gt-pune-web" } : {};
+      assert.deepEqual(await postJson(url, {}, { ...headers, Origin: "https://pune.globaltree.example" }), { status: 200, body: { tenant: "pune" } }, name);
+      assert.deepEqual(await postJson(url, {}, { ...headers, Origin: "https://evil.example" }), { status: 403, body: { error: "origin not allowed for this tenant" } }, name);
+      assert.equal((await postJson(`${s.url}/api/echo?tenant=acme`, {})).status, 400, name);
+    }
+    assert.deepEqual(seen, ["pune", "pune"], "refused requests never reach the handler");
+  } finally {
+    for (const s of Object.values(servers)) await s.close();
+  }
+});
@@ -0,0 +1,92 @@
+// test/validate.test.js — body schemas, the 400s they produce and server.js's body size limit
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { validateBody } from "../lib/validate.js";
+import { handleChat } from "../lib/chat.js";
+import { handleHandoff } from "../lib/handoff.js";
+import { setSinks } from "../lib/outbox.js";
+import { offline } from "./helpers.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+const SCHEMA = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 5 },
+  age: { type: "number", min: 0, max: 120 },
+  lang: { type: "string", enum: ["en", "hi"] },
+  email: { type: "string", format: "email" },
+  tags: { type: "array", maxItems: 2, items: { type: "string", maxLength: 3 } },
+  pow: { type: "object", fields: { nonce: { type: "string", required: true } } }
+};
+
+test("validateBody: the first problem comes back as a readable message", () => {
+  assert.equal(validateBody(SCHEMA, { name: "Asha" }), null);
+  assert.equal(validateBody(SCHEMA, "name=Asha"), "request body must be a JSON object");
+  assert.equal(validateBody(SCHEMA, [{ name: "Asha" }]), "request body must be a JSON object");
+  assert.equal(validateBody(SCHEMA, {}), "name is required");
+  assert.equal(validateBody(SCHEMA, { name: "  " }), "name is required");
+  assert.equal(validateBody(SCHEMA, { name: "Ashaaa" }), "name must be at most 5 characters");
+  assert.equal(validateBody(SCHEMA, { name: 5 }), "name must be a string");
+  assert.equal(validateBody(SCHEMA, { name: "A", age: "30" }), "age must be a number");
+  assert.equal(validateBody(SCHEMA, { name: "A", age: 130 }), "age must be at most 120");
+  assert.equal(validateBody(SCHEMA, { name: "A", lang: "fr" }), "lang must be one of en, hi");
+  assert.equal(validateBody(SCHEMA, { name: "A", email: "not-an-email" }), "email must be a valid email address");
+  assert.equal(validateBody(SCHEMA, { name: "A", tags: "x" }), "tags must be an array");
+  assert.equal(validateBody(SCHEMA, { name: "A", tags: ["a", "b", "c"] }), "tags must have at most 2 entries");
+  assert.equal(validateBody(SCHEMA, { name: "A", tags: ["a", "long"] }), "tags[1] must be at most 3 characters");
+  assert.equal(validateBody(SCHEMA, { name: "A", pow: {} }), "pow.nonce is required");
+  assert.equal(validateBody(SCHEMA, { name: "A", age: null, extra: { anything: true } }), null, "null and unknown fields are ignored");
+});
+
+test("chat: oversized and mistyped bodies are refused with 400", async () => {
+  offline();
+  const refused = async body => (await handleChat(body, {})).body.error;
+  assert.equal(await refused({ message: "x".repeat(2001) }), "message must be at most 2000 characters");
+  assert.equal(await refused({ message: 42 }), "message must be a string");
+  assert.equal(await refused({ message: "hi", sessionId: "../../etc/passwd" }), "sessionId is not a valid session id");
+  assert.equal(await refused({ messages: Array(51).fill({ role: "user", content: "hi" }) }), "messages must have at most 50 entries");
+  assert.equal(await refused({ messages: [{ role: "system", content: "hi" }] }), "messages[0].role must be one of user, assistant");
+});
+
+test("handoff: oversized and mistyped bodies are refused with 400", async () => {
+  offline();
+  setSinks([]);
+  const valid = { sessionId: "validate-1", name: "Asha Rao", email: "asha.rao@example.com", phone: "+91 98765 43210" };
+  const refused = async body => {
+    const result = await handleHandoff(body, { method: "POST", headers: {} });
+    assert.equal(result.status, 400);
+    return result.body.error;
+  };
+  assert.equal(await refused({ ...valid, name: "A".repeat(101) }), "name must be at most 100 characters");
+  assert.equal(await refused({ ...valid, note: "n".repeat(1001) }), "note must be at most 1000 characters");
+  assert.equal(await refused({ ...valid, phone: "call me" }), "phone must be a valid phone number");
+  assert.equal(await refused({ ...valid, email: ["asha.rao@example.com"] }), "email must be a string");
+  assert.equal(await refused({ ...valid, pow: "solved" }), "pow must be an object");
+});
+
+test("server.js: bodies over BODY_LIMIT get 413 and broken JSON 400, in the API's error shape", async () => {
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: { ...process.env, PORT: String(port), BODY_LIMIT: "1kb", STORAGE_BACKEND: "memory", MODEL_PROVIDER: "mock", TENANTS_FILE: "" },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("server.js did not start")), 10000);
+      child.stdout.on("data", chunk => { if (/listening on port/.test(chunk)) { clearTimeout(timer); resolve(); } });
+      child.on("exit", code => { clearTimeout(timer); reject(new Error(`server.js exited with ${code}`)); });
+    });
+    const post = raw => fetch(`http://127.0.0.1:${port}/api/chat`, { method: "POST", headers: { "Content-Type": "application/json" }, body: raw });
+    const big = await post(JSON.stringify({ message: "x".repeat(2000) }));
+    assert.equal(big.status, 413);
+    assert.deepEqual(await big.json(), { error: "request body too large" });
+    const broken = await post("{\"message\": ");
+    assert.equal(broken.status, 400);
+    assert.deepEqual(await broken.json(), { error: "request body must be valid JSON" });
+  } finally {
+    child.kill();
+  }
+});
@@ -0,0 +1,696 @@
+// widget.js — GlobalTree chat widget, embeddable on any site with one tag:
+//
+//   <script src="https://<host>/widget.js" async
+//           data-color="#0f172a" data-accent="#f97316" data-theme="light" data-position="right"
+//           data-lang="en" data-greeting="Hi! Ask me anything about studying abroad."
+//           data-chips="Top universities|Scholarships|Visa process" data-open="false"></script>
+//
+//   data-api       API origin (default: where this script was loaded from)
+//   data-tenant    public tenant id of a branch or partner (data/tenants.json); set data-title,
+//                  data-launcher and data-greeting too for a white-label look
+//   data-color / data-accent / data-font / data-theme (light | dark)   look and feel
+//   data-position  right (default) | left;   data-offset   distance from the corner in px (default 24)
+//   data-lang      en | hi | hi-Latn — first UI language; afterwards it follows the conversation
+//   data-title / data-subtitle / data-launcher / data-greeting   header, button and first message text
+//   data-chips     quick replies under the greeting, separated by "|" ("" hides them)
+//   data-open      "true" opens the panel on load
+//
+// The same options (and onOpen/onClose/onMessage/onLead/onLive/onError callbacks) can be set on
+// window.GlobalTreeChatConfig before the script loads. Everything renders in a Shadow DOM, so host
+// page styles and ids never clash. The session lives in localStorage and is shared by every tab.
+//
+// After a handoff the conversation waits for a counselor; once one joins, their messages arrive
+// live (/api/live) and the bot stays quiet until they hand the chat back or close it.
+//
+// JS API: window.GlobalTreeChat.open() / close() / toggle() / sendMessage(text) / showLeadForm() /
+// setLanguage(lang) / reset() / on(event, fn) -> unsubscribe / off(event, fn)
+// Events: open, close, message { role, content, meta }, lead { source: "chat" | "form", sessionId },
+// live { status: waiting | active | bot | closed, agent }, error { message } — also dispatched on
+// window as "globaltree:<event>" CustomEvents.
+(function () {
+  "use strict";
+  if (window.GlobalTreeChat && window.GlobalTreeChat.version) return; // loaded twice
+
+  const script = document.currentScript;
+  const config = Object.assign({}, (script && script.dataset) || {}, window.GlobalTreeChatConfig || {});
+  const API_BASE = String(config.api || (script && script.src ? new URL(script.src, location.href).origin : "")).replace(/\/$/, "");
+  const TENANT = config.tenant ? String(config.tenant) : "";
+  // sent with every API call so the server answers as this tenant
+  const TENANT_HEADERS = TENANT ? { "X-Tenant-Id": TENANT } : {};
+
+  /* ---------- UI STRINGS (the server reports the conversation language in meta.lang) ---------- */
+  const UI = {
+    en: {
+      title: "GlobalTree — Study abroad guidance", subtitle: "Expert advice on admissions, visas & scholarships", launcher: "GlobalTree", close: "Close",
+      placeholder: "Ask about programs, fees, visas...", send: "Send", contact: "Contact",
+      welcome: "👋 Namaste — I'm GlobalTree's assistant. How can I help with your study-abroad question?",
+      quick: ["Top universities", "Scholarships", "Visa process", "Book consultation"],
+      promptTitle: "Looks like you want help getting started.", promptBody: "To book a free consultation, please share your name, email and phone when prompted.", promptButton: "Book a free consult",
+      formTitle: "Book a free consultation", name: "Full name", email: "Email", phone: "Phone number", skip: "Skip", submit: "Request callback",
+      formMissing: "⚠️ Please enter name, email, and phone to request callback.", formDone: "Thanks — we've requested a counselor to contact you.",
+      formFailed: "⚠️ Couldn't submit request. Please try again later.", formVerify: "⚠️ Please complete the verification first.", formBusy: "⚠️ Too many requests — please wait a minute and try again.", error: "⚠️ Error: ", noResponse: "(No response)", duplicate: "I've already shared that. Want to book a consultation?",
+      liveWaiting: "Waiting for a counselor to join…", liveJoined: "{agent} joined the chat", liveReturned: "You're back with the assistant.", liveClosed: "This conversation has been closed.",
+      liveTyping: "{agent} is typing…", liveOnline: "{agent} · online", liveAway: "{agent} · away"
+    },
+    hi: {
+      title: "GlobalTree — विदेश में पढ़ाई का मार्गदर्शन", subtitle: "एडमिशन, वीज़ा और छात्रवृत्ति पर विशेषज्ञ सलाह", launcher: "GlobalTree", close: "बंद करें",
+      placeholder: "प्रोग्राम, फ़ीस, वीज़ा के बारे में पूछें...", send: "भेजें", contact: "संपर्क",
+      welcome: "👋 नमस्ते — मैं GlobalTree का असिस्टेंट हूँ। विदेश में पढ़ाई से जुड़े आपके सवाल में कैसे मदद करूँ?",
+      quick: ["टॉप यूनिवर्सिटी", "छात्रवृत्ति", "वीज़ा प्रक्रिया", "कंसल्टेशन बुक करें"],
+      promptTitle: "लगता है आप शुरुआत करने में मदद चाहते हैं।", promptBody: "मुफ़्त कंसल्टेशन बुक करने के लिए पूछे जाने पर अपना नाम, ईमेल और फ़ोन बताएँ।", promptButton: "मुफ़्त कंसल्टेशन बुक करें",
+      formTitle: "मुफ़्त कंसल्टेशन बुक करें", name: "पूरा नाम", email: "ईमेल", phone: "फ़ोन नंबर", skip: "छोड़ें", submit: "कॉलबैक माँगें",
+      formMissing: "⚠️ कॉलबैक के लिए कृपया नाम, ईमेल और फ़ोन भरें।", formDone: "धन्यवाद — काउंसलर जल्द आपसे संपर्क करेंगे।",
+      formFailed: "⚠️ अनुरोध नहीं भेजा जा सका। कृपया बाद में फिर कोशिश करें।", formVerify: "⚠️ कृपया पहले वेरिफ़िकेशन पूरा करें।", formBusy: "⚠️ बहुत सारे अनुरोध — कृपया एक मिनट बाद फिर कोशिश करें।", error: "⚠️ त्रुटि: ", noResponse: "(कोई जवाब नहीं)", duplicate: "यह जानकारी पहले ही दी जा चुकी है। कंसल्टेशन बुक करना चाहेंगे?",
+      liveWaiting: "काउंसलर के जुड़ने का इंतज़ार है…", liveJoined: "{agent} चैट में जुड़ गए", liveReturned: "अब आप फिर से असिस्टेंट से बात कर रहे हैं।", liveClosed: "यह बातचीत बंद कर दी गई है।",
+      liveTyping: "{agent} लिख रहे हैं…", liveOnline: "{agent} · ऑनलाइन", liveAway: "{agent} · दूर"
+    },
+    "hi-Latn": {
+      title: "GlobalTree — Study abroad guidance", subtitle: "Admissions, visa aur scholarship par expert salaah", launcher: "GlobalTree", close: "Band karo",
+      placeholder: "Programs, fees, visa ke baare mein poochiye...", send: "Bhejo", contact: "Contact",
+      welcome: "👋 Namaste — main GlobalTree ka assistant hoon. Study abroad ke aapke sawaal mein kaise madad karoon?",
+      quick: ["Top universities batao", "Scholarship chahiye", "Visa kaise milega", "Consultation book karo"],
+      promptTitle: "Lagta hai aap shuru karne mein madad chahte hain.", promptBody: "Free consultation book karne ke liye poochhne par apna naam, email aur phone share kijiye.", promptButton: "Free consult book karo",
+      formTitle: "Free consultation book kijiye", name: "Poora naam", email: "Email", phone: "Phone number", skip: "Skip", submit: "Callback chahiye",
+      formMissing: "⚠️ Callback ke liye naam, email aur phone bhariye.", formDone: "Thanks — counselor jaldi aapse contact karenge.",
+      formFailed: "⚠️ Request nahi ja payi. Thodi der baad try kijiye.", formVerify: "⚠️ Pehle verification poora kijiye.", formBusy: "⚠️ Bahut saari requests — ek minute baad try kijiye.", error: "⚠️ Error: ", noResponse: "(Koi jawab nahi)", duplicate: "Yeh pehle hi bataya ja chuka hai. Consultation book karna chahenge?",
+      liveWaiting: "Counselor ke judne ka intezaar hai…", liveJoined: "{agent} chat mein jud gaye", liveReturned: "Ab aap phir se assistant se baat kar rahe hain.", liveClosed: "Yeh baatcheet band kar di gayi hai.",
+      liveTyping: "{agent} likh rahe hain…", liveOnline: "{agent} · online", liveAway: "{agent} · away"
+    }
+  };
+  // configured copy replaces the built-in text in every language
+  const OVERRIDES = { title: config.title, subtitle: config.subtitle, launcher: config.launcher, welcome: config.greeting };
+  function t(key) {
+    if (OVERRIDES[key] != null && OVERRIDES[key] !== "") return OVERRIDES[key];
+    return (UI[state.lang] || UI.en)[key];
+  }
+  function chips() {
+    if (config.chips == null) return t("quick");
+    if (Array.isArray(config.chips)) return config.chips;
+    return String(config.chips).split("|").map(s => s.trim()).filter(Boolean);
+  }
+
+  /* ---------- SESSION (localStorage, shared by all tabs of the host site) ---------- */
+  const STORAGE_KEY = TENANT ? "gt_widget:" + TENANT : "gt_widget"; // two tenants' widgets on one site keep apart
+  const SESSION_TTL_MS = 2 * 60 * 60 * 1000; // the server starts a new session after the same idle time
+  const HISTORY_MAX = 40;
+
+  function loadState() {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null"); } catch (e) { saved = null; }
+    if (!saved || Date.now() - (saved.updatedAt || 0) > SESSION_TTL_MS) saved = {};
+    return {
+      sessionId: saved.sessionId || null,
+      lang: UI[saved.lang] ? saved.lang : UI[config.lang] ? config.lang : "en",
+      leadPromptShown: !!saved.leadPromptShown,
+      history: Array.isArray(saved.history) ? saved.history : [],
+      // live counselor chat: { status, agent } and the last message id seen (see LIVE CHAT)
+      live: saved.live || null,
+      liveAfter: saved.liveAfter || 0,
+      updatedAt: saved.updatedAt || 0
+    };
+  }
+  let state = loadState();
+
+  function saveState() {
+    state.updatedAt = Date.now();
+    state.history = state.history.slice(-HISTORY_MAX);
+    try { localStorage.setItem(STORAGE_KEY, JSON.stringify(state)); } catch (e) { /* private mode or quota: keep it in memory */ }
+  }
+
+  /* ---------- EVENTS ---------- */
+  const listeners = {};
+  const CALLBACKS = { open: "onOpen", close: "onClose", message: "onMessage", lead: "onLead", live: "onLive", error: "onError" };
+  function emit(event, detail) {
+    const fns = (listeners[event] || []).slice();
+    if (typeof config[CALLBACKS[event]] === "function") fns.unshift(config[CALLBACKS[event]]);
+    for (const fn of fns) {
+      try { fn(detail); } catch (e) { console.error("GlobalTree widget: " + event + " listener failed", e); }
+    }
+    window.dispatchEvent(new CustomEvent("globaltree:" + event, { detail }));
+  }
+
+  /* ---------- DOM ---------- */
+  const CSS = `
+    :host { all: initial; --gt-primary: #0f172a; --gt-accent: #f97316; --gt-bg: #fff; --gt-surface: #f8fafc; --gt-text: #0f172a; --gt-muted: #6b7280; --gt-border: #e6eef8; --gt-user: #eef2ff; --gt-offset: 24px;
+      font-family: Inter, system-ui, -apple-system, "Segoe UI", Roboto, Arial; }
+    :host([data-theme="dark"]) { --gt-bg: #0f172a; --gt-surface: #1e293b; --gt-text: #e2e8f0; --gt-muted: #94a3b8; --gt-border: #334155; --gt-user: #312e81; }
+    * { box-sizing: border-box; font-family: inherit; }
+    .toggle { position:fixed; right:var(--gt-offset); bottom:var(--gt-offset); z-index:2147483000; background:var(--gt-primary); color:#fff; border-radius:999px; padding:12px 16px; cursor:pointer; box-shadow:0 8px 20px rgba(0,0,0,0.12); border:none; font-size:14px; }
+    .panel { position:fixed; right:var(--gt-offset); bottom:calc(var(--gt-offset) + 56px); width:380px; max-width:calc(100vw - 16px); background:var(--gt-bg); color:var(--gt-text); border-radius:12px; box-shadow:0 10px 30px rgba(2,6,23,0.12); display:none; flex-direction:column; overflow:hidden; z-index:2147483000; font-size:14px; }
+    :host([data-position="left"]) .toggle, :host([data-position="left"]) .panel { right:auto; left:var(--gt-offset); }
+    .panel.open { display:flex; }
+    .header { padding:12px 14px; font-weight:700; border-bottom:1px solid var(--gt-border); display:flex; align-items:center; justify-content:space-between; gap:8px; }
+    .subtitle { font-size:12px; color:var(--gt-muted); font-weight:400; }
+    .close { border:none; background:transparent; cursor:pointer; color:var(--gt-text); font-size:16px; }
+    .body { padding:12px; height:360px; max-height:calc(100vh - 200px); overflow:auto; background:var(--gt-bg); }
+    .footer { padding:10px; border-top:1px solid var(--gt-border); display:flex; gap:8px; align-items:center; }
+    .input { flex:1; min-width:0; padding:8px 10px; border-radius:10px; border:1px solid var(--gt-border); background:var(--gt-bg); color:var(--gt-text); outline:none; font-size:14px; }
+    .send { padding:8px 12px; border-radius:10px; border:none; background:var(--gt-primary); color:#fff; cursor:pointer; }
+    .send:disabled { opacity:.6; cursor:default; }
+    .contact-btn { padding:8px 10px; border-radius:8px; border:1px solid var(--gt-border); background:var(--gt-bg); color:var(--gt-text); cursor:pointer; }
+    .msg { margin-bottom:10px; padding:8px 12px; border-radius:10px; max-width:85%; line-height:1.3; width:fit-content; white-space:pre-wrap; }
+    .user { background:var(--gt-user); margin-left:auto; text-align:right; }
+    .bot { background:var(--gt-surface); margin-right:auto; text-align:left; }
+    .agent { background:var(--gt-surface); margin-right:auto; text-align:left; border-left:3px solid var(--gt-accent); }
+    .agent-name { display:block; font-size:11px; font-weight:600; color:var(--gt-muted); margin-bottom:2px; }
+    .notice { margin:0 auto 10px; font-size:12px; color:var(--gt-muted); text-align:center; }
+    .live-status { display:none; padding:6px 14px; font-size:12px; color:var(--gt-muted); border-bottom:1px solid var(--gt-border); background:var(--gt-surface); }
+    .live-status.on { display:block; }
+    .live-status .dot { display:inline-block; width:8px; height:8px; border-radius:50%; background:#cbd5e1; margin-right:6px; }
+    .live-status .dot.online { background:#22c55e; }
+    .quick { margin:-4px 0 10px; display:flex; gap:6px; flex-wrap:wrap; }
+    .quick button { padding:6px 8px; border-radius:8px; border:1px solid var(--gt-border); background:var(--gt-bg); color:var(--gt-text); cursor:pointer; font-size:13px; }
+    .typing span { display:inline-block; width:6px; height:6px; margin:0 2px; border-radius:50%; background:#cbd5e1; animation: blink 1s infinite; }
+    .typing span:nth-child(2) { animation-delay: .2s } .typing span:nth-child(3) { animation-delay: .4s }
+    @keyframes blink { 0% { opacity:.2 } 50% { opacity:1 } 100% { opacity:.2 } }
+    .lead-prompt { padding:10px; background:#fff7ed; color:#0f172a; border-left:4px solid var(--gt-accent); border-radius:8px; margin-bottom:10px; }
+    .lead-prompt div { margin-bottom:6px; }
+    .contact { padding:8px 10px; border-radius:8px; border:none; background:var(--gt-accent); color:#fff; cursor:pointer; }
+    ul.bullets { margin:6px 0; padding-left:18px; white-space:normal; }
+    ul.bullets li { margin-bottom:6px; }
+    .form { position:absolute; left:16px; right:16px; bottom:72px; background:var(--gt-bg); border:1px solid var(--gt-border); border-radius:12px; padding:12px; box-shadow:0 6px 20px rgba(0,0,0,0.12); }
+    .form-title { font-weight:700; margin-bottom:8px; }
+    .form input { width:100%; padding:8px; margin-bottom:8px; border-radius:8px; border:1px solid var(--gt-border); background:var(--gt-bg); color:var(--gt-text); }
+    .form input.trap { position:absolute; left:-9999px; width:1px; height:1px; opacity:0; }
+    .form-actions { display:flex; gap:8px; justify-content:flex-end; margin-top:8px; }
+    .form-actions button { padding:8px 12px; border-radius:8px; border:none; cursor:pointer; }
+    .skip { background:var(--gt-surface); color:var(--gt-text); }
+    .submit { background:var(--gt-primary); color:#fff; }
+  `;
+
+  const host = document.createElement("div");
+  host.setAttribute("data-globaltree-widget", "");
+  host.setAttribute("data-position", config.position === "left" ? "left" : "right");
+  host.setAttribute("data-theme", config.theme === "dark" ? "dark" : "light");
+  if (config.color) host.style.setProperty("--gt-primary", config.color);
+  if (config.accent) host.style.setProperty("--gt-accent", config.accent);
+  if (config.font) host.style.setProperty("font-family", config.font);
+  if (Number(config.offset) >= 0 && config.offset !== "") host.style.setProperty("--gt-offset", Number(config.offset) + "px");
+  const root = host.attachShadow({ mode: "open" });
+
+  function h(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text != null) node.textContent = text;
+    return node;
+  }
+
+  const style = h("style");
+  style.textContent = CSS;
+  const el = { toggle: h("button", "toggle"), panel: h("div", "panel"), title: h("div"), subtitle: h("div", "subtitle"), close: h("button", "close", "✕"),
+    liveStatus: h("div", "live-status"), body: h("div", "body"), footer: h("div", "footer"), contact: h("button", "contact-btn"), input: h("input", "input"), send: h("button", "send") };
+  el.panel.setAttribute("role", "dialog");
+  el.body.setAttribute("aria-live", "polite");
+  const header = h("div", "header");
+  const heading = h("div");
+  heading.append(el.title, el.subtitle);
+  header.append(heading, el.close);
+  el.footer.append(el.contact, el.input, el.send);
+  el.panel.append(header, el.liveStatus, el.body, el.footer);
+  root.append(style, el.toggle, el.panel);
+
+  function applyLang(next) {
+    if (!UI[next]) return;
+    state.lang = next;
+    el.toggle.textContent = t("launcher");
+    el.title.textContent = t("title");
+    el.subtitle.textContent = t("subtitle");
+    el.panel.setAttribute("aria-label", t("title"));
+    el.close.setAttribute("aria-label", t("close"));
+    el.input.placeholder = t("placeholder");
+    el.send.textContent = t("send");
+    el.contact.textContent = t("contact");
+  }
+
+  /* ---------- MESSAGES ---------- */
+  function scrollDown() { el.body.scrollTop = el.body.scrollHeight; }
+
+  function renderBulletText(container, text) {
+    const lines = text.split("\n").map(s => s.trim()).filter(Boolean);
+    const bullets = lines.filter(l => l.startsWith("•") || l.startsWith("-"));
+    if (!bullets.length) return false;
+    const ul = h("ul", "bullets");
+    bullets.forEach(b => ul.appendChild(h("li", null, b.replace(/^•\s?|- /, "").trim())));
+    container.appendChild(ul);
+    lines.filter(l => !l.startsWith("•") && !l.startsWith("-")).forEach(o => container.appendChild(h("div", null, o)));
+    return true;
+  }
+
+  // `persist` keeps the message in the shared history so other tabs and reloads show it;
+  // role is user | assistant | agent (a counselor, `extra.agent` names them) | notice
+  function addMsg(role, text, persist = true, extra = {}) {
+    const div = role === "notice" ? h("div", "notice") : h("div", "msg " + (role === "user" ? "user" : role === "agent" ? "agent" : "bot"));
+    if (role === "agent" && extra.agent) div.appendChild(h("span", "agent-name", extra.agent));
+    if (!renderBulletText(div, text)) div.appendChild(document.createTextNode(text));
+    el.body.appendChild(div);
+    if (persist) {
+      state.history.push({ role, content: text, ...(extra.agent ? { agent: extra.agent } : {}), ...(extra.liveId ? { liveId: extra.liveId } : {}) });
+      saveState();
+    }
+    scrollDown();
+    return div;
+  }
+
+  function addQuickReplies() {
+    const list = chips();
+    if (!list.length) return;
+    const wrap = h("div", "quick");
+    list.forEach(q => {
+      const b = h("button", null, q);
+      b.addEventListener("click", () => { wrap.remove(); sendMessage(q); });
+      wrap.appendChild(b);
+    });
+    el.body.appendChild(wrap);
+  }
+
+  function addTyping() {
+    const div = h("div", "msg bot");
+    const dots = h("div", "typing");
+    dots.append(h("span"), h("span"), h("span"));
+    div.appendChild(dots);
+    el.body.appendChild(div);
+    scrollDown();
+    return div;
+  }
+
+  // greeting, then the stored conversation; chips only until the visitor has said something
+  function renderHistory() {
+    el.body.textContent = "";
+    const greeting = h("div", "msg bot", t("welcome"));
+    el.body.appendChild(greeting);
+    if (!state.history.some(m => m.role === "user")) addQuickReplies();
+    for (const m of state.history) addMsg(m.role, m.content, false, m);
+    scrollDown();
+  }
+
+  function addLeadPrompt() {
+    const prompt = h("div", "lead-prompt");
+    prompt.append(h("strong", null, t("promptTitle")), h("div", null, t("promptBody")));
+    const btn = h("button", "contact", t("promptButton"));
+    btn.addEventListener("click", showLeadForm);
+    prompt.appendChild(btn);
+    el.body.appendChild(prompt);
+    scrollDown();
+  }
+
+  /* ---------- API ---------- */
+  // reads an SSE response: onEvent(event, data) for each event, resolves to the final `done` body;
+  // a plain JSON answer (errors, or a server that does not stream) resolves to that body
+  async function readEvents(res, onEvent) {
+    if (!(res.headers.get("Content-Type") || "").includes("text/event-stream")) {
+      const json = await res.json();
+      if (!res.ok) throw Object.assign(new Error(json.error || "HTTP " + res.status), { status: res.status });
+      return json;
+    }
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buf = "", final = null;
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buf += decoder.decode(value, { stream: true });
+      let idx;
+      while ((idx = buf.indexOf("\n\n")) !== -1) {
+        const frame = buf.slice(0, idx);
+        buf = buf.slice(idx + 2);
+        const event = (frame.match(/^event: (.*)$/m) || [])[1];
+        const data = (frame.match(/^data: (.*)$/m) || [])[1];
+        if (!data) continue;
+        const json = JSON.parse(data);
+        if (event === "done") final = json;
+        else if (event === "error") throw new Error(json.error || "Stream error");
+        else onEvent(event, json);
+      }
+    }
+    if (!final) throw new Error("Connection closed before the reply finished");
+    return final;
+  }
+
+  // streams over SSE: onToken gets each chunk, the resolved value is the final `done` body
+  async function sendToAPI(payload, onToken) {
+    const res = await fetch(`${API_BASE}/api/chat?stream=1`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...TENANT_HEADERS },
+      body: JSON.stringify(payload)
+    });
+    return readEvents(res, (event, json) => { if (event === "token") onToken(json.text); });
+  }
+
+  /* ---------- LIVE CHAT (a counselor took over after the handoff; GET /api/live streams their side) ---------- */
+  const LIVE_OPEN = ["waiting", "active"];
+  const fillAgent = (key, agent) => t(key).replace("{agent}", agent || "");
+  let following = false;
+  let typingSentAt = 0;
+
+  function renderLiveStatus(view) {
+    const live = state.live;
+    el.liveStatus.textContent = "";
+    el.liveStatus.classList.toggle("on", !!live && LIVE_OPEN.includes(live.status));
+    if (!live || !LIVE_OPEN.includes(live.status)) return;
+    if (live.status === "waiting") { el.liveStatus.textContent = t("liveWaiting"); return; }
+    const dot = h("span", "dot" + (view && view.online ? " online" : ""));
+    const key = view && view.typing ? "liveTyping" : view && view.online ? "liveOnline" : "liveAway";
+    el.liveStatus.append(dot, document.createTextNode(fillAgent(key, live.agent)));
+  }
+
+  // status from a reply, the handoff answer or the stream; starts following while a counselor is (to be) attached
+  function setLive(view) {
+    if (!view) return;
+    const changed = !state.live || state.live.status !== view.status || state.live.agent !== view.agent;
+    state.live = { status: view.status, agent: view.agent || null };
+    if (view.status === "closed") {
+      // the server starts a new session with the next message
+      state.sessionId = null;
+      state.leadPromptShown = false;
+      state.liveAfter = 0;
+    }
+    saveState();
+    renderLiveStatus(view);
+    if (changed) emit("live", { status: view.status, agent: view.agent || null });
+    if (LIVE_OPEN.includes(view.status)) followLive();
+  }
+
+  const NOTICES = { joined: "liveJoined", returned: "liveReturned", closed: "liveClosed" };
+  function onLiveMessage(m) {
+    if (m.id <= state.liveAfter) return;
+    state.liveAfter = m.id;
+    // another tab may have shown it already (the history is shared)
+    if (state.history.some(x => x.liveId === m.id)) { saveState(); return; }
+    if (m.role === "agent") {
+      addMsg("agent", m.content, true, { agent: m.agent, liveId: m.id });
+      emit("message", { role: "agent", content: m.content, agent: m.agent });
+    } else if (NOTICES[m.live]) {
+      addMsg("notice", fillAgent(NOTICES[m.live], m.agent || (state.live && state.live.agent)), true, { liveId: m.id });
+    } else saveState();
+  }
+
+  // one stream at a time per tab; it reconnects until the chat is handed back or closed
+  async function followLive() {
+    if (following) return;
+    following = true;
+    let delay = 1000;
+    try {
+      while (state.sessionId && state.live && LIVE_OPEN.includes(state.live.status)) {
+        const sessionId = state.sessionId;
+        try {
+          const res = await fetch(`${API_BASE}/api/live?stream=1&sessionId=${encodeURIComponent(sessionId)}&after=${state.liveAfter}`, { headers: TENANT_HEADERS });
+          const done = await readEvents(res, (event, data) => {
+            if (state.sessionId !== sessionId) return;
+            if (event === "message") onLiveMessage(data);
+            else if (event === "state") setLive(data);
+          });
+          if (done.after > state.liveAfter && state.sessionId === sessionId) { state.liveAfter = done.after; saveState(); }
+          delay = 1000;
+        } catch (e) {
+          // the session is gone (expired, erased): nothing left to follow
+          if (e.status === 404 || e.status === 400) { state.live = null; saveState(); renderLiveStatus(); break; }
+          await new Promise(r => setTimeout(r, delay));
+          delay = Math.min(delay * 2, 30000);
+        }
+      }
+    } finally {
+      following = false;
+    }
+  }
+
+  // at most one typing ping every 3s, and only while a counselor is attached
+  function sendTyping() {
+    if (!state.live || state.live.status !== "active" || !state.sessionId || Date.now() - typingSentAt < 3000) return;
+    typingSentAt = Date.now();
+    fetch(`${API_BASE}/api/live`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...TENANT_HEADERS },
+      body: JSON.stringify({ sessionId: state.sessionId, action: "typing" })
+    }).catch(() => {});
+  }
+
+  let isLoading = false;
+
+  // resolves to the reply body ({ message, meta, sessionId }), or null when nothing was sent
+  async function sendMessage(text) {
+    text = String(text == null ? "" : text).trim();
+    if (!text || isLoading) return null;
+    if (!isOpen()) open();
+    isLoading = true;
+    el.send.disabled = true;
+    const quick = el.body.querySelector(".quick");
+    if (quick) quick.remove();
+
+    addMsg("user", text);
+    emit("message", { role: "user", content: text });
+    const loading = addTyping();
+
+    try {
+      // the server keeps the conversation; only the new message goes up
+      const payload = state.sessionId ? { message: text, sessionId: state.sessionId } : { message: text };
+      let draft = "";
+      const response = await sendToAPI(payload, chunk => {
+        draft += chunk;
+        loading.textContent = draft;
+        scrollDown();
+      });
+      const { message, meta = {}, sessionId: returnedSession } = response;
+      if (returnedSession && returnedSession !== state.sessionId) state.sessionId = returnedSession;
+      if (meta.lang && meta.lang !== state.lang) applyLang(meta.lang);
+
+      loading.remove();
+      if (meta.live) setLive(meta.live);
+      // a counselor is attached: the bot stays silent and their answer arrives over /api/live
+      if (!message && meta.live && meta.live.status === "active") {
+        saveState();
+        return response;
+      }
+      const incoming = (message && message.content) ? message.content.trim() : "";
+      const lastAssist = state.history.filter(m => m.role === "assistant").pop();
+      // prevent duplicate assistant message in UI
+      addMsg("assistant", lastAssist && incoming && lastAssist.content.trim() === incoming ? t("duplicate") : incoming || t("noResponse"));
+      emit("message", { role: "assistant", content: incoming, meta });
+
+      if (meta.lead && meta.lead.status === "saved") {
+        // details already captured in the chat: no need to offer the form
+        state.leadPromptShown = true;
+        emit("lead", { source: "chat", sessionId: state.sessionId });
+      }
+      // show lead prompt only once per session
+      if (meta.leadSuggested && !state.leadPromptShown) {
+        addLeadPrompt();
+        state.leadPromptShown = true;
+      }
+      saveState();
+      return response;
+    } catch (e) {
+      console.error(e);
+      loading.remove();
+      addMsg("assistant", t("error") + e.message, false);
+      emit("error", { message: e.message });
+      return null;
+    } finally {
+      isLoading = false;
+      el.send.disabled = false;
+    }
+  }
+
+  /* ---------- HANDOFF BOT CHECK (GET /api/handoff says which, if any) ---------- */
+  const CAPTCHA_SCRIPTS = {
+    turnstile: ["https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit", () => window.turnstile],
+    hcaptcha: ["https://js.hcaptcha.com/1/api.js?render=explicit", () => window.hcaptcha],
+    recaptcha: ["https://www.google.com/recaptcha/api.js?render=explicit", () => window.grecaptcha]
+  };
+
+  // find a nonce so sha256(challenge + ":" + nonce) starts with `difficulty` zero bits
+  async function solvePow(challenge, difficulty) {
+    const enc = new TextEncoder();
+    for (let nonce = 0; ; nonce++) {
+      const bytes = new Uint8Array(await crypto.subtle.digest("SHA-256", enc.encode(challenge + ":" + nonce)));
+      let bits = 0;
+      for (const b of bytes) { if (b === 0) { bits += 8; continue; } bits += Math.clz32(b) - 24; break; }
+      if (bits >= difficulty) return String(nonce);
+    }
+  }
+
+  function loadCaptcha(type) {
+    const [src, api] = CAPTCHA_SCRIPTS[type];
+    if (!document.querySelector(`script[src="${src}"]`)) {
+      const s = document.createElement("script");
+      s.src = src; s.async = true;
+      document.head.appendChild(s);
+    }
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      (function poll() {
+        if (api() && api().render) return resolve(api());
+        if (Date.now() - started > 10000) return reject(new Error("captcha failed to load"));
+        setTimeout(poll, 100);
+      })();
+    });
+  }
+
+  // resolves to a function giving the extra body fields ({ pow } / { captchaToken }), or null while the captcha is unsolved
+  async function prepareHandoffCheck(slot) {
+    const res = await fetch(`${API_BASE}/api/handoff`, { headers: TENANT_HEADERS });
+    const { challenge } = await res.json();
+    if (!challenge || !challenge.type) return () => ({});
+    if (challenge.type === "pow") {
+      // solved in the background while the student types
+      const solving = solvePow(challenge.challenge, challenge.difficulty).then(nonce => ({ pow: { challenge: challenge.challenge, nonce } }));
+      return () => solving;
+    }
+    // captcha libraries do not render inside a shadow root: their box lives in the host's light DOM,
+    // projected into the form through a <slot>
+    const container = document.createElement("div");
+    container.slot = slot.name;
+    host.appendChild(container);
+    let token = null;
+    const api = await loadCaptcha(challenge.type);
+    api.render(container, { sitekey: challenge.siteKey, callback: v => { token = v; } });
+    return () => (token ? { captchaToken: token } : null);
+  }
+
+  function showLeadForm() {
+    if (!isOpen()) open();
+    if (root.querySelector(".form")) return;
+    const form = h("div", "form");
+    const field = (placeholder, type) => {
+      const input = h("input");
+      input.placeholder = placeholder;
+      input.type = type;
+      return input;
+    };
+    const name = field(t("name"), "text"), email = field(t("email"), "email"), phone = field(t("phone"), "tel");
+    const website = field("", "text");
+    website.className = "trap";
+    website.name = "website";
+    website.tabIndex = -1;
+    website.autocomplete = "off";
+    website.setAttribute("aria-hidden", "true");
+    const slot = h("slot");
+    slot.name = "gt-check";
+    const actions = h("div", "form-actions");
+    const skip = h("button", "skip", t("skip")), submit = h("button", "submit", t("submit"));
+    actions.append(skip, submit);
+    form.append(h("div", "form-title", t("formTitle")), name, email, phone, website, slot, actions);
+    el.panel.appendChild(form);
+    name.focus();
+
+    function closeForm() {
+      form.remove();
+      for (const node of host.querySelectorAll('[slot="gt-check"]')) node.remove();
+    }
+    // the handoff needs a session; a form sent before any chat starts one the next message continues
+    if (!state.sessionId) {
+      state.sessionId = "w" + Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+      saveState();
+    }
+    // same key for every retry of this form, so a double submit creates one lead
+    const idempotencyKey = state.sessionId + "-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    const checkReady = prepareHandoffCheck(slot).catch(err => { console.error(err); return () => ({}); });
+    skip.addEventListener("click", closeForm);
+    submit.addEventListener("click", async () => {
+      const values = { name: name.value.trim(), email: email.value.trim(), phone: phone.value.trim() };
+      if (!values.name || !values.email || !values.phone) {
+        addMsg("assistant", t("formMissing"), false);
+        return;
+      }
+      const proof = await (await checkReady)();
+      if (!proof) {
+        addMsg("assistant", t("formVerify"), false);
+        return;
+      }
+      submit.disabled = true;
+      try {
+        const resp = await fetch(`${API_BASE}/api/handoff`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "Idempotency-Key": idempotencyKey, ...TENANT_HEADERS },
+          body: JSON.stringify({ sessionId: state.sessionId, ...values, note: "Requested via widget on " + location.hostname, website: website.value, ...proof })
+        });
+        const j = await resp.json();
+        if (resp.status === 429) { addMsg("assistant", t("formBusy"), false); return; }
+        if (!resp.ok) throw new Error(j.error || "Failed");
+        addMsg("assistant", j.message || t("formDone"));
+        state.leadPromptShown = true;
+        saveState();
+        emit("lead", { source: "form", sessionId: state.sessionId });
+        if (j.live) setLive(j.live);
+      } catch (err) {
+        console.error(err);
+        addMsg("assistant", t("formFailed"), false);
+        emit("error", { message: err.message });
+      } finally {
+        closeForm();
+      }
+    });
+  }
+
+  /* ---------- OPEN / CLOSE ---------- */
+  function isOpen() { return el.panel.classList.contains("open"); }
+  function open() {
+    if (isOpen()) return;
+    el.panel.classList.add("open");
+    el.input.focus();
+    emit("open", {});
+  }
+  function close() {
+    if (!isOpen()) return;
+    el.panel.classList.remove("open");
+    emit("close", {});
+  }
+
+  el.toggle.addEventListener("click", () => (isOpen() ? close() : open()));
+  el.close.addEventListener("click", close);
+  el.contact.addEventListener("click", showLeadForm);
+  el.send.addEventListener("click", () => { const text = el.input.value; el.input.value = ""; sendMessage(text); });
+  el.input.addEventListener("input", sendTyping);
+  el.input.addEventListener("keydown", e => {
+    if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); el.send.click(); }
+  });
+
+  // another tab moved the conversation on (or reset it): show the same state here
+  window.addEventListener("storage", e => {
+    if (e.key !== STORAGE_KEY || isLoading) return;
+    state = loadState();
+    applyLang(state.lang);
+    renderHistory();
+    renderLiveStatus();
+    if (state.live && LIVE_OPEN.includes(state.live.status)) followLive();
+  });
+
+  /* ---------- PUBLIC API ---------- */
+  function on(event, fn) {
+    (listeners[event] = listeners[event] || []).push(fn);
+    return () => off(event, fn);
+  }
+  function off(event, fn) {
+    listeners[event] = (listeners[event] || []).filter(f => f !== fn);
+  }
+
+  window.GlobalTreeChat = {
+    version: 1,
+    open,
+    close,
+    toggle: () => (isOpen() ? close() : open()),
+    sendMessage,
+    showLeadForm,
+    setLanguage(lang) { applyLang(lang); saveState(); renderHistory(); },
+    // forget the conversation in every tab; the next message starts a new server session
+    reset() {
+      state = { sessionId: null, lang: state.lang, leadPromptShown: false, history: [], live: null, liveAfter: 0, updatedAt: 0 };
+      saveState();
+      renderHistory();
+      renderLiveStatus();
+    },
+    get sessionId() { return state.sessionId; },
+    on,
+    off
+  };
+
+  function mount() {
+    document.body.appendChild(host);
+    applyLang(state.lang);
+    renderHistory();
+    renderLiveStatus();
+    if (state.live && LIVE_OPEN.includes(state.live.status)) followLive();
+    if (config.open === true || config.open === "true") open();
+  }
+  if (document.body) mount();
+  else document.addEventListener("DOMContentLoaded", mount);
+})();